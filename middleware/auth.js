@@ -1,4 +1,4 @@
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('../utils/tokenService');
 
 const authenticateToken = async (req, res, next) => {
   try {
@@ -9,18 +9,19 @@ const authenticateToken = async (req, res, next) => {
       return res.status(401).json({ error: 'Access token required' });
     }
 
-    console.log('Verifying token:', token.substring(0, 20) + '...');
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    console.log('Decoded token:', decoded);
+    // Verifies the signature and that the session has not been revoked
+    const decoded = await verifyAccessToken(token);
     
     req.user = decoded;
     next();
   } catch (error) {
-    console.error('Token verification error:', error);
+    console.error('Token verification error:', error.message);
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({ error: 'Token expired' });
     }
+    if (error.name === 'TokenError') {
+      return res.status(401).json({ error: error.message });
+    }
     res.status(403).json({ error: 'Invalid token' });
   }
 };
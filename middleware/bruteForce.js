@@ -0,0 +1,42 @@
+const { buildKeys, consumeAttempts, resetAttempts } = require('../utils/rateLimiter');
+const { getClientIp } = require('../utils/tokenService');
+
+/**
+ * Count every request against its IP and account and reject those from
+ * locked IPs/accounts with 429 and Retry-After. Handlers call
+ * req.attemptLimiter.reset() after a success to clear the account counter.
+ *
+ * `getAccount(req)` picks the account identifier, the request email by default.
+ */
+const bruteForce = (action, getAccount = req => req.body.email) => {
+  return async (req, res, next) => {
+    try {
+      const keys = buildKeys(action, {
+        ip: getClientIp(req),
+        account: getAccount(req)
+      });
+
+      const lockout = await consumeAttempts(keys);
+      if (lockout > 0) {
+        const retryAfter = Math.ceil(lockout / 1000);
+        res.set('Retry-After', String(retryAfter));
+        // Auth routes answer with either key, so send both
+        return res.status(429).json({
+          error: 'Too many attempts, please try again later',
+          message: 'Too many attempts, please try again later',
+          retryAfter
+        });
+      }
+
+      req.attemptLimiter = {
+        reset: () => resetAttempts(keys.filter(k => k.scope === 'account'))
+      };
+      next();
+    } catch (error) {
+      console.error('Attempt limiter error:', error);
+      res.status(500).json({ error: 'Error checking attempt limits' });
+    }
+  };
+};
+
+module.exports = bruteForce;
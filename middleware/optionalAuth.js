@@ -0,0 +1,23 @@
+const { verifyAccessToken } = require('../utils/tokenService');
+
+/**
+ * Identify the reader of a public route when they send an access token.
+ * Sets req.user like middleware/auth.js, or leaves it unset for anonymous
+ * readers. A missing, expired or revoked token is not an error here: the
+ * route is answered as for an anonymous reader.
+ */
+const optionalAuth = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (token) {
+    try {
+      req.user = await verifyAccessToken(token);
+    } catch (error) {
+      req.user = undefined;
+    }
+  }
+  next();
+};
+
+module.exports = optionalAuth;
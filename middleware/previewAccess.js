@@ -0,0 +1,54 @@
+const Course = require('../models/Course');
+const User = require('../models/User');
+const { verifyPreviewToken } = require('../utils/tokenService');
+
+/**
+ * Let a course editor preview unpublished content and drafts of the
+ * course in req.params.courseId. The preview token (see POST
+ * /api/modules/course/:courseId/preview-token) is read from the
+ * X-Preview-Token header or the `preview` query parameter.
+ *
+ * Sets req.preview to `{ userId, courseId }`, or null when no token was
+ * sent. The token stops working as soon as its holder can no longer edit
+ * the course.
+ */
+const previewAccess = async (req, res, next) => {
+  const token = req.headers['x-preview-token'] || req.query.preview;
+  req.preview = null;
+
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const preview = verifyPreviewToken(token);
+
+    if (preview.courseId !== req.params.courseId) {
+      return res.status(403).json({ error: 'Preview token is for another course' });
+    }
+
+    const [user, course] = await Promise.all([
+      User.findById(preview.userId),
+      Course.findById(preview.courseId)
+    ]);
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    if (!course.isEditableBy(user)) {
+      return res.status(403).json({ error: 'Preview access has been revoked' });
+    }
+
+    req.preview = { userId: user._id, courseId: course._id };
+    // Draft content must not end up in a shared cache
+    res.set('Cache-Control', 'private, no-store');
+    next();
+  } catch (error) {
+    if (error.name === 'TokenError') {
+      return res.status(401).json({ error: error.message });
+    }
+    console.error('Preview token check error:', error);
+    res.status(500).json({ error: 'Error checking preview access' });
+  }
+};
+
+module.exports = previewAccess;
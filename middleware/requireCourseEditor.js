@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+
+/**
+ * Require the signed-in user to be allowed to edit a course's content.
+ * Must run after requirePermission, which sets req.currentUser.
+ *
+ * `resolveCourseId(req)` returns (or resolves to) the course being edited.
+ * The loaded course is attached as req.course.
+ */
+const requireCourseEditor = (resolveCourseId = req => req.params.courseId) => {
+  return async (req, res, next) => {
+    try {
+      const courseId = await resolveCourseId(req);
+
+      if (!courseId) {
+        return res.status(400).json({ error: 'Course ID is required' });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(courseId)) {
+        return res.status(404).json({ error: 'Course not found' });
+      }
+
+      const course = await Course.findById(courseId);
+      if (!course) {
+        return res.status(404).json({ error: 'Course not found' });
+      }
+
+      if (!course.isEditableBy(req.currentUser)) {
+        return res.status(403).json({ error: 'You are not assigned to this course' });
+      }
+
+      req.course = course;
+      next();
+    } catch (error) {
+      console.error('Course ownership check error:', error);
+      res.status(500).json({ error: 'Error checking course access' });
+    }
+  };
+};
+
+module.exports = requireCourseEditor;
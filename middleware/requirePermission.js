@@ -0,0 +1,63 @@
+const { verifyAccessToken } = require('../utils/tokenService');
+const { PERMISSIONS } = require('../utils/permissions');
+const User = require('../models/User');
+
+/**
+ * Require the signed-in user to hold every listed permission.
+ * Usage: router.post('/courses', requirePermission('courses:write'), handler)
+ */
+const requirePermission = (...permissions) => {
+  const unknown = permissions.filter(permission => !PERMISSIONS.includes(permission));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permission: ${unknown.join(', ')}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      const authHeader = req.headers['authorization'];
+      const token = authHeader && authHeader.split(' ')[1];
+
+      if (!token) {
+        return res.status(401).json({ error: 'Access token required' });
+      }
+
+      const decoded = await verifyAccessToken(token);
+      const user = await User.findById(decoded.userId);
+
+      if (!user) {
+        return res.status(401).json({ error: 'User not found' });
+      }
+
+      // Privileged accounts cannot use their permissions until 2FA is set up
+      if (user.requiresTwoFactor() && !user.twoFactor?.enabled) {
+        return res.status(403).json({
+          error: 'Two-factor authentication must be enabled for this account',
+          code: 'two_factor_setup_required'
+        });
+      }
+
+      const missing = permissions.filter(permission => !user.hasPermission(permission));
+      if (missing.length > 0) {
+        return res.status(403).json({
+          error: 'Insufficient permissions',
+          required: missing
+        });
+      }
+
+      req.user = decoded;
+      req.currentUser = user;
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error.message);
+      if (error.name === 'TokenExpiredError') {
+        return res.status(401).json({ error: 'Token expired' });
+      }
+      if (error.name === 'TokenError') {
+        return res.status(401).json({ error: error.message });
+      }
+      res.status(403).json({ error: 'Invalid token' });
+    }
+  };
+};
+
+module.exports = requirePermission;
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// Answer to one MCQ question, as graded by the server
+const mcqAnswerSchema = new mongoose.Schema({
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  selectedOptionIds: [mongoose.Schema.Types.ObjectId],
+  correct: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+// Outcome of one test case of a coding exercise
+const testResultSchema = new mongoose.Schema({
+  testCaseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  passed: {
+    type: Boolean,
+    default: false
+  },
+  // ok runs are split into passed / wrong_answer
+  status: {
+    type: String,
+    enum: [
+      'passed',
+      'wrong_answer',
+      'runtime_error',
+      'time_limit_exceeded',
+      'memory_limit_exceeded',
+      'output_limit_exceeded'
+    ]
+  },
+  durationMs: Number
+}, { _id: false });
+
+// One graded submission against an interactive content block
+const attemptSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  moduleId: {
+    type: String,
+    required: true
+  },
+  subModuleId: {
+    type: String,
+    required: true
+  },
+  // _id of the content block inside the submodule
+  blockId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  blockType: {
+    type: String,
+    required: true,
+    enum: ['mcq', 'codingExercise']
+  },
+  // MCQ blocks
+  answers: [mcqAnswerSchema],
+  // Coding exercise blocks
+  language: String,
+  code: String,
+  testResults: [testResultSchema],
+  score: {
+    type: Number,
+    default: 0
+  },
+  maxScore: {
+    type: Number,
+    default: 0
+  },
+  // score / maxScore as a whole percentage
+  percentage: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  passed: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+attemptSchema.index({ userId: 1, blockId: 1, createdAt: -1 });
+attemptSchema.index({ courseId: 1, blockId: 1 });
+
+module.exports = mongoose.model('Attempt', attemptSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Messages sent through the contact form
+const contactSubmissionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    index: true
+  },
+  subject: {
+    type: String,
+    trim: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  emailSent: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  collection: 'contactSubmissions'
+});
+
+module.exports = mongoose.model('ContactSubmission', contactSubmissionSchema);
@@ -4,6 +4,8 @@ const {
   updateUserProgressForCourseChange,
   removeCourseFromEnrollments 
 } = require('../utils/courseIndexing');
+const { isLive, liveQuery, unpublishAfterPublish } = require('../utils/publishSchedule');
+const { PREREQUISITE_MODES } = require('../utils/prerequisites');
 
 const courseSchema = new mongoose.Schema({
   title: {
@@ -38,7 +40,7 @@ const courseSchema = new mongoose.Schema({
     type: Number, // in hours (calculated from modules)
     default: 0
   },
-  // Optional enrollment tracking
+  // Number of Enrollment documents; updated in the same transaction
   enrollmentCount: {
     type: Number,
     default: 0
@@ -49,6 +51,30 @@ const courseSchema = new mongoose.Schema({
   },
   publishedAt: {
     type: Date
+  },
+  // Scheduled visibility; see utils/publishSchedule.js
+  publishAt: {
+    type: Date
+  },
+  unpublishAt: {
+    type: Date,
+    validate: unpublishAfterPublish
+  },
+  // Whether unmet submodule prerequisites block learners or only warn
+  // them; see utils/prerequisites.js
+  prerequisiteMode: {
+    type: String,
+    enum: PREREQUISITE_MODES,
+    default: 'advisory'
+  },
+  // Instructors allowed to edit this course's modules
+  instructors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  lastEditedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 }, { 
   timestamps: true,
@@ -59,8 +85,22 @@ const courseSchema = new mongoose.Schema({
 
 // Indexes for better performance
 courseSchema.index({ isPublished: 1 });
+courseSchema.index({ publishAt: 1 }, { sparse: true });
+courseSchema.index({ unpublishAt: 1 }, { sparse: true });
 courseSchema.index({ enrollmentCount: -1 });
 courseSchema.index({ tags: 1 });
+courseSchema.index({ instructors: 1 });
+// Full-text search (utils/contentSearch.js). Documents may carry a
+// `language` field naming a programming language, which MongoDB would
+// otherwise read as the text language, so the override points elsewhere.
+courseSchema.index(
+  { title: 'text', tags: 'text', description: 'text' },
+  {
+    name: 'course_text',
+    weights: { title: 10, tags: 5, description: 2 },
+    language_override: 'textSearchLanguage'
+  }
+);
 
 // Virtual for modules
 courseSchema.virtual('modules', {
@@ -71,22 +111,25 @@ courseSchema.virtual('modules', {
 
 // Pre-save middleware for published date
 courseSchema.pre('save', function(next) {
-  if (this.isPublished && !this.publishedAt) {
+  if (isLive(this) && !this.publishedAt) {
     this.publishedAt = new Date();
   }
   next();
 });
 
-// Method to update course statistics from modules
+// Method to update course statistics from modules (live content only)
 courseSchema.methods.updateStatisticsFromModules = async function() {
   const Module = mongoose.model('Module');
-  const modules = await Module.find({ courseId: this._id });
+  const modules = await Module.findByCourse(this._id);
   
   this.totalModules = modules.length;
   this.totalSubModules = modules.reduce((sum, module) => sum + (module.subModules?.length || 0), 0);
   
-  // Calculate total hours from modules (estimated time in minutes converted to hours)
-  const totalMinutes = modules.reduce((sum, module) => sum + (module.totalEstimatedTime || 0), 0);
+  // Calculate total hours from submodules (estimated time in minutes converted to hours)
+  const totalMinutes = modules.reduce((sum, module) => sum + module.subModules.reduce(
+    (total, subModule) => total + (subModule.estimatedTime || 0),
+    0
+  ), 0);
   this.totalEstimatedHours = Math.round(totalMinutes / 60 * 10) / 10; // Round to 1 decimal
   
   return this.save();
@@ -133,15 +176,25 @@ courseSchema.pre('findOneAndRemove', async function(next) {
   }
 });
 
-// Method to increment enrollment count
-courseSchema.methods.incrementEnrollment = function() {
-  this.enrollmentCount += 1;
-  return this.save();
+// Method to check whether a user may edit this course's content
+courseSchema.methods.isEditableBy = function(user) {
+  if (!user || !user.hasPermission('modules:write')) {
+    return false;
+  }
+  if (user.hasPermission('modules:write-any')) {
+    return true;
+  }
+  return (this.instructors || []).some(id => id.equals(user._id));
+};
+
+// Whether learners can see the course right now
+courseSchema.methods.isLive = function(now = new Date()) {
+  return isLive(this, now);
 };
 
-// Static method to find published courses
-courseSchema.statics.findPublished = function() {
-  return this.find({ isPublished: true }).sort({ createdAt: -1 });
+// Static method to find published courses, honouring publishAt/unpublishAt
+courseSchema.statics.findPublished = function(now = new Date()) {
+  return this.find(liveQuery(now)).sort({ createdAt: -1 });
 };
 
 module.exports = mongoose.model('Course', courseSchema);
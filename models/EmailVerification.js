@@ -1,31 +1,116 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const PURPOSES = ['verify', 'reset', 'email-change'];
 
 const emailVerificationSchema = new mongoose.Schema({
   email: {
     type: String,
     required: true,
   },
-  otp: {
+  // Keyed hash of the code; the code itself is never stored
+  otpHash: {
     type: String,
     required: true,
   },
-  
-  isPasswordReset: {
-    type: Boolean,
-    default: false,
+  purpose: {
+    type: String,
+    required: true,
+    enum: PURPOSES,
   },
   expiresAt: {
     type: Date,
     required: true,
     default: () => new Date(Date.now() + 10 * 60 * 1000), // 10 minutes expiry
   },
-  verified: {
-    type: Boolean,
-    default: false,
+  // Account that requested the code (email-change codes go to an address
+  // the account does not own yet)
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Wrong guesses against this email's live code
+  attempts: {
+    type: Number,
+    default: 0,
   }
 });
 
 // Auto-delete expired records
 emailVerificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
+// Only one live code per email and purpose
+emailVerificationSchema.index(
+  { email: 1, purpose: 1 },
+  { unique: true, partialFilterExpression: { purpose: { $exists: true } } }
+);
+
+// Wrong guesses allowed before the code is invalidated
+emailVerificationSchema.statics.MAX_ATTEMPTS = 5;
+
+emailVerificationSchema.statics.PURPOSES = PURPOSES;
+
+// Keyed so a leaked collection cannot be brute-forced offline
+const hashOTP = (email, purpose, otp) => {
+  const key = process.env.OTP_SECRET || process.env.JWT_SECRET || '';
+  return crypto
+    .createHmac('sha256', key)
+    .update(`${email}:${purpose}:${String(otp).trim()}`)
+    .digest('hex');
+};
+
+// Issue a new 6-digit code, replacing any live code for the same purpose.
+// Returns the plain code so it can be emailed.
+emailVerificationSchema.statics.issue = async function(email, purpose, ttl, userId) {
+  const otp = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  await this.findOneAndUpdate(
+    { email, purpose },
+    {
+      otpHash: hashOTP(email, purpose, otp),
+      expiresAt: new Date(Date.now() + ttl),
+      attempts: 0,
+      userId
+    },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+
+  return otp;
+};
+
+// Check and delete a code in one step; returns the record or null.
+// Pass userId to only accept a code issued to that account.
+emailVerificationSchema.statics.consume = function(email, purpose, otp, userId) {
+  if (!email || !otp) {
+    return Promise.resolve(null);
+  }
+
+  const filter = {
+    email,
+    purpose,
+    otpHash: hashOTP(email, purpose, otp),
+    attempts: { $lt: this.MAX_ATTEMPTS },
+    expiresAt: { $gt: new Date() }
+  };
+  if (userId) {
+    filter.userId = userId;
+  }
+
+  return this.findOneAndDelete(filter);
+};
+
+// Count a wrong guess against the live code for an email and delete
+// it once it reaches MAX_ATTEMPTS. Returns true if the code was invalidated.
+emailVerificationSchema.statics.registerFailedAttempt = async function(email, purpose) {
+  const filter = { email, purpose, expiresAt: { $gt: new Date() } };
+
+  await this.updateOne(filter, { $inc: { attempts: 1 } });
+  const result = await this.deleteOne({
+    ...filter,
+    attempts: { $gte: this.MAX_ATTEMPTS }
+  });
+
+  return result.deletedCount > 0;
+};
+
 module.exports = mongoose.model('EmailVerification', emailVerificationSchema);
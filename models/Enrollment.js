@@ -0,0 +1,317 @@
+const mongoose = require('mongoose');
+const { withTransaction } = require('../utils/transaction');
+
+// Best result on one quiz block of a submodule
+const quizScoreSchema = new mongoose.Schema({
+  blockId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Best percentage across attempts
+  bestScore: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastAttemptAt: Date,
+  // First time the passing score was reached
+  passedAt: Date
+}, { _id: false });
+
+// Progress on a single submodule
+const moduleProgressSchema = new mongoose.Schema({
+  moduleId: {
+    type: String,
+    required: true
+  },
+  subModuleId: {
+    type: String,
+    required: true
+  },
+  completed: {
+    type: Boolean,
+    default: false
+  },
+  completedAt: {
+    type: Date
+  },
+  lastVisited: {
+    type: Date,
+    default: Date.now
+  },
+  archived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: {
+    type: Date
+  },
+  quizScores: [quizScoreSchema]
+});
+
+// One document per user and course
+const enrollmentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  enrolledAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAccessed: {
+    type: Date,
+    default: Date.now
+  },
+  progress: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  completedModules: {
+    type: Number,
+    default: 0
+  },
+  totalModules: {
+    type: Number,
+    default: 0
+  },
+  moduleProgress: [moduleProgressSchema]
+}, {
+  timestamps: true
+});
+
+enrollmentSchema.index({ userId: 1, courseId: 1 }, { unique: true });
+enrollmentSchema.index({ courseId: 1 });
+
+// Percentage of completed submodules, capped at 100
+const calculateProgress = (completedModules, totalModules) => {
+  return totalModules > 0
+    ? Math.min(100, Math.round((completedModules / totalModules) * 100))
+    : 0;
+};
+
+enrollmentSchema.statics.calculateProgress = calculateProgress;
+
+// Enroll a user and bump the course's enrollmentCount in one transaction.
+// Returns { enrollment, created }; an existing enrollment is returned as-is.
+enrollmentSchema.statics.enroll = async function(userId, courseId, initial = {}) {
+  const Course = mongoose.model('Course');
+
+  try {
+    const enrollment = await withTransaction(async (session) => {
+      const [created] = await this.create([{ ...initial, userId, courseId }], { session });
+      await Course.updateOne(
+        { _id: courseId },
+        { $inc: { enrollmentCount: 1 } },
+        { session }
+      );
+      return created;
+    });
+    return { enrollment, created: true };
+  } catch (error) {
+    if (error.code === 11000) {
+      return { enrollment: await this.findOne({ userId, courseId }), created: false };
+    }
+    throw error;
+  }
+};
+
+// Remove an enrollment and decrement enrollmentCount in one transaction.
+// Returns the removed enrollment or null.
+enrollmentSchema.statics.unenroll = function(userId, courseId) {
+  const Course = mongoose.model('Course');
+
+  return withTransaction(async (session) => {
+    const removed = await this.findOneAndDelete({ userId, courseId }, { session });
+    if (removed) {
+      await Course.updateOne(
+        { _id: courseId, enrollmentCount: { $gt: 0 } },
+        { $inc: { enrollmentCount: -1 } },
+        { session }
+      );
+    }
+    return removed;
+  });
+};
+
+// Remove every enrollment of a user (account deletion).
+// Returns the ids of the courses the user was enrolled in.
+enrollmentSchema.statics.removeAllForUser = function(userId) {
+  const Course = mongoose.model('Course');
+
+  return withTransaction(async (session) => {
+    const enrollments = await this.find({ userId }).select('courseId').session(session);
+    const courseIds = enrollments.map(enrollment => enrollment.courseId);
+
+    if (courseIds.length > 0) {
+      await this.deleteMany({ userId }, { session });
+      await Course.updateMany(
+        { _id: { $in: courseIds }, enrollmentCount: { $gt: 0 } },
+        { $inc: { enrollmentCount: -1 } },
+        { session }
+      );
+    }
+    return courseIds;
+  });
+};
+
+// Mark a submodule complete without loading the enrollment first.
+// Returns the updated enrollment, or null if the user is not enrolled.
+enrollmentSchema.statics.completeSubModule = async function(userId, courseId, moduleId, subModuleId) {
+  const now = new Date();
+  const match = { moduleId, subModuleId };
+
+  // Tracked but not yet completed
+  let enrollment = await this.findOneAndUpdate(
+    {
+      userId,
+      courseId,
+      moduleProgress: { $elemMatch: { ...match, completed: false, archived: { $ne: true } } }
+    },
+    {
+      $set: {
+        'moduleProgress.$.completed': true,
+        'moduleProgress.$.completedAt': now,
+        'moduleProgress.$.lastVisited': now,
+        lastAccessed: now
+      },
+      $inc: { completedModules: 1 }
+    },
+    { new: true }
+  );
+
+  // Not tracked yet
+  if (!enrollment) {
+    enrollment = await this.findOneAndUpdate(
+      {
+        userId,
+        courseId,
+        moduleProgress: { $not: { $elemMatch: match } }
+      },
+      {
+        $push: {
+          moduleProgress: { ...match, completed: true, completedAt: now, lastVisited: now }
+        },
+        $set: { lastAccessed: now },
+        $inc: { completedModules: 1 }
+      },
+      { new: true }
+    );
+  }
+
+  // Already completed (or archived): just record the visit
+  if (!enrollment) {
+    enrollment = await this.findOneAndUpdate(
+      { userId, courseId, moduleProgress: { $elemMatch: match } },
+      { $set: { 'moduleProgress.$.lastVisited': now, lastAccessed: now } },
+      { new: true }
+    );
+    return enrollment;
+  }
+
+  return this.syncProgress(enrollment);
+};
+
+// Store the percentage for the counters an update returned. Concurrent
+// updates each write the percentage for the counts they saw; the condition
+// keeps an older count from overwriting a newer one.
+enrollmentSchema.statics.syncProgress = async function(enrollment) {
+  const progress = calculateProgress(enrollment.completedModules, enrollment.totalModules);
+  if (progress !== enrollment.progress) {
+    await this.updateOne(
+      {
+        _id: enrollment._id,
+        completedModules: enrollment.completedModules,
+        totalModules: enrollment.totalModules
+      },
+      { $set: { progress } }
+    );
+    enrollment.progress = progress;
+  }
+  return enrollment;
+};
+
+// Fold a graded quiz attempt into the submodule's progress entry.
+// Returns the updated enrollment, or null if the user is not enrolled.
+enrollmentSchema.statics.recordQuizScore = async function(userId, courseId, moduleId, subModuleId, blockId, score, passed) {
+  const now = new Date();
+  const filter = { userId, courseId };
+  const match = { moduleId, subModuleId };
+
+  if (!(await this.exists(filter))) {
+    return null;
+  }
+
+  // Track the submodule if it is not tracked yet
+  await this.updateOne(
+    { ...filter, moduleProgress: { $not: { $elemMatch: match } } },
+    { $push: { moduleProgress: { ...match, completed: false, lastVisited: now } } }
+  );
+
+  const scoreUpdate = {
+    $max: { 'moduleProgress.$[p].quizScores.$[q].bestScore': score },
+    $inc: { 'moduleProgress.$[p].quizScores.$[q].attempts': 1 },
+    $set: { 'moduleProgress.$[p].quizScores.$[q].lastAttemptAt': now }
+  };
+  if (passed) {
+    // $min keeps the first pass and sets it when missing
+    scoreUpdate.$min = { 'moduleProgress.$[p].quizScores.$[q].passedAt': now };
+  }
+  const arrayFilters = [
+    { 'p.moduleId': moduleId, 'p.subModuleId': subModuleId },
+    { 'q.blockId': blockId }
+  ];
+
+  // Update the block's score, or add it; retry once if a concurrent
+  // attempt added it first
+  for (let i = 0; i < 2; i++) {
+    const updated = await this.updateOne(filter, scoreUpdate, { arrayFilters });
+    if (updated.modifiedCount > 0) break;
+
+    const added = await this.updateOne(
+      { ...filter, moduleProgress: { $elemMatch: { ...match, 'quizScores.blockId': { $ne: blockId } } } },
+      {
+        $push: {
+          'moduleProgress.$.quizScores': {
+            blockId,
+            bestScore: score,
+            attempts: 1,
+            lastAttemptAt: now,
+            ...(passed ? { passedAt: now } : {})
+          }
+        }
+      }
+    );
+    if (added.modifiedCount > 0) break;
+  }
+
+  return this.findOneAndUpdate(
+    { ...filter, moduleProgress: { $elemMatch: match } },
+    { $set: { 'moduleProgress.$.lastVisited': now, lastAccessed: now } },
+    { new: true }
+  );
+};
+
+// Record that the user opened the course
+enrollmentSchema.statics.touch = function(userId, courseId) {
+  return this.findOneAndUpdate(
+    { userId, courseId },
+    { $set: { lastAccessed: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('Enrollment', enrollmentSchema);
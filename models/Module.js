@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { validateContentBlock } = require('../utils/contentBlockValidators');
+const { isLive, liveQuery, unpublishAfterPublish } = require('../utils/publishSchedule');
+const { validatePrerequisitesHook } = require('../utils/prerequisites');
 
 // Schema for Code Snippets
 const codeSnippetSchema = new mongoose.Schema({
@@ -69,11 +72,22 @@ const codingExerciseSchema = new mongoose.Schema({
   },
   description: String,
   hints: [String],
+  // Language submissions run in (see utils/codeRunner.js)
+  language: {
+    type: String,
+    enum: ['javascript', 'python'],
+    default: 'javascript'
+  },
   starterCode: String,
   solution: String,
   testCases: [{
     input: String,
-    expectedOutput: String
+    expectedOutput: String,
+    // Hidden cases are graded but never sent to learners
+    hidden: {
+      type: Boolean,
+      default: false
+    }
   }],
   difficulty: {
     type: String,
@@ -135,10 +149,89 @@ const handsOnSchema = new mongoose.Schema({
     required: true
   },
   description: String,
+  // Language the playground runs defaultCode in
+  language: {
+    type: String,
+    default: 'java',
+    enum: ['java', 'javascript', 'python', 'cpp', 'html', 'css']
+  },
   defaultCode: String,
   solution: String
 });
 
+// Content of image blocks
+const imageSchema = new mongoose.Schema({
+  url: String,
+  alt: String,
+  caption: String,
+  width: Number,
+  height: Number
+}, { _id: false });
+
+// Content of video blocks
+const videoSchema = new mongoose.Schema({
+  url: String,
+  title: String,
+  caption: String,
+  provider: {
+    type: String,
+    enum: ['youtube', 'vimeo', 'file'],
+    default: 'youtube'
+  },
+  // Seconds into the video to start playback
+  startAt: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false });
+
+// Content of link blocks
+const linkSchema = new mongoose.Schema({
+  url: String,
+  title: String,
+  description: String,
+  openInNewTab: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+// Content of example blocks (code with explanation)
+const exampleSchema = new mongoose.Schema({
+  title: String,
+  description: String,
+  code: String,
+  language: {
+    type: String,
+    default: 'java',
+    enum: ['java', 'javascript', 'python', 'cpp', 'html', 'css']
+  },
+  output: String,
+  explanation: String
+}, { _id: false });
+
+// Content of quiz blocks; options reuse the MCQ option shape
+const quizQuestionSchema = new mongoose.Schema({
+  question: String,
+  options: [mcqOptionSchema],
+  explanation: String
+});
+
+const quizSchema = new mongoose.Schema({
+  title: String,
+  questions: [quizQuestionSchema]
+}, { _id: false });
+
+// Content of comparison blocks; each row has one value per column
+const comparisonSchema = new mongoose.Schema({
+  title: String,
+  columns: [String],
+  rows: [{
+    label: String,
+    values: [String]
+  }]
+}, { _id: false });
+
 // Main Content Block Schema (flexible content structure)
 const contentBlockSchema = new mongoose.Schema({
   type: {
@@ -227,13 +320,23 @@ const contentBlockSchema = new mongoose.Schema({
     type: String,
     enum: ['bullet', 'numbered'],
     default: 'bullet'
-  },
-  
-  // Generic content field for flexible content types (image, video, link, example, quiz, comparison)
-  content: {
-    type: mongoose.Schema.Types.Mixed,
-    default: {}
   }
+
+  // image, video, link, example, quiz and comparison blocks keep their
+  // fields in `content`, typed per block type (see the discriminators below)
+}, {
+  discriminatorKey: 'type'
+});
+
+// Per-type rules (utils/contentBlockValidators.js). Blocks loaded unchanged
+// are skipped so legacy content does not block unrelated edits.
+contentBlockSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified()) {
+    validateContentBlock(this).forEach(error => {
+      this.invalidate(error.field, error.message, this.get(error.field));
+    });
+  }
+  next();
 });
 
 // Sub-Module Schema
@@ -265,11 +368,34 @@ const subModuleSchema = new mongoose.Schema({
   isPublished: {
     type: Boolean,
     default: true
+  },
+  // Scheduled visibility; see utils/publishSchedule.js
+  publishAt: Date,
+  unpublishAt: {
+    type: Date,
+    validate: unpublishAfterPublish
+  },
+  lastEditedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 }, {
   timestamps: true
 });
 
+// Typed `content` for the block kinds that used to be free-form
+const contentBlocks = subModuleSchema.path('contentBlocks');
+[
+  ['image', imageSchema],
+  ['video', videoSchema],
+  ['link', linkSchema],
+  ['example', exampleSchema],
+  ['quiz', quizSchema],
+  ['comparison', comparisonSchema]
+].forEach(([type, schema]) => {
+  contentBlocks.discriminator(type, new mongoose.Schema({ content: schema }));
+});
+
 // Main Module Schema
 const moduleSchema = new mongoose.Schema({
   courseId: {
@@ -297,9 +423,19 @@ const moduleSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Scheduled visibility; see utils/publishSchedule.js
+  publishAt: Date,
+  unpublishAt: {
+    type: Date,
+    validate: unpublishAfterPublish
+  },
   totalEstimatedTime: {
     type: Number, // in minutes
     default: 0
+  },
+  lastEditedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 }, {
   timestamps: true
@@ -308,46 +444,106 @@ const moduleSchema = new mongoose.Schema({
 // Indexes for better query performance
 moduleSchema.index({ courseId: 1, order: 1 });
 moduleSchema.index({ courseId: 1, id: 1 });
+moduleSchema.index({ publishAt: 1 }, { sparse: true });
+moduleSchema.index({ unpublishAt: 1 }, { sparse: true });
+moduleSchema.index({ 'subModules.publishAt': 1 }, { sparse: true });
+moduleSchema.index({ 'subModules.unpublishAt': 1 }, { sparse: true });
+// Full-text search over modules, submodules and the text of their content
+// blocks (utils/contentSearch.js). Answers (MCQ options and explanations,
+// exercise solutions) are not indexed. `codeSnippet.language` names a
+// programming language, so the text language is read from another field.
+moduleSchema.index(
+  {
+    title: 'text',
+    description: 'text',
+    'subModules.title': 'text',
+    'subModules.description': 'text',
+    'subModules.contentBlocks.heading': 'text',
+    'subModules.contentBlocks.text': 'text',
+    'subModules.contentBlocks.listItems': 'text',
+    'subModules.contentBlocks.codeSnippet.title': 'text',
+    'subModules.contentBlocks.codeSnippet.code': 'text',
+    'subModules.contentBlocks.mcqQuestions.question': 'text',
+    'subModules.contentBlocks.importantNote.title': 'text',
+    'subModules.contentBlocks.importantNote.points': 'text',
+    'subModules.contentBlocks.codingExercise.title': 'text',
+    'subModules.contentBlocks.codingExercise.description': 'text'
+  },
+  {
+    name: 'module_text',
+    weights: {
+      title: 8,
+      description: 2,
+      'subModules.title': 6,
+      'subModules.description': 3,
+      'subModules.contentBlocks.heading': 4,
+      'subModules.contentBlocks.codeSnippet.title': 2,
+      'subModules.contentBlocks.mcqQuestions.question': 2,
+      'subModules.contentBlocks.importantNote.title': 2,
+      'subModules.contentBlocks.codingExercise.title': 2
+    },
+    language_override: 'textSearchLanguage'
+  }
+);
+
+// Prerequisites must name submodules of the course and must not form a cycle
+moduleSchema.pre('validate', validatePrerequisitesHook({
+  getSubModules: module => module.subModules,
+  moduleKey: module => module._id,
+  path: 'subModules'
+}));
 
 // Pre-save middleware to calculate total estimated time
 moduleSchema.pre('save', function(next) {
-  if (this.subModules && this.subModules.length > 0) {
-    this.totalEstimatedTime = this.subModules.reduce(
-      (total, subModule) => total + (subModule.estimatedTime || 0), 
-      0
-    );
-  }
+  this.totalEstimatedTime = (this.subModules || []).reduce(
+    (total, subModule) => total + (subModule.estimatedTime || 0), 
+    0
+  );
   next();
 });
 
 // Virtual for getting published submodules only
 moduleSchema.virtual('publishedSubModules').get(function() {
-  return this.subModules.filter(sm => sm.isPublished);
+  return this.subModules.filter(sm => isLive(sm));
 });
 
-// Method to get next submodule
-moduleSchema.methods.getNextSubModule = function(currentSubModuleId) {
-  const currentIndex = this.subModules.findIndex(sm => sm.id === currentSubModuleId);
-  if (currentIndex < this.subModules.length - 1) {
-    return this.subModules[currentIndex + 1];
+// Whether learners can see the module right now
+moduleSchema.methods.isLive = function(now = new Date()) {
+  return isLive(this, now);
+};
+
+// Next live submodule within this module, or null at its end. Navigation
+// across modules uses utils/courseOutline.js.
+moduleSchema.methods.getNextSubModule = function(currentSubModuleId, now = new Date()) {
+  const live = this.subModules.filter(sm => isLive(sm, now) || sm.id === currentSubModuleId);
+  const currentIndex = live.findIndex(sm => sm.id === currentSubModuleId);
+  if (currentIndex !== -1 && currentIndex < live.length - 1) {
+    return live[currentIndex + 1];
   }
   return null;
 };
 
-// Method to get previous submodule
-moduleSchema.methods.getPreviousSubModule = function(currentSubModuleId) {
-  const currentIndex = this.subModules.findIndex(sm => sm.id === currentSubModuleId);
+// Previous live submodule within this module, or null at its start
+moduleSchema.methods.getPreviousSubModule = function(currentSubModuleId, now = new Date()) {
+  const live = this.subModules.filter(sm => isLive(sm, now) || sm.id === currentSubModuleId);
+  const currentIndex = live.findIndex(sm => sm.id === currentSubModuleId);
   if (currentIndex > 0) {
-    return this.subModules[currentIndex - 1];
+    return live[currentIndex - 1];
   }
   return null;
 };
 
-// Static method to get all modules for a course
-moduleSchema.statics.findByCourse = function(courseId) {
-  return this.find({ courseId, isPublished: true })
+// Static method to get all live modules for a course, with their live
+// submodules only
+moduleSchema.statics.findByCourse = async function(courseId, now = new Date()) {
+  const modules = await this.find({ courseId, ...liveQuery(now) })
     .sort({ order: 1 })
     .lean();
+
+  return modules.map(module => ({
+    ...module,
+    subModules: (module.subModules || []).filter(sm => isLive(sm, now))
+  }));
 };
 
 // Static method to get module with specific submodule
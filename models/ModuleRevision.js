@@ -0,0 +1,242 @@
+const mongoose = require('mongoose');
+const Module = require('./Module');
+const { withTransaction } = require('../utils/transaction');
+const { MODULE_FIELDS, summarizeModuleChanges } = require('../utils/moduleDiff');
+const { unpublishAfterPublish } = require('../utils/publishSchedule');
+const { validatePrerequisitesHook } = require('../utils/prerequisites');
+
+// Same submodule schema as the live module, so drafts are validated the
+// same way (content block rules included)
+const subModuleSchema = Module.schema.path('subModules').schema;
+
+// Module content as it was (or will be) published
+const snapshotSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true
+  },
+  description: String,
+  order: {
+    type: Number,
+    required: true
+  },
+  icon: String,
+  isPublished: Boolean,
+  publishAt: Date,
+  unpublishAt: {
+    type: Date,
+    validate: unpublishAfterPublish
+  },
+  subModules: [subModuleSchema]
+}, { _id: false });
+
+// A module's unpublished draft, or one entry of its publish history
+const moduleRevisionSchema = new mongoose.Schema({
+  moduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Module',
+    required: true
+  },
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'published'],
+    required: true
+  },
+  // 1, 2, 3... per module; drafts have none
+  revision: Number,
+  // Published revision the draft was started from
+  baseRevision: Number,
+  // Set when this revision restored an older one
+  rollbackOf: Number,
+  message: String,
+  snapshot: {
+    type: snapshotSchema,
+    required: true
+  },
+  // Counts of changes against the previously published content
+  summary: mongoose.Schema.Types.Mixed,
+  // Last editor of a draft, publisher of a published revision
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+moduleRevisionSchema.index(
+  { moduleId: 1, revision: -1 },
+  { unique: true, partialFilterExpression: { status: 'published' } }
+);
+// At most one draft per module
+moduleRevisionSchema.index(
+  { moduleId: 1 },
+  { unique: true, partialFilterExpression: { status: 'draft' } }
+);
+
+// Drafts are held to the same prerequisite rules as live modules
+moduleRevisionSchema.pre('validate', validatePrerequisitesHook({
+  getSubModules: revision => (revision.status === 'draft' && revision.snapshot ? revision.snapshot.subModules : null),
+  moduleKey: revision => revision.moduleId,
+  path: 'snapshot.subModules'
+}));
+
+// Content fields of a live module, ready to store as a snapshot
+const snapshotOf = (module) => {
+  const plain = module.toObject({ depopulate: true });
+  return MODULE_FIELDS.concat('subModules').reduce((snapshot, field) => {
+    snapshot[field] = plain[field];
+    return snapshot;
+  }, {});
+};
+
+moduleRevisionSchema.statics.snapshotOf = snapshotOf;
+
+// The module's draft, or null
+moduleRevisionSchema.statics.findDraft = function(moduleId) {
+  return this.findOne({ moduleId, status: 'draft' });
+};
+
+// Latest published revision, or null
+moduleRevisionSchema.statics.findLatest = function(moduleId, session = null) {
+  return this.findOne({ moduleId, status: 'published' })
+    .sort({ revision: -1 })
+    .session(session);
+};
+
+// The module's draft, started from the live content if there is none.
+// Not saved; edit `draft.snapshot` and save it.
+moduleRevisionSchema.statics.openDraft = async function(module, userId) {
+  const existing = await this.findDraft(module._id);
+  if (existing) {
+    existing.author = userId;
+    return existing;
+  }
+
+  const latest = await this.findLatest(module._id);
+  return new this({
+    moduleId: module._id,
+    courseId: module.courseId,
+    status: 'draft',
+    baseRevision: latest ? latest.revision : undefined,
+    snapshot: snapshotOf(module),
+    author: userId
+  });
+};
+
+// Content of one version of a module as a plain object: a revision
+// number, `live` for what learners see now, or `draft`. Null when it does
+// not exist.
+moduleRevisionSchema.statics.loadVersion = async function(module, version) {
+  if (version === 'live') {
+    return snapshotOf(module);
+  }
+
+  const query = version === 'draft'
+    ? { moduleId: module._id, status: 'draft' }
+    : { moduleId: module._id, status: 'published', revision: parseInt(version, 10) };
+  if (query.revision !== undefined && !Number.isInteger(query.revision)) {
+    return null;
+  }
+
+  const revision = await this.findOne(query);
+  return revision ? revision.toObject({ depopulate: true }).snapshot : null;
+};
+
+// Replace the live content with `snapshot` and record it as the next
+// revision. Modules published before revisions existed get their
+// original content stored as revision 1 first, so it can be restored.
+const publishSnapshot = async (Revision, module, snapshot, userId, extra, session) => {
+  let latest = await Revision.findLatest(module._id, session);
+
+  if (!latest) {
+    [latest] = await Revision.create([{
+      moduleId: module._id,
+      courseId: module.courseId,
+      status: 'published',
+      revision: 1,
+      message: 'Content before revision history',
+      snapshot: snapshotOf(module),
+      author: module.lastEditedBy
+    }], { session });
+  }
+
+  const summary = summarizeModuleChanges(snapshotOf(module), snapshot);
+
+  module.set(snapshot);
+  module.lastEditedBy = userId;
+  await module.save({ session });
+
+  const [revision] = await Revision.create([{
+    moduleId: module._id,
+    courseId: module.courseId,
+    status: 'published',
+    revision: latest.revision + 1,
+    snapshot,
+    summary,
+    author: userId,
+    ...extra
+  }], { session });
+
+  return revision;
+};
+
+// Publish `snapshot` as the module's next revision without going through a
+// draft, as part of the caller's transaction (`session` may be null).
+// Returns the new revision.
+moduleRevisionSchema.statics.publishContent = function(module, snapshot, userId, message, session = null) {
+  return publishSnapshot(this, module, snapshot, userId, { message }, session);
+};
+
+// Publish the module's draft. Returns the new revision, or null when
+// there is no draft.
+moduleRevisionSchema.statics.publishDraft = function(module, userId, message) {
+  return withTransaction(async (session) => {
+    const draft = await this.findOne({ moduleId: module._id, status: 'draft' }).session(session);
+    if (!draft) {
+      return null;
+    }
+
+    const revision = await publishSnapshot(
+      this,
+      module,
+      draft.toObject({ depopulate: true }).snapshot,
+      userId,
+      { message, baseRevision: draft.baseRevision },
+      session
+    );
+    await this.deleteOne({ _id: draft._id }, { session });
+    return revision;
+  });
+};
+
+// Publish the content of an earlier revision as a new revision. Any
+// draft is kept. Returns the new revision, or null if `number` does not exist.
+moduleRevisionSchema.statics.rollback = function(module, number, userId, message) {
+  return withTransaction(async (session) => {
+    const target = await this.findOne({
+      moduleId: module._id,
+      status: 'published',
+      revision: number
+    }).session(session);
+    if (!target) {
+      return null;
+    }
+
+    return publishSnapshot(
+      this,
+      module,
+      target.toObject({ depopulate: true }).snapshot,
+      userId,
+      { message: message || `Rolled back to revision ${number}`, rollbackOf: number },
+      session
+    );
+  });
+};
+
+module.exports = mongoose.model('ModuleRevision', moduleRevisionSchema);
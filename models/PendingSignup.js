@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Holds signup details until the email address is verified.
+// The password is hashed before it is stored here and the record
+// expires together with its EmailVerification OTP.
+const pendingSignupSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  username: {
+    type: String,
+    required: true,
+  },
+  passwordHash: {
+    type: String,
+    required: true,
+  },
+  sessionId: {
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    default: () => new Date(Date.now() + 10 * 60 * 1000), // 10 minutes expiry
+  }
+}, {
+  timestamps: true
+});
+
+// Auto-delete expired records
+pendingSignupSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PendingSignup', pendingSignupSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Attempt counters for rate limiting and lockouts. Kept in Mongo so
+// every serverless instance sees the same counts.
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  windowStartedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Number of lockouts so far; each one doubles the next lockout
+  lockouts: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Auto-delete idle counters
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// One document per issued refresh token. Rotating a refresh token
+// creates a new document in the same family and marks the old one as
+// replaced; presenting a replaced token revokes the whole family.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  familyId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  device: String,
+  userAgent: String,
+  ip: String,
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  replacedAt: Date,
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout-all', 'reuse', 'revoked']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Auto-delete expired records
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Revoke every token issued for a login
+sessionSchema.statics.revokeFamily = function(familyId, reason) {
+  return this.updateMany(
+    { familyId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Revoke every token issued to a user
+sessionSchema.statics.revokeAllForUser = function(userId, reason) {
+  return this.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Active sessions are the newest, unrevoked token of each family
+sessionSchema.statics.findActiveByUser = function(userId) {
+  return this.find({
+    userId,
+    revokedAt: null,
+    replacedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,165 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
-
-// Add progress tracking schema
-const moduleProgressSchema = new mongoose.Schema({
-  moduleId: {
-    type: String,
-    required: true
-  },
-  subModuleId: {
-    type: String,
-    required: true
-  },
-  completed: {
-    type: Boolean,
-    default: false
-  },
-  completedAt: {
-    type: Date
-  },
-  lastVisited: {
-    type: Date,
-    default: Date.now
-  },
-  archived: {
-    type: Boolean,
-    default: false
-  },
-  archivedAt: {
-    type: Date
-  }
-});
-
-const enrollmentSchema = new mongoose.Schema({
-  course: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Course',
-    required: true,
-    validate: {
-      validator: async function(v) {
-        if (!v) return false;
-        const courseExists = await mongoose.model('Course').exists({ _id: v });
-        return courseExists;
-      },
-      message: 'Course does not exist'
-    }
-  },
-  enrolledAt: {
-    type: Date,
-    default: Date.now
-  },
-  lastAccessed: {
-    type: Date,
-    default: Date.now
-  },
-  progress: {
-    type: Number,
-    default: 0,
-    min: 0,
-    max: 100
-  },
-  moduleProgress: [moduleProgressSchema],
-  lastAccessed: {
-    type: Date,
-    default: Date.now
-  },
-  completedModules: {
-    type: Number,
-    default: 0
-  },
-  totalModules: {
-    type: Number,
-    default: 0
-  }
-});
-
-// Add this pre-save middleware for enrollmentSchema
-enrollmentSchema.pre('save', async function(next) {
-  try {
-    if (!this.course) {
-      throw new Error('Course reference is required');
-    }
-    
-    if (!mongoose.Types.ObjectId.isValid(this.course)) {
-      throw new Error('Invalid course ID format');
-    }
-
-    const courseExists = await mongoose.model('Course').exists({ _id: this.course });
-    if (!courseExists) {
-      throw new Error('Referenced course does not exist');
-    }
-
-    next();
-  } catch (error) {
-    next(error);
-  }
-});
-
-// Add method to update module progress
-enrollmentSchema.methods.updateModuleProgress = async function(moduleId, subModuleId) {
-  // Find existing progress entry
-  const moduleProgress = this.moduleProgress.find(
-    p => p.moduleId === moduleId && p.subModuleId === subModuleId
-  );
-
-  if (moduleProgress) {
-    // Update existing entry
-    if (!moduleProgress.completed) {
-      moduleProgress.completed = true;
-      moduleProgress.completedAt = new Date();
-    }
-    moduleProgress.lastVisited = new Date();
-  } else {
-    // Add new progress entry
-    this.moduleProgress.push({
-      moduleId,
-      subModuleId,
-      completed: true,
-      completedAt: new Date(),
-      lastVisited: new Date()
-    });
-  }
-
-  // Update completion stats
-  this.completedModules = this.moduleProgress.filter(p => p.completed).length;
-  
-  // Cap progress at 100% to prevent validation errors
-  if (this.totalModules > 0) {
-    this.progress = Math.min(100, Math.round((this.completedModules / this.totalModules) * 100));
-  } else {
-    this.progress = 0;
-  }
-  
-  this.lastAccessed = new Date();
-};
-
-// Add method to initialize module tracking
-enrollmentSchema.methods.initializeModuleTracking = function(modules) {
-  this.totalModules = modules.reduce((sum, module) => 
-    sum + module.subModules.length, 0
-  );
-  
-  // Initialize progress tracking for each module
-  modules.forEach(module => {
-    module.subModules.forEach(subModule => {
-      if (!this.moduleProgress.find(p => 
-        p.moduleId === module.id && p.subModuleId === subModule.id
-      )) {
-        this.moduleProgress.push({
-          moduleId: module.id,
-          subModuleId: subModule.id,
-          completed: false
-        });
-      }
-    });
-  });
-};
-
-// Add method to update last accessed time
-enrollmentSchema.methods.updateLastAccessed = function() {
-  this.lastAccessed = new Date();
-};
+const { verifyToken, decryptSecret, hashRecoveryCode } = require('../utils/totp');
+const { ROLES, PRIVILEGED_ROLES, getPermissionsForRoles, rolesHavePermission } = require('../utils/permissions');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -192,19 +34,80 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters long']
   },
-  enrolledCourses: [enrollmentSchema],
+  displayName: {
+    type: String,
+    trim: true,
+    maxlength: [60, 'Display name cannot exceed 60 characters']
+  },
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Bio cannot exceed 500 characters']
+  },
+  avatarUrl: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: function(v) {
+        return !v || /^https?:\/\/\S+$/.test(v);
+      },
+      message: 'Avatar URL must be an http(s) URL'
+    }
+  },
   resetPasswordToken: String,
   resetPasswordExpires: Date,
+  roles: {
+    type: [{
+      type: String,
+      enum: ROLES
+    }],
+    default: ['learner']
+  },
+  // Kept in sync with the admin role for older clients
   isAdmin: {
     type: Boolean,
     default: false
+  },
+  // TOTP two-factor authentication; secrets are stored encrypted
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: String,
+    pendingSecret: String,
+    recoveryCodes: [String], // sha256 hashes, removed once used
+    lastUsedStep: {
+      type: Number,
+      default: 0
+    },
+    enabledAt: Date
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      // Never serialize two-factor secrets
+      if (ret.twoFactor) {
+        ret.twoFactor = { enabled: ret.twoFactor.enabled, enabledAt: ret.twoFactor.enabledAt };
+      }
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
+// Keep the legacy isAdmin flag in sync with roles
+userSchema.pre('save', function(next) {
+  if (this.isModified('roles')) {
+    this.isAdmin = this.roles.includes('admin');
+  } else if (this.isModified('isAdmin') && this.isAdmin && !this.roles.includes('admin')) {
+    this.roles.push('admin');
+  }
+  next();
+});
+
 // Add better error handling to pre-save middleware
 userSchema.pre('save', async function(next) {
   try {
@@ -212,6 +115,11 @@ userSchema.pre('save', async function(next) {
     if (!this.isModified('password')) {
       return next();
     }
+
+    // Password was hashed before it reached the model (e.g. a pending signup)
+    if (this.$locals.passwordHashed) {
+      return next();
+    }
     
     // Validate password strength
     if (this.password.length < 6) {
@@ -248,91 +156,64 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
-// Update the enrollInCourse method
-userSchema.methods.enrollInCourse = async function(courseId) {
-  try {
-    // Validate courseId
-    if (!mongoose.Types.ObjectId.isValid(courseId)) {
-      throw new Error('Invalid course ID format');
-    }
+// Effective roles, treating accounts flagged isAdmin before roles existed as admins
+userSchema.methods.getRoles = function() {
+  const roles = this.roles && this.roles.length > 0 ? [...this.roles] : ['learner'];
+  if (this.isAdmin && !roles.includes('admin')) {
+    roles.push('admin');
+  }
+  return roles;
+};
 
-    // Check if course exists
-    const course = await mongoose.model('Course').findById(courseId);
-    if (!course) {
-      throw new Error('Course not found');
-    }
+userSchema.methods.hasRole = function(role) {
+  return this.getRoles().includes(role);
+};
 
-    // Check if already enrolled
-    if (this.enrolledCourses.some(e => e.course?.toString() === courseId.toString())) {
-      throw new Error('Already enrolled in this course');
-    }
-    
-    this.enrolledCourses.push({ 
-      course: courseId,
-      enrolledAt: new Date(),
-      progress: 0
-    });
-    
-    await this.save();
-    return this.enrolledCourses;
-  } catch (error) {
-    console.error('Error in enrollInCourse:', error);
-    throw error;
-  }
+userSchema.methods.hasPermission = function(permission) {
+  return rolesHavePermission(this.getRoles(), permission);
 };
 
-// Add method to get enrolled courses
-userSchema.methods.getEnrolledCourses = function() {
-  return this.enrolledCourses
-    .filter(enrollment => enrollment.course) // Filter out null references
-    .map(enrollment => ({
-      _id: enrollment.course._id,
-      courseId: enrollment.course._id, // Add this for compatibility
-      progress: enrollment.progress,
-      enrolledAt: enrollment.enrolledAt
-    }));
+userSchema.methods.getPermissions = function() {
+  return getPermissionsForRoles(this.getRoles());
 };
 
-// Update the cleanupEnrollments method
-userSchema.methods.cleanupEnrollments = async function() {
-  try {
-    const Course = mongoose.model('Course');
-    const validEnrollments = await Promise.all(
-      this.enrolledCourses.map(async (enrollment) => {
-        if (!enrollment.course) return null;
-        
-        const courseId = typeof enrollment.course === 'object' 
-          ? enrollment.course._id 
-          : enrollment.course;
+// Privileged accounts must enroll in two-factor authentication
+userSchema.methods.requiresTwoFactor = function() {
+  return this.getRoles().some(role => PRIVILEGED_ROLES.includes(role));
+};
 
-        if (!mongoose.Types.ObjectId.isValid(courseId)) return null;
+// Check a TOTP code or recovery code and consume it so it cannot be replayed
+userSchema.methods.consumeSecondFactor = async function(code) {
+  if (!this.twoFactor?.enabled || !this.twoFactor.secret || !code) {
+    return { valid: false };
+  }
 
-        const exists = await Course.exists({ _id: courseId });
-        return exists ? enrollment : null;
-      })
-    );
+  const User = this.constructor;
+  const trimmed = String(code).trim();
 
-    // Filter out null values and update enrollments
-    const filteredEnrollments = validEnrollments.filter(e => e !== null);
-    
-    if (filteredEnrollments.length !== this.enrolledCourses.length) {
-      this.enrolledCourses = filteredEnrollments;
-      await this.save();
-      return true;
+  if (/^\d{6}$/.test(trimmed)) {
+    const step = verifyToken(decryptSecret(this.twoFactor.secret), trimmed);
+    if (step === null) {
+      return { valid: false };
     }
-    return false;
-  } catch (error) {
-    console.error('Error in cleanupEnrollments:', error);
-    throw error;
+
+    const result = await User.updateOne(
+      { _id: this._id, 'twoFactor.lastUsedStep': { $lt: step } },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return { valid: result.modifiedCount === 1, method: 'totp' };
   }
-};
 
-// Add a pre-find middleware to ensure populated courses exist
-userSchema.pre('find', function() {
-  this.populate({
-    path: 'enrolledCourses.course',
-    match: { _id: { $exists: true } }
-  });
-});
+  const result = await User.updateOne(
+    { _id: this._id, 'twoFactor.recoveryCodes': hashRecoveryCode(trimmed) },
+    { $pull: { 'twoFactor.recoveryCodes': hashRecoveryCode(trimmed) } }
+  );
+
+  return {
+    valid: result.modifiedCount === 1,
+    method: 'recovery',
+    remainingRecoveryCodes: Math.max(0, this.twoFactor.recoveryCodes.length - result.modifiedCount)
+  };
+};
 
 module.exports = mongoose.model('User', userSchema);
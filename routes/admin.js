@@ -1,21 +1,60 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
-const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 const User = require('../models/User');
 const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const { ROLES, ROLE_PERMISSIONS } = require('../utils/permissions');
+const { deleteUserAccount } = require('../utils/accountService');
+const { buildUserExport, sendUserExport } = require('../utils/dataExport');
+const { BundleError, buildCourseBundle, importCourseBundle } = require('../utils/courseBundle');
+
+const BUNDLE_ERROR_STATUS = { invalid: 400, conflict: 409, not_found: 404 };
+
+// Enrolled users of each course, looked up through the courseId index
+const attachEnrolledUsers = async (courses) => {
+  const enrollments = await Enrollment.find({ courseId: { $in: courses.map(c => c._id) } })
+    .select('userId courseId progress enrolledAt lastAccessed')
+    .populate('userId', 'username email')
+    .lean();
+
+  const byCourse = new Map();
+  enrollments
+    .filter(enrollment => enrollment.userId)
+    .forEach(enrollment => {
+      const key = enrollment.courseId.toString();
+      if (!byCourse.has(key)) byCourse.set(key, []);
+      byCourse.get(key).push({
+        _id: enrollment.userId._id,
+        username: enrollment.userId.username,
+        email: enrollment.userId.email,
+        progress: enrollment.progress,
+        enrolledAt: enrollment.enrolledAt,
+        lastAccessed: enrollment.lastAccessed
+      });
+    });
+
+  return courses.map(course => ({
+    ...course.toJSON(),
+    enrolledUsers: byCourse.get(course._id.toString()) || []
+  }));
+};
 
 // Get dashboard stats
-router.get('/stats', adminAuth, async (req, res) => {
+router.get('/stats', requirePermission('stats:read'), async (req, res) => {
   try {
     const totalUsers = await User.countDocuments();
     const totalCourses = await Course.countDocuments();
+    const totalEnrollments = await Enrollment.estimatedDocumentCount();
     const recentUsers = await User.find().sort({ createdAt: -1 }).limit(5);
     const recentCourses = await Course.find().sort({ createdAt: -1 }).limit(5);
 
     res.json({
       stats: {
         totalUsers,
-        totalCourses
+        totalCourses,
+        totalEnrollments
       },
       recentUsers,
       recentCourses
@@ -26,7 +65,7 @@ router.get('/stats', adminAuth, async (req, res) => {
 });
 
 // Get all users
-router.get('/users', adminAuth, async (req, res) => {
+router.get('/users', requirePermission('users:read'), async (req, res) => {
   try {
     const users = await User.find()
       .select('-password')
@@ -38,19 +77,22 @@ router.get('/users', adminAuth, async (req, res) => {
 });
 
 // Get all courses with detailed info
-router.get('/courses', adminAuth, async (req, res) => {
+router.get('/courses', requirePermission('courses:write'), async (req, res) => {
   try {
-    const courses = await Course.find().populate('enrolledUsers', 'username email');
-    res.json(courses);
+    const courses = await Course.find();
+    res.json(await attachEnrolledUsers(courses));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // Add new course
-router.post('/courses', adminAuth, async (req, res) => {
+router.post('/courses', requirePermission('courses:write'), async (req, res) => {
   try {
-    const course = await Course.create(req.body);
+    const course = await Course.create({
+      ...req.body,
+      lastEditedBy: req.currentUser._id
+    });
     res.status(201).json(course);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -58,12 +100,15 @@ router.post('/courses', adminAuth, async (req, res) => {
 });
 
 // Update course
-router.put('/courses/:id', adminAuth, async (req, res) => {
+router.put('/courses/:id', requirePermission('courses:write'), async (req, res) => {
   try {
     const course = await Course.findByIdAndUpdate(
       req.params.id,
-      req.body,
-      { new: true }
+      {
+        ...req.body,
+        lastEditedBy: req.currentUser._id
+      },
+      { new: true, runValidators: true }
     );
     res.json(course);
   } catch (error) {
@@ -71,8 +116,58 @@ router.put('/courses/:id', adminAuth, async (req, res) => {
   }
 });
 
+// Export a course with all its modules as a portable JSON bundle
+router.get('/courses/:id/export', requirePermission('courses:write'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid course id' });
+    }
+
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    const bundle = await buildCourseBundle(course);
+    const baseName = `${course.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'course'}-${bundle.exportedAt.slice(0, 10)}`;
+
+    res.set('Content-Type', 'application/json; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${baseName}.course.json"`);
+    res.send(JSON.stringify(bundle, null, 2));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Import a course bundle, as a new course or into an existing one.
+// Body: the bundle itself (options in the query string), or
+// { bundle, mode: 'create' | 'upsert', courseId, title }
+router.post('/courses/import', requirePermission('courses:write'), async (req, res) => {
+  try {
+    const wrapped = req.body && req.body.bundle;
+    const options = wrapped ? req.body : req.query;
+
+    const result = await importCourseBundle(wrapped || req.body, {
+      mode: options.mode || 'create',
+      courseId: options.courseId,
+      title: options.title,
+      userId: req.currentUser._id
+    });
+
+    res.status(result.created ? 201 : 200).json(result);
+  } catch (error) {
+    if (error instanceof BundleError) {
+      return res.status(BUNDLE_ERROR_STATUS[error.code] || 400).json({
+        error: error.message,
+        fields: error.fields
+      });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Delete course
-router.delete('/courses/:id', adminAuth, async (req, res) => {
+router.delete('/courses/:id', requirePermission('courses:delete'), async (req, res) => {
   try {
     await Course.findByIdAndDelete(req.params.id);
     res.json({ message: 'Course deleted successfully' });
@@ -81,18 +176,122 @@ router.delete('/courses/:id', adminAuth, async (req, res) => {
   }
 });
 
+// Assign an instructor to a course
+router.post('/courses/:id/instructors', requirePermission('courses:write'), async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    const instructor = await User.findById(userId);
+    if (!instructor) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!instructor.hasRole('instructor')) {
+      return res.status(400).json({ error: 'User does not have the instructor role' });
+    }
+
+    const course = await Course.findByIdAndUpdate(
+      req.params.id,
+      {
+        $addToSet: { instructors: instructor._id },
+        lastEditedBy: req.currentUser._id
+      },
+      { new: true }
+    );
+
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    res.json({
+      message: 'Instructor assigned',
+      instructors: course.instructors
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove an instructor from a course
+router.delete('/courses/:id/instructors/:userId', requirePermission('courses:write'), async (req, res) => {
+  try {
+    const course = await Course.findByIdAndUpdate(
+      req.params.id,
+      {
+        $pull: { instructors: req.params.userId },
+        lastEditedBy: req.currentUser._id
+      },
+      { new: true }
+    );
+
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    res.json({
+      message: 'Instructor removed',
+      instructors: course.instructors
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get user enrollments
-router.get('/enrollments', adminAuth, async (req, res) => {
+router.get('/enrollments', requirePermission('users:read'), async (req, res) => {
   try {
-    const courses = await Course.find().populate('enrolledUsers', 'username email');
-    res.json(courses);
+    const courses = await Course.find();
+    res.json(await attachEnrolledUsers(courses));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the users enrolled in one course
+router.get('/courses/:id/enrollments', requirePermission('users:read'), async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id).select('title enrollmentCount');
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    const enrollments = await Enrollment.find({ courseId: course._id })
+      .select('-moduleProgress')
+      .populate('userId', 'username email')
+      .sort({ enrolledAt: -1 });
+
+    res.json({
+      course,
+      count: enrollments.length,
+      enrollments
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export all personal data held on a user (data-subject requests)
+router.get('/users/:id/export', requirePermission('users:export'), async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!['json', 'zip'].includes(format)) {
+      return res.status(400).json({ error: 'Format must be json or zip' });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const data = await buildUserExport(user);
+    sendUserExport(res, data, format);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // Delete user
-router.delete('/users/:id', adminAuth, async (req, res) => {
+router.delete('/users/:id', requirePermission('users:delete'), async (req, res) => {
   try {
     const userId = req.params.id;
     
@@ -102,15 +301,104 @@ router.delete('/users/:id', adminAuth, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
     
-    if (user.email === process.env.ADMIN_EMAIL) {
+    if (user.hasRole('admin')) {
       return res.status(403).json({ error: 'Cannot delete admin user' });
     }
 
-    await User.findByIdAndDelete(userId);
+    await deleteUserAccount(user);
     res.json({ message: 'User deleted successfully' });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// List roles and the permissions they grant
+router.get('/roles', requirePermission('roles:manage'), async (req, res) => {
+  res.json({
+    roles: ROLES.map(role => ({
+      role,
+      permissions: ROLE_PERMISSIONS[role]
+    }))
+  });
+});
+
+// Grant a role to a user
+router.post('/users/:id/roles', requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Unknown role: ${role}` });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!user.hasRole(role)) {
+      user.roles = [...user.getRoles(), role];
+      await user.save();
+    }
+
+    res.json({
+      message: `Role ${role} granted`,
+      user: {
+        id: user._id,
+        email: user.email,
+        roles: user.getRoles()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke a role from a user
+router.delete('/users/:id/roles/:role', requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { id, role } = req.params;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Unknown role: ${role}` });
+    }
+
+    if (role === 'learner') {
+      return res.status(400).json({ error: 'The learner role cannot be revoked' });
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (role === 'admin') {
+      if (user._id.equals(req.currentUser._id)) {
+        return res.status(400).json({ error: 'You cannot revoke your own admin role' });
+      }
+
+      const adminCount = await User.countDocuments({
+        $or: [{ roles: 'admin' }, { isAdmin: true }]
+      });
+      if (adminCount <= 1) {
+        return res.status(400).json({ error: 'Cannot revoke the last admin' });
+      }
+    }
+
+    user.roles = user.getRoles().filter(r => r !== role);
+    await user.save();
+
+    res.json({
+      message: `Role ${role} revoked`,
+      user: {
+        id: user._id,
+        email: user.email,
+        roles: user.getRoles()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router;
@@ -2,18 +2,35 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const EmailVerification = require('../models/EmailVerification');
+const PendingSignup = require('../models/PendingSignup');
 const { sendVerificationEmail } = require('../utils/emailService');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const authenticateToken = require('../middleware/auth');
+const Session = require('../models/Session');
+const {
+  issueTokens,
+  rotateRefreshToken,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  signPasswordResetToken,
+  verifyPasswordResetToken
+} = require('../utils/tokenService');
+const totp = require('../utils/totp');
+const bruteForce = require('../middleware/bruteForce');
+
+// Two-factor attempts are counted against the user in the challenge token
+const challengeAccount = (req) => {
+  try {
+    return verifyTwoFactorChallenge(req.body.challengeToken);
+  } catch (error) {
+    return undefined;
+  }
+};
 
 // Extend OTP validity to 30 minutes
 const OTP_EXPIRY_TIME = 30 * 60 * 1000; // 30 minutes
 
-// Generate OTP
-const generateOTP = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
-};
-
 // Signup route
 router.post('/signup', async (req, res) => {
   try {
@@ -25,26 +42,39 @@ router.post('/signup', async (req, res) => {
       return res.status(400).json({ message: 'User already exists' });
     }
 
-    // Generate OTP
-    const otp = generateOTP();
-    
-    // Save OTP and email to verification collection with extended expiry
-    await EmailVerification.create({
-      email,
-      otp,
-      expiresAt: new Date(Date.now() + OTP_EXPIRY_TIME)
-    });
+    // Validate the signup details up front so the user is not asked to
+    // verify an email for an account that can never be created
+    try {
+      await new User({ email, password, username }).validate();
+    } catch (validationError) {
+      if (validationError.name === 'ValidationError') {
+        const messages = Object.values(validationError.errors).map(err => err.message);
+        return res.status(400).json({ message: 'Validation failed', details: messages });
+      }
+      throw validationError;
+    }
 
-    // Store user data with session ID
-    const sessionId = Math.random().toString(36).substring(7);
-    req.app.locals.tempUserData = req.app.locals.tempUserData || {};
-    req.app.locals.tempUserData[email] = {
-      email,
-      password,
-      username,
-      sessionId,
-      timestamp: Date.now()
-    };
+    // Issue OTP (replaces any earlier verification code for this email)
+    const otp = await EmailVerification.issue(email, 'verify', OTP_EXPIRY_TIME);
+    const expiresAt = new Date(Date.now() + OTP_EXPIRY_TIME);
+
+    // Store the pending signup with a hashed password; a repeated signup
+    // for the same email replaces the previous one
+    const salt = await bcrypt.genSalt(10);
+    const passwordHash = await bcrypt.hash(password, salt);
+    const sessionId = crypto.randomBytes(16).toString('hex');
+
+    await PendingSignup.findOneAndUpdate(
+      { email },
+      {
+        email,
+        username,
+        passwordHash,
+        sessionId,
+        expiresAt
+      },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
 
     // Send verification email
     await sendVerificationEmail(email, otp);
@@ -62,51 +92,60 @@ router.post('/signup', async (req, res) => {
 });
 
 // Verify OTP route
-router.post('/verify-email', async (req, res) => {
+router.post('/verify-email', bruteForce('verify-otp'), async (req, res) => {
   try {
     const { email, otp, sessionId } = req.body;
     
-    // Verify OTP
-    const verification = await EmailVerification.findOne({
-      email,
-      otp,
-      expiresAt: { $gt: new Date() }
-    });
+    // Verify and consume OTP
+    const verification = await EmailVerification.consume(email, 'verify', otp);
 
     if (!verification) {
-      return res.status(400).json({ message: 'Invalid or expired OTP' });
+      const invalidated = await EmailVerification.registerFailedAttempt(email, 'verify');
+      return res.status(400).json({
+        message: invalidated
+          ? 'Too many wrong codes, please request a new one'
+          : 'Invalid or expired OTP'
+      });
     }
 
-    // Get temporary user data
-    const tempUserData = req.app.locals.tempUserData || {};
-    const userData = tempUserData[email];
+    await req.attemptLimiter.reset();
+
+    // Consume the pending signup atomically so concurrent requests
+    // cannot create the same user twice
+    const pendingSignup = await PendingSignup.findOneAndDelete({
+      email,
+      sessionId,
+      expiresAt: { $gt: new Date() }
+    });
 
-    if (!userData || userData.sessionId !== sessionId) {
+    if (!pendingSignup) {
       return res.status(400).json({ message: 'Session expired, please sign up again' });
     }
 
-    // Create user
-    const user = await User.create({
-      email: userData.email,
-      password: userData.password,
-      username: userData.username,
-      isEmailVerified: true
+    // Create user; the password is already hashed
+    const user = new User({
+      email: pendingSignup.email,
+      password: pendingSignup.passwordHash,
+      username: pendingSignup.username
     });
+    user.$locals.passwordHashed = true;
 
-    // Clean up
-    delete req.app.locals.tempUserData[email];
-    await EmailVerification.deleteOne({ _id: verification._id });
+    try {
+      await user.save();
+    } catch (saveError) {
+      if (saveError.code === 11000) {
+        return res.status(400).json({ message: 'User already exists' });
+      }
+      throw saveError;
+    }
 
-    // Generate token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Start a session
+    const { token, refreshToken } = await issueTokens(user, req);
 
     res.status(200).json({
       message: 'Email verified successfully',
       token,
+      refreshToken,
       user: {
         id: user._id,
         email: user.email,
@@ -120,35 +159,17 @@ router.post('/verify-email', async (req, res) => {
   }
 });
 
-// Clean up expired sessions periodically
-setInterval(() => {
-  if (req.app.locals.tempUserData) {
-    const now = Date.now();
-    Object.keys(req.app.locals.tempUserData).forEach(email => {
-      if (now - req.app.locals.tempUserData[email].timestamp > OTP_EXPIRY_TIME) {
-        delete req.app.locals.tempUserData[email];
-      }
-    });
-  }
-}, 5 * 60 * 1000); // Clean up every 5 minutes
-
 // Resend OTP route
-router.post('/resend-otp', async (req, res) => {
+router.post('/resend-otp', bruteForce('resend-otp'), async (req, res) => {
   try {
     const { email } = req.body;
-    
-    // Generate new OTP
-    const otp = generateOTP();
-    
-    // Update or create new verification
-    await EmailVerification.findOneAndUpdate(
-      { email },
-      {
-        otp,
-        expiresAt: new Date(Date.now() + OTP_EXPIRY_TIME)
-      },
-      { upsert: true }
-    );
+
+    // Issue a new OTP; the previous one stops working
+    const otp = await EmailVerification.issue(email, 'verify', OTP_EXPIRY_TIME);
+    const expiresAt = new Date(Date.now() + OTP_EXPIRY_TIME);
+
+    // Keep the pending signup alive as long as the new code
+    await PendingSignup.updateOne({ email }, { expiresAt });
 
     // Send new verification email
     await sendVerificationEmail(email, otp);
@@ -164,8 +185,31 @@ router.post('/resend-otp', async (req, res) => {
   }
 });
 
+// Start a session and build the signin payload
+const buildSigninResponse = async (user, req) => {
+  const isAdmin = user.hasRole('admin');
+  const { token, refreshToken } = await issueTokens(user, req);
+
+  return {
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      isAdmin: isAdmin,
+      roles: user.getRoles(),
+      permissions: user.getPermissions(),
+      twoFactorEnabled: Boolean(user.twoFactor?.enabled)
+    },
+    // Privileged accounts must enroll before using their permissions
+    twoFactorSetupRequired: user.requiresTwoFactor() && !user.twoFactor?.enabled,
+    redirectTo: isAdmin ? '/admin' : '/learning-dashboard'
+  };
+};
+
 // Signin route
-router.post('/signin', async (req, res) => {
+router.post('/signin', bruteForce('signin'), async (req, res) => {
   try {
     const { email, password } = req.body;
     
@@ -181,57 +225,211 @@ router.post('/signin', async (req, res) => {
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
-    // Check if user is admin
-    const isAdmin = user.email === process.env.ADMIN_EMAIL;
+    await req.attemptLimiter.reset();
 
-    const token = jwt.sign(
-      { 
-        userId: user._id,
-        isAdmin: isAdmin 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Password is correct; a second factor is still needed
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: signTwoFactorChallenge(user)
+      });
+    }
 
-    // Set admin-specific response
-    const userData = {
-      id: user._id,
-      username: user.username,
-      email: user.email,
-      isAdmin: isAdmin
-    };
+    res.json(await buildSigninResponse(user, req));
+  } catch (error) {
+    console.error('Signin error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Complete a two-factor signin with a TOTP or recovery code
+router.post('/signin/2fa', bruteForce('two-factor', challengeAccount), async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    const userId = verifyTwoFactorChallenge(challengeToken);
+    const user = await User.findById(userId);
+
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(401).json({ error: 'Invalid or expired challenge token' });
+    }
+
+    const result = await user.consumeSecondFactor(code);
+    if (!result.valid) {
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    await req.attemptLimiter.reset();
+    const response = await buildSigninResponse(user, req);
+    if (result.method === 'recovery') {
+      response.remainingRecoveryCodes = result.remainingRecoveryCodes;
+    }
+
+    res.json(response);
+  } catch (error) {
+    if (error.name === 'TokenError') {
+      return res.status(401).json({ error: error.message });
+    }
+    console.error('Two-factor signin error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Start two-factor enrollment: returns a secret and its provisioning URI
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = totp.encryptSecret(secret);
+    await user.save();
 
     res.json({
-      token,
-      user: userData,
-      redirectTo: isAdmin ? '/admin' : '/learning-dashboard'
+      secret,
+      otpauthUrl: totp.buildProvisioningUri(secret, user.email)
     });
   } catch (error) {
-    console.error('Signin error:', error);
-    res.status(500).json({ error: error.message });
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ error: 'Error starting two-factor setup' });
+  }
+});
+
+// Confirm enrollment with a code from the authenticator app
+router.post('/2fa/enable', authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+
+    const step = totp.verifyToken(totp.decryptSecret(user.twoFactor.pendingSecret), code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = totp.generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    // Sessions opened with only a password end here
+    await Session.updateMany(
+      { userId: user._id, familyId: { $ne: req.user.sid }, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'revoked' }
+    );
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ error: 'Error enabling two-factor authentication' });
+  }
+});
+
+// Turn two-factor authentication off (not allowed for privileged roles)
+router.post('/2fa/disable', authenticateToken, bruteForce('two-factor', req => req.user.userId), async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (user.requiresTwoFactor()) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for your role' });
+    }
+
+    const isMatch = await bcrypt.compare(password || '', user.password);
+    if (!isMatch) {
+      return res.status(401).json({ error: 'Invalid password' });
+    }
+
+    const result = await user.consumeSecondFactor(code);
+    if (!result.valid) {
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    await req.attemptLimiter.reset();
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ error: 'Error disabling two-factor authentication' });
+  }
+});
+
+// Replace the recovery codes
+router.post('/2fa/recovery-codes', authenticateToken, bruteForce('two-factor', req => req.user.userId), async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user.userId);
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const result = await user.consumeSecondFactor(code);
+    if (!result.valid) {
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    await req.attemptLimiter.reset();
+    const { codes, hashes } = totp.generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'twoFactor.recoveryCodes': hashes } }
+    );
+
+    res.json({ recoveryCodes: codes });
+  } catch (error) {
+    console.error('Recovery code error:', error);
+    res.status(500).json({ error: 'Error generating recovery codes' });
   }
 });
 
 // Modify forgot password route to use OTP
-router.post('/forgot-password', async (req, res) => {
+router.post('/forgot-password', bruteForce('resend-otp'), async (req, res) => {
   try {
     const { email } = req.body;
-    
+
     const user = await User.findOne({ email });
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Generate OTP for password reset
-    const otp = generateOTP();
-    
-    // Save OTP and email to verification collection with password reset flag
-    await EmailVerification.create({
-      email,
-      otp,
-      isPasswordReset: true,
-      expiresAt: new Date(Date.now() + OTP_EXPIRY_TIME) // 30 minutes expiry
-    });
+    // Issue OTP for password reset; any earlier reset code stops working
+    const otp = await EmailVerification.issue(email, 'reset', OTP_EXPIRY_TIME);
 
     // Send OTP email
     await sendVerificationEmail(email, otp, 'reset_password');
@@ -246,63 +444,160 @@ router.post('/forgot-password', async (req, res) => {
   }
 });
 
-// Modify reset password route to use OTP verification
-router.post('/reset-password', async (req, res) => {
+// Verify the reset code and exchange it for a short-lived reset token
+router.post('/verify-reset-otp', bruteForce('verify-otp'), async (req, res) => {
   try {
-    const { email, otp, newPassword } = req.body;
+    const { email, otp } = req.body;
     
-    // Verify OTP
-    const verification = await EmailVerification.findOne({
-      email,
-      otp,
-      isPasswordReset: true,
-      expiresAt: { $gt: new Date() }
-    });
+    const verification = await EmailVerification.consume(email, 'reset', otp);
 
     if (!verification) {
-      return res.status(400).json({ message: 'Invalid or expired reset code' });
+      const invalidated = await EmailVerification.registerFailedAttempt(email, 'reset');
+      return res.status(400).json({
+        message: invalidated
+          ? 'Too many wrong codes, please request a new one'
+          : 'Invalid or expired reset code'
+      });
     }
 
-    // Find and update user password
+    await req.attemptLimiter.reset();
+
     const user = await User.findOne({ email });
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    res.json({
+      message: 'Reset code verified',
+      resetToken: signPasswordResetToken(user)
+    });
+  } catch (error) {
+    console.error('Verify reset OTP error:', error);
+    res.status(500).json({ message: 'Error verifying reset code' });
+  }
+});
+
+// Reset password with the token from /verify-reset-otp
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { resetToken, newPassword } = req.body;
+
+    if (!resetToken) {
+      return res.status(400).json({ message: 'Reset token required' });
+    }
+
+    // Token is bound to the current password, so it can only be used once
+    const user = await verifyPasswordResetToken(resetToken);
+
     // Update password (will be hashed by pre-save middleware)
     user.password = newPassword;
-    await user.save();
+    try {
+      await user.save();
+    } catch (saveError) {
+      if (saveError.name === 'ValidationError' || saveError.message.includes('Password must')) {
+        return res.status(400).json({ message: saveError.message });
+      }
+      throw saveError;
+    }
 
-    // Clean up verification
-    await EmailVerification.deleteOne({ _id: verification._id });
+    // Sign out everywhere; existing sessions may belong to whoever knew the old password
+    await Session.revokeAllForUser(user._id, 'logout-all');
 
     res.json({ message: 'Password reset successful' });
   } catch (error) {
+    if (error.name === 'TokenError') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Reset password error:', error);
     res.status(500).json({ message: 'Error resetting password' });
   }
 });
 
-// Add verify reset OTP route
-router.post('/verify-reset-otp', async (req, res) => {
+// Exchange a refresh token for a new token pair
+router.post('/refresh', async (req, res) => {
   try {
-    const { email, otp } = req.body;
-    
-    const verification = await EmailVerification.findOne({
-      email,
-      otp,
-      isPasswordReset: true,
-      expiresAt: { $gt: new Date() }
+    const { refreshToken } = req.body;
+
+    const tokens = await rotateRefreshToken(refreshToken, req);
+
+    res.json({
+      token: tokens.token,
+      refreshToken: tokens.refreshToken
     });
+  } catch (error) {
+    if (error.name === 'TokenError') {
+      return res.status(401).json({ error: error.message, code: error.code });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Error refreshing session' });
+  }
+});
 
-    if (!verification) {
-      return res.status(400).json({ message: 'Invalid or expired reset code' });
+// Sign out of the current session
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await Session.revokeFamily(req.user.sid, 'logout');
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Error logging out' });
+  }
+});
+
+// Sign out of every session for the current user
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user.userId, 'logout-all');
+    res.json({
+      message: 'Logged out of all sessions',
+      revoked: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Error logging out of all sessions' });
+  }
+});
+
+// List active sessions for the current user
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveByUser(req.user.userId);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session.familyId,
+        device: session.device,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        startedAt: session.startedAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session.familyId === req.user.sid
+      }))
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ error: 'Error fetching sessions' });
+  }
+});
+
+// Revoke a single session belonging to the current user
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const exists = await Session.exists({
+      familyId: req.params.sessionId,
+      userId: req.user.userId
+    });
+
+    if (!exists) {
+      return res.status(404).json({ error: 'Session not found' });
     }
 
-    res.json({ message: 'Reset code verified' });
+    await Session.revokeFamily(req.params.sessionId, 'revoked');
+    res.json({ message: 'Session revoked' });
   } catch (error) {
-    console.error('Verify reset OTP error:', error);
-    res.status(500).json({ message: 'Error verifying reset code' });
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Error revoking session' });
   }
 });
 
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const nodemailer = require('nodemailer');
+const ContactSubmission = require('../models/ContactSubmission');
 
 const transporter = nodemailer.createTransport({
   service: 'gmail',
@@ -15,6 +16,9 @@ router.post('/send', async (req, res) => {
   try {
     const { name, email, subject, message } = req.body;
 
+    // Keep a copy so it can be included in data exports
+    const submission = await ContactSubmission.create({ name, email, subject, message });
+
     const mailOptions = {
       from: process.env.EMAIL_USER,
       to: 'codeteach26@gmail.com', // Your receiving email
@@ -30,8 +34,14 @@ router.post('/send', async (req, res) => {
     };
 
     await transporter.sendMail(mailOptions);
+
+    submission.emailSent = true;
+    await submission.save();
     res.status(200).json({ message: 'Email sent successfully' });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Email and message are required' });
+    }
     console.error('Email sending error:', error);
     res.status(500).json({ message: 'Failed to send email' });
   }
@@ -1,46 +1,42 @@
 const express = require('express');
 const router = express.Router();
-const Course = require('../models/Course');
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
+const Enrollment = require('../models/Enrollment');
 const mongoose = require('mongoose');
-
-// Middleware to verify JWT token
-const authenticateToken = async (req, res, next) => {
-  try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
-    if (!token) {
-      return res.status(401).json({ error: 'Access token required' });
-    }
-
-    jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-      if (err) {
-        return res.status(403).json({ error: 'Invalid or expired token' });
-      }
-      req.user = decoded;
-      next();
-    });
-  } catch (error) {
-    res.status(401).json({ error: 'Authentication failed' });
-  }
+const authenticateToken = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const { signAccessToken } = require('../utils/tokenService');
+const {
+  initializeEnrollmentProgress,
+  updateSubModuleProgress
+} = require('../utils/courseIndexing');
+const { findVisibleCourses, isCourseVisible } = require('../utils/contentVisibility');
+
+// Enrolled courses as returned to the client with a fresh token
+const summarizeEnrollments = (enrollments) => {
+  return enrollments.map(enrollment => ({
+    _id: enrollment.courseId,
+    courseId: enrollment.courseId, // Add this for compatibility
+    progress: enrollment.progress,
+    enrolledAt: enrollment.enrolledAt
+  }));
 };
 
-// Get all courses
+// Get all published courses
 router.get('/', async (req, res) => {
   try {
-    const courses = await Course.find({});
+    const courses = await findVisibleCourses();
     res.json(courses);
   } catch (error) {
     res.status(500).json({ error: 'Error fetching courses' });
   }
 });
 
-// Get all courses (alternative endpoint for module manager)
+// Get all published courses (alternative endpoint for module manager;
+// editors list every course through GET /admin/courses)
 router.get('/all', async (req, res) => {
   try {
-    const courses = await Course.find({}).select('_id title shortName category language totalModules');
+    const courses = await findVisibleCourses().select('_id title shortName category language totalModules');
     res.json(courses);
   } catch (error) {
     res.status(500).json({ error: 'Error fetching courses' });
@@ -58,29 +54,19 @@ router.post('/enroll/:courseId', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    const course = await Course.findById(courseId);
-    if (!course) {
+    if (!(await isCourseVisible(courseId))) {
       return res.status(404).json({ error: 'Course not found' });
     }
 
-    // Check if already enrolled
-    const isEnrolled = user.enrolledCourses.some(
-      enrollment => enrollment.course.toString() === courseId
-    );
+    // Same enrollment path as /api/progress/enroll
+    const result = await initializeEnrollmentProgress(userId, courseId);
 
-    if (isEnrolled) {
+    if (result.alreadyEnrolled) {
       return res.status(400).json({ error: 'Already enrolled in this course' });
     }
 
-    // Add course to user's enrolled courses
-    await user.enrollInCourse(courseId);
-
-    // Generate new token with updated user data
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Generate new token with updated user data for the same session
+    const token = signAccessToken(user, req.user.sid);
 
     res.json({
       message: 'Successfully enrolled in course',
@@ -89,7 +75,7 @@ router.post('/enroll/:courseId', authenticateToken, async (req, res) => {
         id: user._id,
         username: user.username,
         email: user.email,
-        enrolledCourses: user.getEnrolledCourses()
+        enrolledCourses: summarizeEnrollments(await Enrollment.find({ userId }))
       }
     });
 
@@ -102,24 +88,17 @@ router.post('/enroll/:courseId', authenticateToken, async (req, res) => {
 // Add this new route for unenrolling
 router.delete('/enroll/:courseId', authenticateToken, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    if (!mongoose.Types.ObjectId.isValid(req.params.courseId)) {
+      return res.status(404).json({ error: 'Course enrollment not found' });
     }
 
-    // Find and remove the enrolled course
-    const courseIndex = user.enrolledCourses.findIndex(
-      enrollment => enrollment.course.toString() === req.params.courseId
-    );
+    // Removes the enrollment and decrements enrollmentCount together
+    const removed = await Enrollment.unenroll(req.user.userId, req.params.courseId);
 
-    if (courseIndex === -1) {
+    if (!removed) {
       return res.status(404).json({ error: 'Course enrollment not found' });
     }
 
-    // Remove the course from enrolledCourses array
-    user.enrolledCourses.splice(courseIndex, 1);
-    await user.save();
-
     res.json({ message: 'Successfully unenrolled from course' });
   } catch (error) {
     console.error('Unenrollment error:', error);
@@ -134,30 +113,15 @@ router.get('/enrolled', authenticateToken, async (req, res) => {
       throw new Error('Database connection not ready');
     }
 
-    const user = await User.findById(req.user.userId)
-      .populate({
-        path: 'enrolledCourses.course',
-        model: 'Course',
-        match: { _id: { $exists: true } }
-      });
-    
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+    const enrollments = await Enrollment.find({ userId: req.user.userId })
+      .populate('courseId')
+      .sort({ lastAccessed: -1 });
 
-    console.log('Raw enrolled courses:', JSON.stringify(user.enrolledCourses, null, 2));
-
-    // Enhanced validation for enrolled courses
-    const validEnrollments = user.enrolledCourses.filter(enrollment => {
-      if (!enrollment.course) {
-        console.log('Invalid enrollment found:', JSON.stringify(enrollment, null, 2));
-        return false;
-      }
-      return true;
-    });
+    // Skip enrollments whose course has been deleted
+    const validEnrollments = enrollments.filter(enrollment => enrollment.courseId);
 
     const enrolledCourses = validEnrollments.map(enrollment => {
-      const course = enrollment.course;
+      const course = enrollment.courseId;
       return {
         _id: course._id,
         courseId: course._id,
@@ -193,70 +157,42 @@ router.get('/enrolled', authenticateToken, async (req, res) => {
 // Update course progress route with better error handling
 router.put('/progress/:courseId', authenticateToken, async (req, res) => {
   try {
-    const { moduleId, subModuleId, modules } = req.body;
+    const { moduleId, subModuleId } = req.body;
     const courseId = req.params.courseId;
     const userId = req.user.userId;
 
     console.log('Progress update request:', { userId, courseId, moduleId, subModuleId });
 
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    // Log all enrollments for debugging
-    console.log('All enrollments:', user.enrolledCourses.map(e => ({
-      courseId: e.course?.toString(),
-      progress: e.progress
-    })));
-
-    const courseEnrollment = user.enrolledCourses.find(
-      enrollment => enrollment.course?.toString() === courseId
-    );
+    const courseEnrollment = mongoose.Types.ObjectId.isValid(courseId)
+      && await Enrollment.exists({ userId, courseId });
 
     if (!courseEnrollment) {
       return res.status(404).json({ 
         error: 'Course enrollment not found',
         debug: {
-          requestedCourseId: courseId,
-          availableEnrollments: user.enrolledCourses.map(e => e.course?.toString())
+          requestedCourseId: courseId
         }
       });
     }
 
-    // Clean up duplicate progress entries
-    if (courseEnrollment.moduleProgress && courseEnrollment.moduleProgress.length > 0) {
-      const uniqueProgress = new Map();
-      courseEnrollment.moduleProgress.forEach(p => {
-        const key = `${p.moduleId}-${p.subModuleId}`;
-        if (!uniqueProgress.has(key) || p.completed) {
-          uniqueProgress.set(key, p);
-        }
-      });
-      courseEnrollment.moduleProgress = Array.from(uniqueProgress.values());
+    if (!moduleId || !subModuleId) {
+      return res.status(400).json({ error: 'moduleId and subModuleId are required' });
     }
 
-    // Initialize or update module progress
-    if (moduleId && subModuleId) {
-      if (!courseEnrollment.moduleProgress) {
-        courseEnrollment.moduleProgress = [];
-      }
-      if (!courseEnrollment.totalModules && modules) {
-        courseEnrollment.initializeModuleTracking(modules);
-      }
-      await courseEnrollment.updateModuleProgress(moduleId, subModuleId);
-    }
-
-    await user.save();
+    // Same progress path as /api/progress/:courseId/module/:moduleId/submodule/:subModuleId
+    const result = await updateSubModuleProgress(userId, courseId, moduleId, subModuleId);
 
     res.json({ 
       message: 'Progress updated successfully',
-      progress: courseEnrollment.progress,
-      completedModules: courseEnrollment.completedModules,
-      totalModules: courseEnrollment.totalModules,
-      lastAccessed: courseEnrollment.lastAccessed
+      progress: result.progress,
+      completedModules: result.completedModules,
+      totalModules: result.totalModules,
+      lastAccessed: result.lastAccessed
     });
   } catch (error) {
+    if (error.name === 'PrerequisiteError') {
+      return res.status(403).json({ error: error.message, missingPrerequisites: error.missing });
+    }
     console.error('Progress update error:', error);
     res.status(500).json({ 
       error: 'Error updating progress',
@@ -269,14 +205,14 @@ router.put('/progress/:courseId', authenticateToken, async (req, res) => {
 // Update this route to include more comprehensive progress data
 router.get('/progress/:courseId', authenticateToken, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    if (!mongoose.Types.ObjectId.isValid(req.params.courseId)) {
+      return res.status(404).json({ error: 'Course enrollment not found' });
     }
 
-    const courseEnrollment = user.enrolledCourses.find(
-      enrollment => enrollment.course.toString() === req.params.courseId
-    );
+    const courseEnrollment = await Enrollment.findOne({
+      userId: req.user.userId,
+      courseId: req.params.courseId
+    });
 
     if (!courseEnrollment) {
       return res.status(404).json({ error: 'Course enrollment not found' });
@@ -311,7 +247,7 @@ router.get('/progress/:courseId', authenticateToken, async (req, res) => {
 });
 
 // Add admin route to fix enrollments
-router.post('/fix-enrollments', authenticateToken, async (req, res) => {
+router.post('/fix-enrollments', requirePermission('progress:repair'), async (req, res) => {
   try {
     const { updateEnrollmentsAfterSeed } = require('../utils/enrollmentUpdater');
     await updateEnrollmentsAfterSeed();
@@ -325,22 +261,13 @@ router.post('/fix-enrollments', authenticateToken, async (req, res) => {
 // Add this new route to update last accessed time
 router.put('/lastAccessed/:courseId', authenticateToken, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    const enrollment = user.enrolledCourses.find(
-      e => e.course.toString() === req.params.courseId
-    );
+    const enrollment = mongoose.Types.ObjectId.isValid(req.params.courseId)
+      && await Enrollment.touch(req.user.userId, req.params.courseId);
 
     if (!enrollment) {
       return res.status(404).json({ error: 'Course enrollment not found' });
     }
 
-    enrollment.updateLastAccessed();
-    await user.save();
-
     res.json({
       message: 'Last accessed time updated',
       lastAccessed: enrollment.lastAccessed
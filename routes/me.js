@@ -0,0 +1,315 @@
+/**
+ * Self-Service Account Routes
+ * Lets the signed-in user read and manage their own account
+ */
+
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Enrollment = require('../models/Enrollment');
+const EmailVerification = require('../models/EmailVerification');
+const auth = require('../middleware/auth');
+const bruteForce = require('../middleware/bruteForce');
+const { sendVerificationEmail } = require('../utils/emailService');
+const { deleteUserAccount } = require('../utils/accountService');
+const { buildUserExport, sendUserExport } = require('../utils/dataExport');
+
+const EMAIL_CHANGE_EXPIRY_TIME = 30 * 60 * 1000; // 30 minutes
+
+// Fields a user may change through PATCH /api/me
+const EDITABLE_FIELDS = ['username', 'displayName', 'bio', 'avatarUrl'];
+
+const toProfile = async (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  displayName: user.displayName,
+  bio: user.bio,
+  avatarUrl: user.avatarUrl,
+  roles: user.getRoles(),
+  twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+  enrolledCourses: await Enrollment.countDocuments({ userId: user._id }),
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt
+});
+
+const validationErrorResponse = (res, error) => {
+  const fields = Object.values(error.errors).map(err => ({
+    field: err.path,
+    message: err.message
+  }));
+  return res.status(400).json({ error: 'Validation failed', fields });
+};
+
+/**
+ * GET /api/me
+ * Current user's profile
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ user: await toProfile(user) });
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({ error: 'Error fetching profile' });
+  }
+});
+
+/**
+ * PATCH /api/me
+ * Update username and display fields
+ */
+router.patch('/', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const rejected = Object.keys(req.body).filter(key => !EDITABLE_FIELDS.includes(key));
+    if (rejected.length > 0) {
+      return res.status(400).json({
+        error: `These fields cannot be changed here: ${rejected.join(', ')}`
+      });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        user[field] = req.body[field];
+      }
+    });
+
+    await user.save();
+
+    res.json({
+      message: 'Profile updated successfully',
+      user: await toProfile(user)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+    console.error('Update profile error:', error);
+    res.status(500).json({ error: 'Error updating profile' });
+  }
+});
+
+/**
+ * POST /api/me/password
+ * Change password; requires the current password
+ */
+router.post('/password', auth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Current and new password are required' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Keep this session, sign out everywhere else
+    await Session.updateMany(
+      { userId: user._id, familyId: { $ne: req.user.sid }, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'logout-all' }
+    );
+
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Error changing password' });
+  }
+});
+
+/**
+ * POST /api/me/email
+ * Start an email change; sends a code to the new address
+ */
+router.post('/email', auth, bruteForce('resend-otp', req => req.body.newEmail), async (req, res) => {
+  try {
+    const { newEmail, password } = req.body;
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const isMatch = await user.comparePassword(password || '');
+    if (!isMatch) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    const normalizedEmail = String(newEmail || '').trim().toLowerCase();
+
+    // Reuse the schema's email validator
+    const probe = new User({ email: normalizedEmail });
+    const emailError = probe.validateSync(['email']);
+    if (emailError) {
+      return validationErrorResponse(res, emailError);
+    }
+
+    if (normalizedEmail === user.email) {
+      return res.status(400).json({ error: 'This is already your email address' });
+    }
+
+    if (await User.exists({ email: normalizedEmail })) {
+      return res.status(400).json({ error: 'Email is already in use' });
+    }
+
+    const otp = await EmailVerification.issue(
+      normalizedEmail,
+      'email-change',
+      EMAIL_CHANGE_EXPIRY_TIME,
+      user._id
+    );
+    await sendVerificationEmail(normalizedEmail, otp, 'change_email');
+
+    res.json({
+      message: 'Confirmation code sent to the new email address',
+      email: normalizedEmail
+    });
+  } catch (error) {
+    console.error('Email change error:', error);
+    res.status(500).json({ error: 'Error starting email change' });
+  }
+});
+
+/**
+ * POST /api/me/email/verify
+ * Confirm the new address with the emailed code
+ */
+router.post('/email/verify', auth, bruteForce('verify-otp', req => req.body.newEmail), async (req, res) => {
+  try {
+    const { newEmail, otp } = req.body;
+    const normalizedEmail = String(newEmail || '').trim().toLowerCase();
+
+    const verification = await EmailVerification.consume(
+      normalizedEmail,
+      'email-change',
+      otp,
+      req.user.userId
+    );
+
+    if (!verification) {
+      await EmailVerification.registerFailedAttempt(normalizedEmail, 'email-change');
+      return res.status(400).json({ error: 'Invalid or expired code' });
+    }
+
+    await req.attemptLimiter.reset();
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    user.email = normalizedEmail;
+    try {
+      await user.save();
+    } catch (saveError) {
+      if (saveError.code === 11000) {
+        return res.status(400).json({ error: 'Email is already in use' });
+      }
+      throw saveError;
+    }
+
+    res.json({
+      message: 'Email changed successfully',
+      user: await toProfile(user)
+    });
+  } catch (error) {
+    console.error('Email change verification error:', error);
+    res.status(500).json({ error: 'Error changing email' });
+  }
+});
+
+/**
+ * GET /api/me/export?format=json|zip
+ * Download everything stored about the current user
+ */
+router.get('/export', auth, async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!['json', 'zip'].includes(format)) {
+      return res.status(400).json({ error: 'Format must be json or zip' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const data = await buildUserExport(user);
+    sendUserExport(res, data, format);
+  } catch (error) {
+    console.error('Data export error:', error);
+    res.status(500).json({ error: 'Error exporting data' });
+  }
+});
+
+/**
+ * DELETE /api/me
+ * Delete the account; requires the password (and a 2FA code if enabled)
+ */
+router.delete('/', auth, async (req, res) => {
+  try {
+    const { password, code } = req.body || {};
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const isMatch = await user.comparePassword(password || '');
+    if (!isMatch) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    if (user.twoFactor?.enabled) {
+      const result = await user.consumeSecondFactor(code);
+      if (!result.valid) {
+        return res.status(401).json({ error: 'Invalid authentication code' });
+      }
+    }
+
+    if (user.hasRole('admin')) {
+      const adminCount = await User.countDocuments({
+        $or: [{ roles: 'admin' }, { isAdmin: true }]
+      });
+      if (adminCount <= 1) {
+        return res.status(400).json({ error: 'The last admin account cannot be deleted' });
+      }
+    }
+
+    const result = await deleteUserAccount(user);
+
+    res.json({
+      message: 'Account deleted successfully',
+      coursesUnenrolled: result.coursesUnenrolled
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ error: 'Error deleting account' });
+  }
+});
+
+module.exports = router;
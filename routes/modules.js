@@ -2,46 +2,164 @@ const express = require('express');
 const router = express.Router();
 const Module = require('../models/Module');
 const Course = require('../models/Course');
+const Attempt = require('../models/Attempt');
+const Enrollment = require('../models/Enrollment');
+const ModuleRevision = require('../models/ModuleRevision');
 const authenticateToken = require('../middleware/auth');
-const adminAuth = require('../middleware/adminAuth');
+const optionalAuth = require('../middleware/optionalAuth');
+const requirePermission = require('../middleware/requirePermission');
+const requireCourseEditor = require('../middleware/requireCourseEditor');
+const previewAccess = require('../middleware/previewAccess');
+const bruteForce = require('../middleware/bruteForce');
+const mongoose = require('mongoose');
+const { updateQuizProgress } = require('../utils/courseIndexing');
+const {
+  toPublicSubModule,
+  gradeMcqBlock,
+  gradeCodingBlock,
+  isGradedBlock,
+  toAttemptResponse
+} = require('../utils/quizGrading');
+const { MAX_CODE_LENGTH, isLanguageAvailable } = require('../utils/codeRunner');
+const { MODULE_FIELDS, summarizeModuleChanges, diffModules } = require('../utils/moduleDiff');
+const {
+  findVisibleCourse,
+  findVisibleModules,
+  findVisibleSubModule
+} = require('../utils/contentVisibility');
+const { signPreviewToken, verifyPreviewToken } = require('../utils/tokenService');
+const { importMarkdownModule, exportMarkdownModule } = require('../utils/markdownModules');
+const { buildOutline, findNeighbours } = require('../utils/courseOutline');
+const { ReorderError, reorderModules, reorderSubModules } = require('../utils/courseReorder');
+const {
+  PrerequisiteError,
+  subModuleKey,
+  completedSubModuleKeys,
+  prerequisiteState,
+  findLockState,
+  assertUnlocked
+} = require('../utils/prerequisites');
+
+// Resolve the course of a module addressed by its _id
+const courseOfModule = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.moduleId)) {
+    return null;
+  }
+  const module = await Module.findById(req.params.moduleId).select('courseId');
+  return module ? module.courseId : null;
+};
+
+// Every write route needs modules:write plus an assignment to the course
+const canEditCourse = [requirePermission('modules:write'), requireCourseEditor()];
+
+// HTTP status for each ReorderError code
+const REORDER_ERROR_STATUS = {
+  invalid: 400,
+  conflict: 409
+};
+
+// Error response for a failed reorder; false when `error` is not one
+const sendReorderError = (res, error) => {
+  if (error instanceof ReorderError) {
+    res.status(REORDER_ERROR_STATUS[error.code] || 400).json({ error: error.message, ...error.details });
+    return true;
+  }
+  if (error.name === 'VersionError') {
+    res.status(409).json({ error: 'The module was changed by someone else, reload and try again' });
+    return true;
+  }
+  return false;
+};
+
+// 400 response listing the field-level errors of a mongoose ValidationError
+const sendValidationError = (res, error) => {
+  const fields = Object.entries(error.errors).map(([field, err]) => ({
+    field,
+    message: err.message,
+    value: err.value
+  }));
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: fields.map(f => `${f.field}: ${f.message}`).join(', '),
+    fields
+  });
+};
+
+// A module as editors see it: the draft's content over the live module
+const toEditorModule = (module, draft) => ({
+  ...module.toObject(),
+  ...(draft ? draft.snapshot.toObject() : {}),
+  hasDraft: Boolean(draft),
+  draftUpdatedAt: draft ? draft.updatedAt : null
+});
+
+// Save a draft, answering 409 when another editor created the module's
+// draft at the same moment. Returns false when a response was sent.
+const saveDraft = async (res, draft) => {
+  try {
+    await draft.save();
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      res.status(409).json({ error: 'The draft was changed by someone else, reload and try again' });
+      return false;
+    }
+    throw error;
+  }
+};
 
 // Get all modules for a course (ADMIN - Full details with _id and contentBlocks)
-router.get('/course/:courseId/admin', adminAuth, async (req, res) => {
+router.get('/course/:courseId/admin', requirePermission('modules:read'), requireCourseEditor(), async (req, res) => {
   try {
     const { courseId } = req.params;
-    
-    const course = await Course.findById(courseId);
-    if (!course) {
-      return res.status(404).json({ error: 'Course not found' });
-    }
+    const course = req.course;
 
     // Fetch ALL modules (including unpublished) with full details
     const modules = await Module.find({ courseId }).sort({ order: 1 });
+
+    // Editors work on drafts; show them where one exists
+    const drafts = await ModuleRevision.find({
+      moduleId: { $in: modules.map(module => module._id) },
+      status: 'draft'
+    });
+    const draftsByModule = new Map(drafts.map(draft => [draft.moduleId.toString(), draft]));
     
     // Return complete module structure with _id and all fields
-    const fullModules = modules.map(module => ({
-      _id: module._id, // Include MongoDB _id for updates/deletes
-      courseId: module.courseId,
-      id: module.id,
-      title: module.title,
-      description: module.description,
-      order: module.order,
-      icon: module.icon,
-      totalEstimatedTime: module.totalEstimatedTime,
-      isPublished: module.isPublished,
-      subModules: module.subModules.map(sm => ({
-        _id: sm._id, // Include submodule _id
-        id: sm.id,
-        title: sm.title,
-        description: sm.description,
-        order: sm.order,
-        estimatedTime: sm.estimatedTime,
-        difficulty: sm.difficulty,
-        isPublished: sm.isPublished,
-        prerequisites: sm.prerequisites,
-        contentBlocks: sm.contentBlocks || [] // Include full content blocks
-      }))
-    }));
+    const fullModules = modules.map(module => {
+      const draft = draftsByModule.get(module._id.toString());
+      const content = draft ? draft.snapshot : module;
+      return {
+        _id: module._id, // Include MongoDB _id for updates/deletes
+        courseId: module.courseId,
+        id: module.id,
+        title: content.title,
+        description: content.description,
+        order: content.order,
+        icon: content.icon,
+        totalEstimatedTime: module.totalEstimatedTime,
+        isPublished: content.isPublished,
+        publishAt: content.publishAt,
+        unpublishAt: content.unpublishAt,
+        lastEditedBy: draft ? draft.author : module.lastEditedBy,
+        hasDraft: Boolean(draft),
+        draftUpdatedAt: draft ? draft.updatedAt : null,
+        subModules: content.subModules.map(sm => ({
+          _id: sm._id, // Include submodule _id
+          id: sm.id,
+          title: sm.title,
+          description: sm.description,
+          order: sm.order,
+          estimatedTime: sm.estimatedTime,
+          difficulty: sm.difficulty,
+          isPublished: sm.isPublished,
+          publishAt: sm.publishAt,
+          unpublishAt: sm.unpublishAt,
+          prerequisites: sm.prerequisites,
+          lastEditedBy: sm.lastEditedBy,
+          contentBlocks: sm.contentBlocks || [] // Include full content blocks
+        }))
+      };
+    });
 
     res.json({
       course: {
@@ -57,17 +175,25 @@ router.get('/course/:courseId/admin', adminAuth, async (req, res) => {
   }
 });
 
-// Get all modules for a course (PUBLIC - Simplified for navigation)
-router.get('/course/:courseId', async (req, res) => {
+// Get all modules for a course (PUBLIC - Simplified for navigation).
+// Submodules carry their lock state for the signed-in learner; nothing is
+// locked when previewing.
+router.get('/course/:courseId', optionalAuth, previewAccess, async (req, res) => {
   try {
     const { courseId } = req.params;
     
-    const course = await Course.findById(courseId);
+    const course = await findVisibleCourse(courseId, req.preview);
     if (!course) {
       return res.status(404).json({ error: 'Course not found' });
     }
 
-    const modules = await Module.findByCourse(courseId);
+    const modules = await findVisibleModules(courseId, req.preview);
+    const enrollment = req.user && !req.preview
+      ? await Enrollment.findOne({ userId: req.user.userId, courseId }).select('moduleProgress')
+      : null;
+    const locks = req.preview
+      ? new Map()
+      : prerequisiteState(modules, completedSubModuleKeys(enrollment));
     
     // Return simplified module structure for navigation
     const simplifiedModules = modules.map(module => ({
@@ -77,23 +203,31 @@ router.get('/course/:courseId', async (req, res) => {
       order: module.order,
       icon: module.icon,
       totalEstimatedTime: module.totalEstimatedTime,
-      subModules: module.subModules.map(sm => ({
-        id: sm.id,
-        title: sm.title,
-        description: sm.description,
-        order: sm.order,
-        estimatedTime: sm.estimatedTime,
-        difficulty: sm.difficulty
-      }))
+      subModules: module.subModules.map(sm => {
+        const lock = locks.get(subModuleKey(module.id, sm.id)) || { prerequisites: sm.prerequisites || [], locked: false, missing: [] };
+        return {
+          id: sm.id,
+          title: sm.title,
+          description: sm.description,
+          order: sm.order,
+          estimatedTime: sm.estimatedTime,
+          difficulty: sm.difficulty,
+          prerequisites: lock.prerequisites,
+          locked: lock.locked,
+          missingPrerequisites: lock.missing
+        };
+      })
     }));
 
     res.json({
       course: {
         id: course._id,
         title: course.title,
-        shortName: course.shortName
+        shortName: course.shortName,
+        prerequisiteMode: course.prerequisiteMode
       },
-      modules: simplifiedModules
+      modules: simplifiedModules,
+      ...(req.preview && { preview: true })
     });
   } catch (error) {
     console.error('Error fetching modules:', error);
@@ -101,52 +235,42 @@ router.get('/course/:courseId', async (req, res) => {
   }
 });
 
-// Get specific submodule content
-router.get('/course/:courseId/module/:moduleId/submodule/:subModuleId', async (req, res) => {
+// Get specific submodule content. In strict prerequisite mode a locked
+// submodule is refused; in advisory mode it is sent with its lock state.
+router.get('/course/:courseId/module/:moduleId/submodule/:subModuleId', optionalAuth, previewAccess, async (req, res) => {
   try {
     const { courseId, moduleId, subModuleId } = req.params;
     
-    const module = await Module.findOne({
-      courseId,
-      id: moduleId
-    });
-
-    if (!module) {
-      return res.status(404).json({ error: 'Module not found' });
-    }
-
-    const subModule = module.subModules.find(sm => sm.id === subModuleId);
-    
-    if (!subModule) {
+    const found = await findVisibleSubModule(courseId, moduleId, subModuleId, req.preview);
+    if (!found) {
       return res.status(404).json({ error: 'Submodule not found' });
     }
-
-    if (!subModule.isPublished) {
-      return res.status(403).json({ error: 'Submodule not published' });
+    const { module, content, subModule } = found;
+
+    const lock = req.preview
+      ? { locked: false, missing: [] }
+      : await findLockState(req.user && req.user.userId, courseId, moduleId, subModuleId);
+    if (lock.locked && lock.mode === 'strict') {
+      return res.status(403).json({
+        error: 'Complete the prerequisites of this submodule first',
+        missingPrerequisites: lock.missing
+      });
     }
 
-    // Find next and previous submodules
-    const nextSubModule = module.getNextSubModule(subModuleId);
-    const previousSubModule = module.getPreviousSubModule(subModuleId);
+    // Next and previous submodules the reader can see, across modules
+    const outline = buildOutline(await findVisibleModules(courseId, req.preview));
+    const navigation = findNeighbours(outline, module.id, subModule.id);
 
     res.json({
       module: {
         id: module.id,
-        title: module.title
+        title: content.title
       },
-      subModule: subModule,
-      navigation: {
-        next: nextSubModule ? {
-          moduleId: module.id,
-          id: nextSubModule.id,
-          title: nextSubModule.title
-        } : null,
-        previous: previousSubModule ? {
-          moduleId: module.id,
-          id: previousSubModule.id,
-          title: previousSubModule.title
-        } : null
-      }
+      subModule: toPublicSubModule(subModule),
+      locked: lock.locked,
+      missingPrerequisites: lock.missing,
+      navigation,
+      ...(req.preview && { preview: true })
     });
   } catch (error) {
     console.error('Error fetching submodule:', error);
@@ -154,20 +278,230 @@ router.get('/course/:courseId/module/:moduleId/submodule/:subModuleId', async (r
   }
 });
 
-// Create a new module (Admin only - add admin auth middleware later)
-router.post('/course/:courseId/module', async (req, res) => {
+// Issue a preview token for viewing the course's unpublished content and
+// drafts through the public routes
+router.post('/course/:courseId/preview-token', requirePermission('modules:read'), requireCourseEditor(), async (req, res) => {
   try {
-    const { courseId } = req.params;
-    const moduleData = req.body;
+    const token = signPreviewToken(req.currentUser, req.course._id);
+    const { expiresAt } = verifyPreviewToken(token);
 
-    const course = await Course.findById(courseId);
-    if (!course) {
-      return res.status(404).json({ error: 'Course not found' });
+    res.json({
+      token,
+      courseId: req.course._id,
+      expiresAt
+    });
+  } catch (error) {
+    console.error('Error issuing preview token:', error);
+    res.status(500).json({ error: 'Error issuing preview token' });
+  }
+});
+
+// Load a published submodule and one of its content blocks for a learner.
+// Sends the error response and returns null when something is missing.
+const findPublishedBlock = async (req, res) => {
+  const { courseId, moduleId, subModuleId, blockId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(blockId)) {
+    res.status(404).json({ error: 'Content block not found' });
+    return null;
+  }
+
+  const found = await findVisibleSubModule(courseId, moduleId, subModuleId);
+  if (!found) {
+    res.status(404).json({ error: 'Submodule not found' });
+    return null;
+  }
+  const { subModule } = found;
+
+  const block = subModule.contentBlocks.id(blockId);
+  if (!block) {
+    res.status(404).json({ error: 'Content block not found' });
+    return null;
+  }
+
+  return { subModule, block };
+};
+
+// Grade a submission against a block. Returns { grade, fields } with the
+// type-specific attempt fields, or { error, status? } for a submission that
+// cannot be graded (400 unless `status` says otherwise).
+const gradeSubmission = async (block, body) => {
+  if (!isGradedBlock(block)) {
+    return { error: 'Content block does not accept attempts' };
+  }
+
+  if (block.type === 'mcq') {
+    if (!Array.isArray(body.answers)) {
+      return { error: 'answers must be an array' };
+    }
+
+    const grade = gradeMcqBlock(block, body.answers);
+    return {
+      grade,
+      fields: {
+        answers: grade.results.map(({ questionId, selectedOptionIds, correct }) => ({
+          questionId,
+          selectedOptionIds,
+          correct
+        }))
+      }
+    };
+  }
+
+  const { code } = body;
+  const language = body.language || block.codingExercise.language;
+
+  if (typeof code !== 'string' || !code.trim()) {
+    return { error: 'code is required' };
+  }
+  if (code.length > MAX_CODE_LENGTH) {
+    return { error: `code must be at most ${MAX_CODE_LENGTH} characters` };
+  }
+  if (language !== block.codingExercise.language) {
+    return { error: `This exercise must be solved in ${block.codingExercise.language}` };
+  }
+  if (!(await isLanguageAvailable(language))) {
+    return { error: `${language} is not available on this server`, status: 503 };
+  }
+
+  const grade = await gradeCodingBlock(block, language, code);
+  return {
+    grade,
+    fields: {
+      language,
+      code,
+      testResults: grade.results.map(({ testCaseId, passed, status, durationMs }) => ({
+        testCaseId,
+        passed,
+        status,
+        durationMs
+      }))
+    }
+  };
+};
+
+// Coding submissions count against the user's grading quota; MCQ answers
+// are cheap to grade and are not limited
+const limitCodeGrading = bruteForce('code-grading', req => req.user.userId);
+const codeGradingLimit = (req, res, next) => {
+  if (req.body && req.body.code !== undefined) {
+    return limitCodeGrading(req, res, next);
+  }
+  next();
+};
+
+// Users with a coding submission being graded; each user gets one at a
+// time, so one learner cannot hold every run slot of utils/codeRunner.js
+const gradingUsers = new Set();
+
+// Submit an attempt at an MCQ or coding exercise block; graded on the server
+router.post('/course/:courseId/module/:moduleId/submodule/:subModuleId/blocks/:blockId/attempts', authenticateToken, codeGradingLimit, async (req, res) => {
+  const userId = req.user.userId;
+  const grading = req.body && req.body.code !== undefined;
+
+  if (grading && gradingUsers.has(userId)) {
+    return res.status(429).json({ error: 'A submission is already being graded' });
+  }
+  if (grading) {
+    gradingUsers.add(userId);
+  }
+
+  try {
+    const { courseId, moduleId, subModuleId } = req.params;
+
+    const found = await findPublishedBlock(req, res);
+    if (!found) return;
+    const { subModule, block } = found;
+
+    await assertUnlocked(req.user.userId, courseId, moduleId, subModuleId);
+
+    const { grade, fields, error, status } = await gradeSubmission(block, req.body);
+    if (error) {
+      return res.status(status || 400).json({ error });
     }
 
+    const attempt = await Attempt.create({
+      userId: req.user.userId,
+      courseId,
+      moduleId,
+      subModuleId,
+      blockId: block._id,
+      blockType: block.type,
+      ...fields,
+      score: grade.score,
+      maxScore: grade.maxScore,
+      percentage: grade.percentage,
+      passed: grade.passed
+    });
+
+    // Only enrolled learners get progress; others can still practice
+    const progress = await updateQuizProgress(
+      req.user.userId,
+      courseId,
+      moduleId,
+      subModule,
+      block,
+      grade
+    );
+
+    const response = toAttemptResponse(attempt, block);
+    if (block.type === 'codingExercise') {
+      // Output of visible test cases is returned once, not stored
+      response.results = response.results.map((result, index) => ({
+        ...result,
+        stdout: grade.results[index].stdout,
+        stderr: grade.results[index].stderr
+      }));
+    }
+
+    res.status(201).json({
+      attempt: response,
+      progress
+    });
+  } catch (error) {
+    if (error instanceof PrerequisiteError) {
+      return res.status(403).json({ error: error.message, missingPrerequisites: error.missing });
+    }
+    console.error('Error grading attempt:', error);
+    res.status(500).json({ error: 'Error grading attempt' });
+  } finally {
+    if (grading) {
+      gradingUsers.delete(userId);
+    }
+  }
+});
+
+// List the signed-in user's attempts on a block, latest first
+router.get('/course/:courseId/module/:moduleId/submodule/:subModuleId/blocks/:blockId/attempts', authenticateToken, async (req, res) => {
+  try {
+    const found = await findPublishedBlock(req, res);
+    if (!found) return;
+    const { block } = found;
+
+    const attempts = await Attempt.find({ userId: req.user.userId, blockId: block._id })
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.json({
+      attempts: attempts.map(attempt => toAttemptResponse(attempt, block))
+    });
+  } catch (error) {
+    console.error('Error fetching attempts:', error);
+    res.status(500).json({ error: 'Error fetching attempts' });
+  }
+});
+
+// Create a new module
+router.post('/course/:courseId/module', canEditCourse, async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const moduleData = req.body;
+    const course = req.course;
+
     const module = new Module({
+      ...moduleData,
       courseId,
-      ...moduleData
+      lastEditedBy: req.currentUser._id
     });
 
     await module.save();
@@ -184,38 +518,146 @@ router.post('/course/:courseId/module', async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating module:', error);
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
     res.status(500).json({ error: 'Error creating module' });
   }
 });
 
-// Update a module (Admin only)
-router.put('/course/:courseId/module/:moduleId', async (req, res) => {
+// Import a module written as Markdown (utils/markdownContent.js). Body:
+// { files: [{ path, content }], dryRun }. An existing module with the same
+// id gets the content as its draft; otherwise the module is created.
+router.post('/course/:courseId/markdown', canEditCourse, async (req, res) => {
+  try {
+    const { files, dryRun } = req.body;
+    const validFiles = Array.isArray(files) && files.length > 0 && files.every(file =>
+      file && typeof file.path === 'string' && typeof file.content === 'string'
+    );
+    if (!validFiles) {
+      return res.status(400).json({ error: 'files must be a list of { path, content } Markdown files' });
+    }
+
+    const result = await importMarkdownModule(req.course, files, {
+      userId: req.currentUser._id,
+      dryRun: Boolean(dryRun)
+    });
+    if (result.errors) {
+      return res.status(400).json({
+        error: 'Markdown could not be imported',
+        details: result.errors.map(e => `${e.file}${e.line ? `:${e.line}` : ''}: ${e.message}`).join(', '),
+        errors: result.errors
+      });
+    }
+
+    const { module, draft, created } = result;
+    let message = created ? 'Module created successfully' : 'Draft saved';
+    if (dryRun) {
+      message = created ? 'Markdown is valid; a new module would be created' : 'Markdown is valid; the module draft would be updated';
+    }
+
+    res.status(created && !dryRun ? 201 : 200).json({
+      message,
+      created,
+      dryRun: Boolean(dryRun),
+      module: draft ? toEditorModule(module, draft) : module
+    });
+  } catch (error) {
+    console.error('Error importing Markdown module:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'The module was changed by someone else, reload and try again' });
+    }
+    res.status(500).json({ error: 'Error importing Markdown module' });
+  }
+});
+
+// Reorder a course's modules. Body: { moduleIds: [...] } listing every
+// module id of the course once, in the new order.
+router.patch('/course/:courseId/order', canEditCourse, async (req, res) => {
+  try {
+    const modules = await reorderModules(req.course._id, req.body.moduleIds);
+
+    res.json({
+      message: 'Modules reordered',
+      modules
+    });
+  } catch (error) {
+    if (sendReorderError(res, error)) return;
+    console.error('Error reordering modules:', error);
+    res.status(500).json({ error: 'Error reordering modules' });
+  }
+});
+
+// Reorder a module's submodules. Body: { subModuleIds: [...] } listing
+// every submodule of the module once; ids of other modules' submodules
+// move those submodules here, with their learners' progress.
+router.patch('/course/:courseId/module/:moduleId/submodules/order', canEditCourse, async (req, res) => {
   try {
     const { courseId, moduleId } = req.params;
-    const updates = req.body;
 
-    const module = await Module.findOneAndUpdate(
-      { courseId, id: moduleId },
-      updates,
-      { new: true, runValidators: true }
-    );
+    const module = await Module.findOne({ courseId, id: moduleId });
+    if (!module) {
+      return res.status(404).json({ error: 'Module not found' });
+    }
+
+    const { moved } = await reorderSubModules(module, req.body.subModuleIds);
+
+    res.json({
+      message: moved.length > 0 ? `Submodules reordered, ${moved.length} moved in` : 'Submodules reordered',
+      module: {
+        _id: module._id,
+        id: module.id,
+        subModules: module.subModules.map(sm => ({ id: sm.id, title: sm.title, order: sm.order }))
+      },
+      moved
+    });
+  } catch (error) {
+    if (sendReorderError(res, error)) return;
+    console.error('Error reordering submodules:', error);
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    res.status(500).json({ error: 'Error reordering submodules' });
+  }
+});
+
+// Update a module
+router.put('/course/:courseId/module/:moduleId', canEditCourse, async (req, res) => {
+  try {
+    const { courseId, moduleId } = req.params;
+    // A module cannot be moved to another course through an update
+    const { _id, courseId: ignoredCourseId, ...updates } = req.body;
+
+    const module = await Module.findOne({ courseId, id: moduleId });
 
     if (!module) {
       return res.status(404).json({ error: 'Module not found' });
     }
 
+    // Edits go to the draft; learners keep the published content
+    const draft = await ModuleRevision.openDraft(module, req.currentUser._id);
+    MODULE_FIELDS.concat('subModules').forEach(field => {
+      if (updates[field] !== undefined) {
+        draft.snapshot[field] = updates[field];
+      }
+    });
+    if (!(await saveDraft(res, draft))) return;
+
     res.json({
-      message: 'Module updated successfully',
-      module
+      message: 'Draft saved',
+      module: toEditorModule(module, draft)
     });
   } catch (error) {
     console.error('Error updating module:', error);
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
     res.status(500).json({ error: 'Error updating module' });
   }
 });
 
-// Delete a module (Admin only)
-router.delete('/course/:courseId/module/:moduleId', async (req, res) => {
+// Delete a module
+router.delete('/course/:courseId/module/:moduleId', canEditCourse, async (req, res) => {
   try {
     const { courseId, moduleId } = req.params;
 
@@ -225,6 +667,8 @@ router.delete('/course/:courseId/module/:moduleId', async (req, res) => {
       return res.status(404).json({ error: 'Module not found' });
     }
 
+    await ModuleRevision.deleteMany({ moduleId: module._id });
+
     // Update course statistics
     const course = await Course.findById(courseId);
     if (course) {
@@ -241,8 +685,8 @@ router.delete('/course/:courseId/module/:moduleId', async (req, res) => {
   }
 });
 
-// Add a submodule to a module (Admin only)
-router.post('/course/:courseId/module/:moduleId/submodule', async (req, res) => {
+// Add a submodule to a module
+router.post('/course/:courseId/module/:moduleId/submodule', canEditCourse, async (req, res) => {
   try {
     const { courseId, moduleId } = req.params;
     const subModuleData = req.body;
@@ -253,21 +697,29 @@ router.post('/course/:courseId/module/:moduleId/submodule', async (req, res) =>
       return res.status(404).json({ error: 'Module not found' });
     }
 
-    module.subModules.push(subModuleData);
-    await module.save();
+    const draft = await ModuleRevision.openDraft(module, req.currentUser._id);
+    const subModules = draft.snapshot.subModules;
+    subModules.push({
+      ...subModuleData,
+      lastEditedBy: req.currentUser._id
+    });
+    if (!(await saveDraft(res, draft))) return;
 
     res.status(201).json({
-      message: 'Submodule added successfully',
-      subModule: module.subModules[module.subModules.length - 1]
+      message: 'Submodule added to draft',
+      subModule: subModules[subModules.length - 1]
     });
   } catch (error) {
     console.error('Error adding submodule:', error);
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
     res.status(500).json({ error: 'Error adding submodule' });
   }
 });
 
-// Update a submodule (Admin only)
-router.put('/course/:courseId/module/:moduleId/submodule/:subModuleId', async (req, res) => {
+// Update a submodule
+router.put('/course/:courseId/module/:moduleId/submodule/:subModuleId', canEditCourse, async (req, res) => {
   try {
     const { courseId, moduleId, subModuleId } = req.params;
     const updates = req.body;
@@ -278,31 +730,76 @@ router.put('/course/:courseId/module/:moduleId/submodule/:subModuleId', async (r
       return res.status(404).json({ error: 'Module not found' });
     }
 
-    const subModuleIndex = module.subModules.findIndex(sm => sm.id === subModuleId);
+    const draft = await ModuleRevision.openDraft(module, req.currentUser._id);
+    const subModule = draft.snapshot.subModules.find(sm => sm.id === subModuleId);
 
-    if (subModuleIndex === -1) {
+    if (!subModule) {
       return res.status(404).json({ error: 'Submodule not found' });
     }
 
     // Update submodule fields
     Object.keys(updates).forEach(key => {
-      module.subModules[subModuleIndex][key] = updates[key];
+      if (key === '_id') return;
+      subModule[key] = updates[key];
     });
+    subModule.lastEditedBy = req.currentUser._id;
 
-    await module.save();
+    if (!(await saveDraft(res, draft))) return;
 
     res.json({
-      message: 'Submodule updated successfully',
-      subModule: module.subModules[subModuleIndex]
+      message: 'Submodule updated in draft',
+      subModule
     });
   } catch (error) {
     console.error('Error updating submodule:', error);
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
     res.status(500).json({ error: 'Error updating submodule' });
   }
 });
 
+// Check content blocks without saving them (editor form validation).
+// Runs the same schema and per-type rules as a module save.
+router.post('/content-blocks/validate', requirePermission('modules:write'), async (req, res) => {
+  try {
+    const { contentBlocks } = req.body;
+
+    if (!Array.isArray(contentBlocks)) {
+      return res.status(400).json({ error: 'contentBlocks must be an array' });
+    }
+
+    const draft = new Module({
+      courseId: new mongoose.Types.ObjectId(),
+      id: 'draft',
+      title: 'Draft',
+      order: 0,
+      subModules: [{ id: 'draft', title: 'Draft', order: 0, contentBlocks }]
+    });
+
+    const prefix = 'subModules.0.';
+    let errors = [];
+    try {
+      await draft.validate();
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+      errors = Object.entries(error.errors)
+        .filter(([field]) => field.startsWith(prefix))
+        .map(([field, err]) => ({ field: field.slice(prefix.length), message: err.message }));
+    }
+
+    res.json({
+      valid: errors.length === 0,
+      errors
+    });
+  } catch (error) {
+    console.error('Error validating content blocks:', error);
+    res.status(500).json({ error: 'Error validating content blocks' });
+  }
+});
+
 // Get module structure (for development/admin)
-router.get('/structure', async (req, res) => {
+router.get('/structure', requirePermission('modules:read'), async (req, res) => {
   try {
     const modules = await Module.find({}).select('courseId id title order subModules.id subModules.title');
     res.json(modules);
@@ -313,7 +810,7 @@ router.get('/structure', async (req, res) => {
 });
 
 // Create a new module (simpler route for frontend)
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('modules:write'), requireCourseEditor(req => req.body.courseId), async (req, res) => {
   try {
     const moduleData = req.body;
     const { courseId, title, id } = moduleData;
@@ -329,10 +826,7 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ error: 'Module ID is required' });
     }
 
-    const course = await Course.findById(courseId);
-    if (!course) {
-      return res.status(404).json({ error: 'Course not found' });
-    }
+    const course = req.course;
 
     // Check if module with same id exists for this course
     const existingModule = await Module.findOne({ courseId, id });
@@ -340,7 +834,10 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ error: 'Module with this ID already exists for this course' });
     }
 
-    const module = new Module(moduleData);
+    const module = new Module({
+      ...moduleData,
+      lastEditedBy: req.currentUser._id
+    });
     await module.save();
 
     // Update course statistics
@@ -355,8 +852,7 @@ router.post('/', async (req, res) => {
     
     // Handle mongoose validation errors
     if (error.name === 'ValidationError') {
-      const messages = Object.values(error.errors).map(err => err.message);
-      return res.status(400).json({ error: 'Validation failed', details: messages });
+      return sendValidationError(res, error);
     }
     
     res.status(500).json({ error: 'Error creating module', details: error.message });
@@ -364,7 +860,7 @@ router.post('/', async (req, res) => {
 });
 
 // Update a module by _id (simpler route for frontend)
-router.put('/:moduleId', async (req, res) => {
+router.put('/:moduleId', requirePermission('modules:write'), requireCourseEditor(courseOfModule), async (req, res) => {
   try {
     const { moduleId } = req.params;
     const updates = req.body;
@@ -390,50 +886,42 @@ router.put('/:moduleId', async (req, res) => {
 
     console.log('Existing module found:', existingModule.title);
 
+    // Edits go to the draft; learners keep the published content until
+    // POST /:moduleId/publish
+    const draft = await ModuleRevision.openDraft(existingModule, req.currentUser._id);
+    const content = draft.snapshot;
+
     // Update fields
-    existingModule.title = updates.title || existingModule.title;
-    existingModule.description = updates.description !== undefined ? updates.description : existingModule.description;
-    existingModule.order = updates.order !== undefined ? updates.order : existingModule.order;
-    existingModule.icon = updates.icon || existingModule.icon;
-    existingModule.isPublished = updates.isPublished !== undefined ? updates.isPublished : existingModule.isPublished;
+    content.title = updates.title || content.title;
+    content.description = updates.description !== undefined ? updates.description : content.description;
+    content.order = updates.order !== undefined ? updates.order : content.order;
+    content.icon = updates.icon || content.icon;
+    content.isPublished = updates.isPublished !== undefined ? updates.isPublished : content.isPublished;
+    content.publishAt = updates.publishAt !== undefined ? updates.publishAt : content.publishAt;
+    content.unpublishAt = updates.unpublishAt !== undefined ? updates.unpublishAt : content.unpublishAt;
 
     // Handle subModules update carefully
     if (updates.subModules) {
       console.log(`Updating ${updates.subModules.length} submodules`);
-      existingModule.subModules = updates.subModules;
+      content.subModules = updates.subModules.map(sm => ({
+        ...sm,
+        lastEditedBy: req.currentUser._id
+      }));
     }
 
     // Save with validation
-    await existingModule.save();
-    console.log('Module saved successfully');
-
-    // Update course statistics
-    const course = await Course.findById(existingModule.courseId);
-    if (course) {
-      await course.updateStatisticsFromModules();
-      console.log('Course statistics updated');
-    }
+    if (!(await saveDraft(res, draft))) return;
 
     res.json({
-      message: 'Module updated successfully',
-      module: existingModule
+      message: 'Draft saved',
+      module: toEditorModule(existingModule, draft)
     });
   } catch (error) {
     console.error('Error updating module:', error);
     
     // Handle mongoose validation errors
     if (error.name === 'ValidationError') {
-      const messages = Object.values(error.errors).map(err => ({
-        field: err.path,
-        message: err.message,
-        value: err.value
-      }));
-      console.error('Validation errors:', messages);
-      return res.status(400).json({ 
-        error: 'Validation failed', 
-        details: messages.map(m => `${m.field}: ${m.message}`).join(', '),
-        fields: messages
-      });
+      return sendValidationError(res, error);
     }
     
     // Handle cast errors (invalid ObjectId)
@@ -446,8 +934,236 @@ router.put('/:moduleId', async (req, res) => {
   }
 });
 
+// Editors of the course a module (by _id) belongs to
+const canEditModule = [requirePermission('modules:write'), requireCourseEditor(courseOfModule)];
+const canReadModule = [requirePermission('modules:read'), requireCourseEditor(courseOfModule)];
+
+// A published revision without its snapshot, for history listings
+const toRevisionSummary = (revision) => ({
+  revision: revision.revision,
+  author: revision.author,
+  createdAt: revision.createdAt,
+  message: revision.message,
+  summary: revision.summary,
+  baseRevision: revision.baseRevision,
+  rollbackOf: revision.rollbackOf
+});
+
+// Get the draft of a module (or the live content when there is none)
+router.get('/:moduleId/draft', canReadModule, async (req, res) => {
+  try {
+    const module = await Module.findById(req.params.moduleId);
+    if (!module) {
+      return res.status(404).json({ error: 'Module not found' });
+    }
+
+    const draft = await ModuleRevision.findDraft(module._id).populate('author', 'username');
+
+    res.json({
+      module: toEditorModule(module, draft),
+      baseRevision: draft ? draft.baseRevision : null,
+      author: draft ? draft.author : null,
+      // What publishing the draft would change
+      changes: draft ? summarizeModuleChanges(ModuleRevision.snapshotOf(module), draft.snapshot) : null
+    });
+  } catch (error) {
+    console.error('Error fetching draft:', error);
+    res.status(500).json({ error: 'Error fetching draft' });
+  }
+});
+
+// Export a module as Markdown files. ?version= takes a revision number,
+// `live` or `draft`; by default the draft, or the live content without one.
+router.get('/:moduleId/markdown', canReadModule, async (req, res) => {
+  try {
+    const module = await Module.findById(req.params.moduleId);
+    if (!module) {
+      return res.status(404).json({ error: 'Module not found' });
+    }
+
+    const files = await exportMarkdownModule(module, req.query.version);
+    if (!files) {
+      return res.status(404).json({ error: `Revision ${req.query.version} not found` });
+    }
+
+    res.json({
+      module: { _id: module._id, id: module.id, courseId: module.courseId },
+      version: req.query.version || null,
+      files
+    });
+  } catch (error) {
+    console.error('Error exporting Markdown module:', error);
+    res.status(500).json({ error: 'Error exporting Markdown module' });
+  }
+});
+
+// Throw away the draft of a module
+router.delete('/:moduleId/draft', canEditModule, async (req, res) => {
+  try {
+    const { deletedCount } = await ModuleRevision.deleteOne({
+      moduleId: req.params.moduleId,
+      status: 'draft'
+    });
+
+    if (deletedCount === 0) {
+      return res.status(404).json({ error: 'Module has no draft' });
+    }
+
+    res.json({ message: 'Draft discarded' });
+  } catch (error) {
+    console.error('Error discarding draft:', error);
+    res.status(500).json({ error: 'Error discarding draft' });
+  }
+});
+
+// Publish the draft of a module, replacing what learners see
+router.post('/:moduleId/publish', canEditModule, async (req, res) => {
+  try {
+    const module = await Module.findById(req.params.moduleId);
+    if (!module) {
+      return res.status(404).json({ error: 'Module not found' });
+    }
+
+    const revision = await ModuleRevision.publishDraft(module, req.currentUser._id, req.body.message);
+    if (!revision) {
+      return res.status(400).json({ error: 'Module has no draft to publish' });
+    }
+
+    // Update course statistics
+    const course = await Course.findById(module.courseId);
+    if (course) {
+      await course.updateStatisticsFromModules();
+    }
+
+    res.json({
+      message: `Published revision ${revision.revision}`,
+      revision: toRevisionSummary(revision),
+      module
+    });
+  } catch (error) {
+    console.error('Error publishing module:', error);
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    res.status(500).json({ error: 'Error publishing module' });
+  }
+});
+
+// List the published revisions of a module, newest first
+router.get('/:moduleId/revisions', canReadModule, async (req, res) => {
+  try {
+    const revisions = await ModuleRevision.find({
+      moduleId: req.params.moduleId,
+      status: 'published'
+    })
+      .select('-snapshot')
+      .sort({ revision: -1 })
+      .populate('author', 'username');
+
+    res.json({
+      revisions: revisions.map(toRevisionSummary)
+    });
+  } catch (error) {
+    console.error('Error fetching revisions:', error);
+    res.status(500).json({ error: 'Error fetching revisions' });
+  }
+});
+
+// Get one published revision with its full content
+router.get('/:moduleId/revisions/:revision', canReadModule, async (req, res) => {
+  try {
+    const number = parseInt(req.params.revision, 10);
+    const revision = Number.isInteger(number) && await ModuleRevision.findOne({
+      moduleId: req.params.moduleId,
+      status: 'published',
+      revision: number
+    }).populate('author', 'username');
+
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({
+      revision: {
+        ...toRevisionSummary(revision),
+        snapshot: revision.snapshot
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching revision:', error);
+    res.status(500).json({ error: 'Error fetching revision' });
+  }
+});
+
+// Structural diff between two versions (revision numbers, `live` or `draft`)
+router.get('/:moduleId/revisions/:a/diff/:b', canReadModule, async (req, res) => {
+  try {
+    const { a, b } = req.params;
+
+    const module = await Module.findById(req.params.moduleId);
+    if (!module) {
+      return res.status(404).json({ error: 'Module not found' });
+    }
+
+    const [before, after] = await Promise.all([
+      ModuleRevision.loadVersion(module, a),
+      ModuleRevision.loadVersion(module, b)
+    ]);
+    if (!before || !after) {
+      return res.status(404).json({ error: `Revision ${!before ? a : b} not found` });
+    }
+
+    res.json({
+      from: a,
+      to: b,
+      ...diffModules(before, after)
+    });
+  } catch (error) {
+    console.error('Error diffing revisions:', error);
+    res.status(500).json({ error: 'Error comparing revisions' });
+  }
+});
+
+// Publish the content of an earlier revision again
+router.post('/:moduleId/revisions/:revision/rollback', canEditModule, async (req, res) => {
+  try {
+    const module = await Module.findById(req.params.moduleId);
+    if (!module) {
+      return res.status(404).json({ error: 'Module not found' });
+    }
+
+    const number = parseInt(req.params.revision, 10);
+    const revision = Number.isInteger(number) && await ModuleRevision.rollback(
+      module,
+      number,
+      req.currentUser._id,
+      req.body.message
+    );
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const course = await Course.findById(module.courseId);
+    if (course) {
+      await course.updateStatisticsFromModules();
+    }
+
+    res.json({
+      message: `Rolled back to revision ${revision.rollbackOf} as revision ${revision.revision}`,
+      revision: toRevisionSummary(revision),
+      module
+    });
+  } catch (error) {
+    console.error('Error rolling back module:', error);
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    res.status(500).json({ error: 'Error rolling back module' });
+  }
+});
+
 // Delete a module by _id
-router.delete('/:moduleId', async (req, res) => {
+router.delete('/:moduleId', requirePermission('modules:write'), requireCourseEditor(courseOfModule), async (req, res) => {
   try {
     const { moduleId } = req.params;
 
@@ -457,6 +1173,8 @@ router.delete('/:moduleId', async (req, res) => {
       return res.status(404).json({ error: 'Module not found' });
     }
 
+    await ModuleRevision.deleteMany({ moduleId: module._id });
+
     // Update course statistics
     const course = await Course.findById(module.courseId);
     if (course) {
@@ -0,0 +1,131 @@
+/**
+ * Playground Routes
+ * Runs code from handsOn and codeSnippet blocks for the signed-in user, in
+ * the sandbox of utils/codeRunner.js. Without a working sandbox no language
+ * is offered and runs are refused with 503.
+ */
+
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const bruteForce = require('../middleware/bruteForce');
+const {
+  SUPPORTED_LANGUAGES,
+  MAX_CODE_LENGTH,
+  isLanguageAvailable,
+  runCode
+} = require('../utils/codeRunner');
+
+// Languages that are previewed in the browser rather than executed
+const BROWSER_LANGUAGES = ['html', 'css'];
+
+// Largest accepted stdin
+const MAX_STDIN_LENGTH = 16 * 1024;
+
+// Users with a run in progress; each user gets one run at a time
+const activeUsers = new Set();
+
+/**
+ * GET /api/playground/languages
+ * Languages that can be run on this server
+ */
+router.get('/languages', async (req, res) => {
+  try {
+    const available = [];
+    for (const language of SUPPORTED_LANGUAGES) {
+      if (await isLanguageAvailable(language)) {
+        available.push(language);
+      }
+    }
+
+    res.json({
+      languages: available,
+      browserLanguages: BROWSER_LANGUAGES
+    });
+  } catch (error) {
+    console.error('Error listing playground languages:', error);
+    res.status(500).json({ error: 'Error listing languages' });
+  }
+});
+
+/**
+ * POST /api/playground/run
+ * Body: { language, code, stdin? }
+ *
+ * Streams newline-delimited JSON events as the program runs:
+ *   { "type": "stdout" | "stderr", "data": "..." }
+ *   { "type": "exit", "status": "ok", "exitCode": 0, "durationMs": 42 }
+ * Status values are those of utils/codeRunner.js.
+ */
+router.post('/run', auth, bruteForce('playground-run', req => req.user.userId), async (req, res) => {
+  const { language, code, stdin = '' } = req.body;
+  const userId = req.user.userId;
+
+  if (BROWSER_LANGUAGES.includes(language)) {
+    return res.status(400).json({ error: `${language} runs in the browser preview, not on the server` });
+  }
+  if (!SUPPORTED_LANGUAGES.includes(language)) {
+    return res.status(400).json({ error: `language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}` });
+  }
+  if (typeof code !== 'string' || !code.trim()) {
+    return res.status(400).json({ error: 'code is required' });
+  }
+  if (code.length > MAX_CODE_LENGTH) {
+    return res.status(400).json({ error: `code must be at most ${MAX_CODE_LENGTH} characters` });
+  }
+  if (typeof stdin !== 'string' || stdin.length > MAX_STDIN_LENGTH) {
+    return res.status(400).json({ error: `stdin must be a string of at most ${MAX_STDIN_LENGTH} characters` });
+  }
+
+  if (activeUsers.has(userId)) {
+    return res.status(429).json({ error: 'A run is already in progress' });
+  }
+
+  activeUsers.add(userId);
+  try {
+    if (!(await isLanguageAvailable(language))) {
+      return res.status(503).json({ error: `${language} is not available on this server` });
+    }
+
+    res.status(200);
+    res.set({
+      'Content-Type': 'application/x-ndjson; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (event) => res.write(`${JSON.stringify(event)}\n`);
+
+    // Stop the program when the client goes away
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    const result = await runCode({
+      language,
+      code,
+      stdin,
+      signal: controller.signal,
+      onOutput: (stream, data) => send({ type: stream, data })
+    });
+
+    send({
+      type: 'exit',
+      status: result.status,
+      exitCode: result.exitCode,
+      durationMs: result.durationMs
+    });
+    res.end();
+  } catch (error) {
+    console.error('Error running playground code:', error);
+    if (res.headersSent) {
+      res.end(`${JSON.stringify({ type: 'error', error: 'Error running code' })}\n`);
+    } else {
+      res.status(500).json({ error: 'Error running code' });
+    }
+  } finally {
+    activeUsers.delete(userId);
+  }
+});
+
+module.exports = router;
@@ -6,12 +6,18 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const Enrollment = require('../models/Enrollment');
+const Module = require('../models/Module');
 const {
   initializeEnrollmentProgress,
   updateSubModuleProgress,
   getUserCourseProgress,
   validateAndRepairCourseIndexing
 } = require('../utils/courseIndexing');
+const { findVisibleCourse } = require('../utils/contentVisibility');
+const { subModuleKey, completedSubModuleKeys, prerequisiteState } = require('../utils/prerequisites');
+const { buildOutline, findResumePoint } = require('../utils/courseOutline');
 
 /**
  * POST /api/progress/enroll/:courseId
@@ -61,6 +67,13 @@ router.put('/:courseId/module/:moduleId/submodule/:subModuleId', auth, async (re
       data: result
     });
   } catch (error) {
+    if (error.name === 'PrerequisiteError') {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+        missingPrerequisites: error.missing
+      });
+    }
     console.error('Progress update error:', error);
     res.status(400).json({
       success: false,
@@ -94,22 +107,68 @@ router.get('/:courseId', auth, async (req, res) => {
 });
 
 /**
- * POST /api/progress/repair/:courseId
- * Admin only - Validate and repair course indexing
+ * GET /api/progress/:courseId/resume
+ * The next incomplete submodule for the learner, following the course
+ * order from the one completed last. Submodules locked by prerequisites
+ * in strict mode are skipped.
  */
-router.post('/repair/:courseId', auth, async (req, res) => {
+router.get('/:courseId/resume', auth, async (req, res) => {
   try {
-    // Check if user is admin (you'll need to add this to your auth middleware)
-    const User = require('../models/User');
-    const user = await User.findById(req.user.userId);
-    
-    if (user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Admin access required'
-      });
+    const { courseId } = req.params;
+
+    const course = await findVisibleCourse(courseId);
+    if (!course) {
+      return res.status(404).json({ success: false, message: 'Course not found' });
+    }
+
+    const enrollment = await Enrollment.findOne({ userId: req.user.userId, courseId });
+    if (!enrollment) {
+      return res.status(404).json({ success: false, message: 'User not enrolled in this course' });
     }
 
+    const modules = await Module.findByCourse(courseId);
+    const outline = buildOutline(modules);
+    const completed = completedSubModuleKeys(enrollment);
+    const locks = prerequisiteState(modules, completed);
+    const keyOf = (entry) => subModuleKey(entry.moduleId, entry.id);
+    const isLocked = (entry) => Boolean(locks.get(keyOf(entry)) && locks.get(keyOf(entry)).locked);
+
+    const resume = findResumePoint(
+      outline,
+      enrollment.moduleProgress,
+      entry => course.prerequisiteMode === 'strict' && isLocked(entry)
+    );
+
+    res.json({
+      success: true,
+      data: {
+        courseId: course._id,
+        courseCompleted: outline.length > 0 && outline.every(entry => completed.has(keyOf(entry))),
+        progress: enrollment.progress,
+        totalSubModules: outline.length,
+        next: resume ? {
+          ...resume.entry,
+          position: resume.position,
+          locked: isLocked(resume.entry),
+          missingPrerequisites: locks.get(keyOf(resume.entry)).missing
+        } : null
+      }
+    });
+  } catch (error) {
+    console.error('Resume lookup error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/progress/repair/:courseId
+ * Requires progress:repair - Validate and repair course indexing
+ */
+router.post('/repair/:courseId', requirePermission('progress:repair'), async (req, res) => {
+  try {
     const result = await validateAndRepairCourseIndexing(req.params.courseId);
 
     res.json({
@@ -132,35 +191,31 @@ router.post('/repair/:courseId', auth, async (req, res) => {
  */
 router.get('/user/all', auth, async (req, res) => {
   try {
-    const User = require('../models/User');
-    const user = await User.findById(req.user.userId).populate('enrollments.course');
-
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
+    const enrollments = await Enrollment.find({ userId: req.user.userId })
+      .populate('courseId');
 
-    const progressData = user.enrollments.map(enrollment => ({
-      course: {
-        _id: enrollment.course._id,
-        title: enrollment.course.title,
-        shortName: enrollment.course.shortName,
-        thumbnail: enrollment.course.thumbnail,
-        icon: enrollment.course.icon,
-        color: enrollment.course.color
-      },
-      progress: enrollment.progress,
-      completedModules: enrollment.completedModules,
-      totalModules: enrollment.totalModules,
-      enrolledAt: enrollment.enrolledAt,
-      lastAccessed: enrollment.lastAccessed,
-      recentActivity: enrollment.moduleProgress
-        .filter(p => p.lastVisited && !p.archived)
-        .sort((a, b) => b.lastVisited - a.lastVisited)
-        .slice(0, 3)
-    }));
+    // Skip enrollments whose course has been deleted
+    const progressData = enrollments
+      .filter(enrollment => enrollment.courseId)
+      .map(enrollment => ({
+        course: {
+          _id: enrollment.courseId._id,
+          title: enrollment.courseId.title,
+          shortName: enrollment.courseId.shortName,
+          thumbnail: enrollment.courseId.thumbnail,
+          icon: enrollment.courseId.icon,
+          color: enrollment.courseId.color
+        },
+        progress: enrollment.progress,
+        completedModules: enrollment.completedModules,
+        totalModules: enrollment.totalModules,
+        enrolledAt: enrollment.enrolledAt,
+        lastAccessed: enrollment.lastAccessed,
+        recentActivity: enrollment.moduleProgress
+          .filter(p => p.lastVisited && !p.archived)
+          .sort((a, b) => b.lastVisited - a.lastVisited)
+          .slice(0, 3)
+      }));
 
     res.json({
       success: true,
@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Module = require('../models/Module');
+const { searchContent } = require('../utils/contentSearch');
+
+const MAX_QUERY_LENGTH = 200;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// Accepted filter values, taken from the submodule schema
+const subModuleSchema = Module.schema.path('subModules').schema;
+const DIFFICULTIES = subModuleSchema.path('difficulty').enumValues;
+const BLOCK_TYPES = subModuleSchema.path('contentBlocks').schema.path('type').enumValues;
+
+// Search published courses, modules, submodules and content blocks.
+// Query: q, course (id), difficulty, type (content block type), page, limit
+router.get('/', async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const { course, difficulty, type } = req.query;
+
+    if (q.length < 2 || q.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({ error: `q must be between 2 and ${MAX_QUERY_LENGTH} characters` });
+    }
+    if (course !== undefined && !mongoose.Types.ObjectId.isValid(course)) {
+      return res.status(400).json({ error: 'Invalid course ID' });
+    }
+    if (difficulty !== undefined && !DIFFICULTIES.includes(difficulty)) {
+      return res.status(400).json({ error: `difficulty must be one of ${DIFFICULTIES.join(', ')}` });
+    }
+    if (type !== undefined && !BLOCK_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of ${BLOCK_TYPES.join(', ')}` });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const results = await searchContent(q, {
+      courseId: course,
+      difficulty,
+      blockType: type
+    });
+
+    res.json({
+      query: q,
+      total: results.length,
+      page,
+      limit,
+      results: results.slice((page - 1) * limit, page * limit)
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({ error: 'Error searching content' });
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,23 @@ require('dotenv').config();
 
 const app = express();
 
+// Proxies whose X-Forwarded-For is believed when working out req.ip (a hop
+// count, or addresses/subnets). Vercel puts one proxy in front of the app;
+// elsewhere only local proxies are trusted unless TRUST_PROXY says otherwise.
+const parseTrustProxy = (value) => {
+  if (value === undefined || value === '') {
+    return process.env.VERCEL ? 1 : 'loopback';
+  }
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return value;
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // CORS configuration
 const allowedOrigins = [
   'https://code-teach.vercel.app',
@@ -35,13 +52,14 @@ const corsOptions = {
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: [
     'Content-Type',
     'Authorization',
     'Origin',
     'Accept',
     'X-Requested-With',
+    'X-Preview-Token',
     'ngrok-skip-browser-warning'
   ],
   exposedHeaders: ['Content-Length', 'X-Request-Id'],
@@ -53,6 +71,11 @@ const corsOptions = {
 // Apply CORS middleware
 app.use(cors(corsOptions));
 
+// Course bundles and Markdown imports can be much larger than the default
+// 100kb body limit
+const largeJson = express.json({ limit: process.env.COURSE_BUNDLE_LIMIT || '20mb' });
+app.use('/admin/courses/import', largeJson);
+app.use('/api/modules/course/:courseId/markdown', largeJson);
 app.use(express.json());
 
 // Add connection state tracking with better timeout handling
@@ -213,6 +236,9 @@ app.use('/api/contact', require('./routes/contact'));
 app.use('/admin', require('./routes/admin')); // Add admin routes
 app.use('/api/modules', require('./routes/modules')); // Add modules routes
 app.use('/api/progress', require('./routes/progress')); // Add progress tracking routes
+app.use('/api/me', require('./routes/me')); // Self-service account routes
+app.use('/api/playground', require('./routes/playground')); // Code execution for hands-on blocks
+app.use('/api/search', require('./routes/search')); // Full-text content search
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -244,17 +270,42 @@ const initializeAdmin = async () => {
         username: process.env.ADMIN_USERNAME,
         email: process.env.ADMIN_EMAIL,
         password: process.env.ADMIN_PASSWORD,
-        isAdmin: true
+        roles: ['learner', 'admin']
       });
       
       await admin.save();
       console.log('Admin user created successfully');
+    } else if (!admin.roles.includes('admin')) {
+      // Accounts created before roles existed only carry isAdmin
+      admin.roles = [...admin.getRoles(), 'admin'];
+      await admin.save();
+      console.log('Admin role granted to admin user');
     }
   } catch (error) {
     console.error('Error initializing admin:', error);
   }
 };
 
+// Build TTL and unique indexes the app relies on (autoIndex is disabled)
+const ensureIndexes = async () => {
+  try {
+    await Promise.all([
+      require('./models/EmailVerification').createIndexes(),
+      require('./models/PendingSignup').createIndexes(),
+      require('./models/Session').createIndexes(),
+      require('./models/RateLimit').createIndexes(),
+      require('./models/Enrollment').createIndexes(),
+      require('./models/Attempt').createIndexes(),
+      require('./models/ModuleRevision').createIndexes(),
+      // Text indexes for /api/search
+      require('./models/Course').createIndexes(),
+      require('./models/Module').createIndexes()
+    ]);
+  } catch (error) {
+    console.error('Error creating indexes:', error);
+  }
+};
+
 // Update server startup
 const startServer = async (port) => {
   let server;
@@ -279,6 +330,12 @@ const startServer = async (port) => {
     // Initialize admin user
     await initializeAdmin();
 
+    // Make sure expired OTPs, pending signups, sessions and attempt counters are purged
+    await ensureIndexes();
+
+    // Apply publishAt/unpublishAt schedules in the background
+    require('./utils/publishScheduler').startPublishScheduler();
+
     server = await app.listen(port);
     console.log(`Server is running on port ${port}`);
 
@@ -0,0 +1,48 @@
+/**
+ * Account Management Helpers
+ *
+ * Shared by the self-service /api/me routes and the admin user routes.
+ */
+
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Attempt = require('../models/Attempt');
+const Session = require('../models/Session');
+const EmailVerification = require('../models/EmailVerification');
+const PendingSignup = require('../models/PendingSignup');
+const ContactSubmission = require('../models/ContactSubmission');
+
+/**
+ * Delete a user and everything that hangs off the account:
+ * - enrollments (and the enrollment counts of their courses)
+ * - quiz attempts
+ * - instructor assignments
+ * - sessions and outstanding verification codes
+ * - messages sent through the contact form from the account's email
+ */
+const deleteUserAccount = async (user) => {
+  const courseIds = await Enrollment.removeAllForUser(user._id);
+
+  await Course.updateMany(
+    { instructors: user._id },
+    { $pull: { instructors: user._id } }
+  );
+
+  await Promise.all([
+    Attempt.deleteMany({ userId: user._id }),
+    Session.deleteMany({ userId: user._id }),
+    EmailVerification.deleteMany({ $or: [{ email: user.email }, { userId: user._id }] }),
+    PendingSignup.deleteMany({ email: user.email }),
+    ContactSubmission.deleteMany({ email: user.email })
+  ]);
+
+  await user.deleteOne();
+
+  return {
+    coursesUnenrolled: courseIds.length
+  };
+};
+
+module.exports = {
+  deleteUserAccount
+};
@@ -0,0 +1,216 @@
+/**
+ * Enrollment Consistency Check
+ *
+ * Reports drift between the Enrollment collection and everything derived
+ * from it. Read-only; exits with code 1 when drift is found so it can run
+ * in CI or a cron job.
+ *
+ * Checks:
+ * - user documents still carrying embedded `enrolledCourses` / `enrollments`
+ * - several enrollments for the same user and course
+ * - enrollments pointing at deleted users or courses
+ * - completedModules / progress that disagree with moduleProgress
+ * - totalModules that disagree with the course's current submodule count
+ * - Course.enrollmentCount that disagrees with the number of enrollments
+ *
+ * Usage: node utils/checkEnrollmentConsistency.js [--json]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const Enrollment = require('../models/Enrollment');
+const { getCourseIndexing, recalculateEnrollmentStats } = require('./courseIndexing');
+
+/**
+ * Collect drift issues; each issue is `{ type, userId?, courseId?, expected?, actual? }`
+ */
+const checkEnrollmentConsistency = async () => {
+  const issues = [];
+
+  // Raw documents: the embedded arrays are no longer in the schema
+  const embedded = await User.collection
+    .find({ $or: [{ enrolledCourses: { $exists: true } }, { enrollments: { $exists: true } }] })
+    .project({ enrolledCourses: 1, enrollments: 1 })
+    .toArray();
+
+  embedded.forEach(user => {
+    const count = ['enrolledCourses', 'enrollments']
+      .reduce((sum, field) => sum + (Array.isArray(user[field]) ? user[field].length : 0), 0);
+    issues.push({ type: 'embedded-enrollments', userId: user._id, actual: count });
+  });
+
+  const duplicates = await Enrollment.aggregate([
+    { $group: { _id: { userId: '$userId', courseId: '$courseId' }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } }
+  ]);
+
+  duplicates.forEach(duplicate => {
+    issues.push({
+      type: 'duplicate-enrollment',
+      userId: duplicate._id.userId,
+      courseId: duplicate._id.courseId,
+      actual: duplicate.count
+    });
+  });
+
+  const enrollments = await Enrollment.find({}).lean();
+
+  const [courses, existingUsers] = await Promise.all([
+    Course.find({}).select('title enrollmentCount'),
+    User.find({ _id: { $in: enrollments.map(e => e.userId) } }).distinct('_id')
+  ]);
+  const courseIds = new Set(courses.map(c => c._id.toString()));
+  const userIds = new Set(existingUsers.map(id => id.toString()));
+  const enrolledCount = new Map();
+  const totalsByCourse = new Map();
+
+  for (const enrollment of enrollments) {
+    const userId = enrollment.userId;
+    const courseId = enrollment.courseId.toString();
+
+    if (!courseIds.has(courseId)) {
+      issues.push({ type: 'missing-course', userId, courseId });
+      continue;
+    }
+    enrolledCount.set(courseId, (enrolledCount.get(courseId) || 0) + 1);
+
+    if (!userIds.has(userId.toString())) {
+      issues.push({ type: 'missing-user', userId, courseId });
+    }
+
+    if (!totalsByCourse.has(courseId)) {
+      const indexing = await getCourseIndexing(courseId);
+      totalsByCourse.set(courseId, indexing.totalSubModules);
+    }
+    const totalSubModules = totalsByCourse.get(courseId);
+
+    if ((enrollment.totalModules || 0) !== totalSubModules) {
+      issues.push({
+        type: 'total-modules',
+        userId,
+        courseId,
+        expected: totalSubModules,
+        actual: enrollment.totalModules || 0
+      });
+    }
+
+    const expected = {
+      totalModules: enrollment.totalModules || 0,
+      moduleProgress: enrollment.moduleProgress || []
+    };
+    recalculateEnrollmentStats(expected);
+
+    if ((enrollment.completedModules || 0) !== expected.completedModules) {
+      issues.push({
+        type: 'completed-modules',
+        userId,
+        courseId,
+        expected: expected.completedModules,
+        actual: enrollment.completedModules || 0
+      });
+    }
+
+    if ((enrollment.progress || 0) !== expected.progress) {
+      issues.push({
+        type: 'progress',
+        userId,
+        courseId,
+        expected: expected.progress,
+        actual: enrollment.progress || 0
+      });
+    }
+  }
+
+  for (const course of courses) {
+    const actual = enrolledCount.get(course._id.toString()) || 0;
+    if ((course.enrollmentCount || 0) !== actual) {
+      issues.push({
+        type: 'enrollment-count',
+        courseId: course._id,
+        expected: actual,
+        actual: course.enrollmentCount || 0
+      });
+    }
+  }
+
+  return {
+    enrollmentsChecked: enrollments.length,
+    coursesChecked: courses.length,
+    issues
+  };
+};
+
+// Print a summary grouped by issue type
+const printReport = (report) => {
+  console.log('═══════════════════════════════════════════════════════');
+  console.log('ENROLLMENT CONSISTENCY');
+  console.log('═══════════════════════════════════════════════════════');
+  console.log(`Enrollments checked: ${report.enrollmentsChecked}`);
+  console.log(`Courses checked: ${report.coursesChecked}`);
+
+  if (report.issues.length === 0) {
+    console.log('✅ No drift found');
+    console.log('═══════════════════════════════════════════════════════\n');
+    return;
+  }
+
+  console.log(`❌ Issues: ${report.issues.length}\n`);
+
+  const byType = report.issues.reduce((groups, issue) => {
+    (groups[issue.type] = groups[issue.type] || []).push(issue);
+    return groups;
+  }, {});
+
+  Object.entries(byType).forEach(([type, issues]) => {
+    console.log(`⚠️  ${type} (${issues.length})`);
+    issues.slice(0, 10).forEach(issue => {
+      const parts = [
+        issue.userId && `user ${issue.userId}`,
+        issue.courseId && `course ${issue.courseId}`,
+        issue.expected !== undefined && `expected ${issue.expected}`,
+        issue.actual !== undefined && `actual ${issue.actual}`
+      ].filter(Boolean);
+      console.log(`   - ${parts.join(', ')}`);
+    });
+    if (issues.length > 10) {
+      console.log(`   ... and ${issues.length - 10} more`);
+    }
+  });
+
+  console.log('\nRun `npm run migrate:enrollments` to move embedded data and recount,');
+  console.log('or POST /api/progress/repair/:courseId to re-index a course.');
+  console.log('═══════════════════════════════════════════════════════\n');
+};
+
+// Main execution
+const main = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true
+    });
+
+    const report = await checkEnrollmentConsistency();
+
+    if (process.argv.includes('--json')) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(report);
+    }
+
+    await mongoose.connection.close();
+    process.exit(report.issues.length > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Consistency check failed:', error);
+    await mongoose.connection.close();
+    process.exit(2);
+  }
+};
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { checkEnrollmentConsistency };
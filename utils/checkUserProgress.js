@@ -6,6 +6,7 @@
 const mongoose = require('mongoose');
 const User = require('../models/User');
 const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
 require('dotenv').config();
 
 async function checkUserProgress() {
@@ -16,16 +17,19 @@ async function checkUserProgress() {
     });
     console.log('Connected to MongoDB\n');
 
-    const users = await User.find({ 'enrolledCourses.0': { $exists: true } })
-      .populate('enrolledCourses.course', 'title');
+    const userIds = await Enrollment.distinct('userId');
+    const users = await User.find({ _id: { $in: userIds } });
 
     for (const user of users) {
+      const enrollments = await Enrollment.find({ userId: user._id })
+        .populate('courseId', 'title');
+
       console.log(`\n👤 User: ${user.email}`);
-      console.log(`   Name: ${user.firstName} ${user.lastName}`);
-      console.log(`   Enrolled in ${user.enrolledCourses.length} course(s)\n`);
+      console.log(`   Name: ${user.displayName || user.username}`);
+      console.log(`   Enrolled in ${enrollments.length} course(s)\n`);
 
-      for (const enrollment of user.enrolledCourses) {
-        const courseTitle = enrollment.course?.title || 'Unknown Course';
+      for (const enrollment of enrollments) {
+        const courseTitle = enrollment.courseId?.title || 'Unknown Course';
         console.log(`   📚 Course: ${courseTitle}`);
         console.log(`      Progress: ${enrollment.progress}%`);
         console.log(`      Completed: ${enrollment.completedModules}/${enrollment.totalModules} modules`);
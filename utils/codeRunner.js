@@ -0,0 +1,430 @@
+/**
+ * Code Runner
+ *
+ * Runs learner code with CPU, memory, wall-clock and output limits inside
+ * a bubblewrap (`bwrap`) sandbox:
+ * - its own user, PID, network, IPC and UTS namespaces: no network, and no
+ *   view of the API process or its environment through /proc
+ * - a private filesystem holding only the toolchains (read-only), a fresh
+ *   /tmp and the run's own directory, mounted at /sandbox
+ * - an unprivileged uid, with every capability dropped
+ *
+ * When the API runs as root the sandbox is also started under that uid on
+ * the host, so nothing it does is done as root outside the namespaces.
+ * Without bwrap no code runs at all.
+ */
+
+const { spawn, execFile } = require('child_process');
+const fsSync = require('fs');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const TIME_LIMIT_MS = parseInt(process.env.CODE_RUNNER_TIME_LIMIT_MS, 10) || 5000;
+const COMPILE_TIME_LIMIT_MS = parseInt(process.env.CODE_RUNNER_COMPILE_TIME_LIMIT_MS, 10) || 15000;
+const MEMORY_LIMIT_MB = parseInt(process.env.CODE_RUNNER_MEMORY_LIMIT_MB, 10) || 128;
+const MAX_CONCURRENT_RUNS = parseInt(process.env.CODE_RUNNER_CONCURRENCY, 10) || 2;
+const PYTHON_BIN = process.env.PYTHON_BIN || 'python3';
+const JAVA_BIN = process.env.JAVA_BIN || 'java';
+const CXX_BIN = process.env.CXX_BIN || 'g++';
+const SANDBOX_BIN = process.env.CODE_RUNNER_SANDBOX_BIN || 'bwrap';
+const SANDBOX_UID = parseInt(process.env.CODE_RUNNER_UID, 10) || 65534;
+const SANDBOX_GID = parseInt(process.env.CODE_RUNNER_GID, 10) || 65534;
+
+// Where the run's directory is mounted inside the sandbox
+const SANDBOX_DIR = '/sandbox';
+
+// Host paths mounted read-only into the sandbox: the system toolchains, the
+// Node binary running this API, and any extra toolchain directories listed
+// in CODE_RUNNER_SANDBOX_PATHS (colon-separated). Missing paths are skipped.
+const SANDBOX_PATHS = [
+  '/usr',
+  '/bin',
+  '/sbin',
+  '/lib',
+  '/lib32',
+  '/lib64',
+  '/etc/alternatives',
+  '/etc/ld.so.cache',
+  '/etc/ld.so.conf',
+  '/etc/ld.so.conf.d',
+  // JDK configuration on Debian-based systems
+  ...(fsSync.existsSync('/etc') ? fsSync.readdirSync('/etc').filter(name => name.startsWith('java-')).map(name => `/etc/${name}`) : []),
+  process.execPath,
+  ...(process.env.CODE_RUNNER_SANDBOX_PATHS || '').split(':').filter(Boolean)
+];
+
+// Largest number of processes the sandbox uid may run at once
+const MAX_PROCESSES = 64;
+
+// stdout/stderr beyond this many bytes stops the run
+const MAX_OUTPUT_BYTES = 64 * 1024;
+
+// Largest accepted source file
+const MAX_CODE_LENGTH = 64 * 1024;
+
+/**
+ * Toolchain for each language. `run(dir, memoryMb)` (and `compile` for
+ * compiled languages) return [command, args] for a source file saved as
+ * `fileName` in `dir`, the run's directory as seen inside the sandbox.
+ * Memory is limited through the interpreter where
+ * RLIMIT_AS would break it (V8 and the JVM reserve far more address space
+ * than they use).
+ */
+const LANGUAGES = {
+  javascript: {
+    fileName: 'main.js',
+    binary: process.execPath,
+    addressSpaceLimit: false,
+    run: (dir, memoryMb) => [
+      process.execPath,
+      [
+        '--experimental-permission',
+        `--allow-fs-read=${path.join(dir, 'main.js')}`,
+        '--disallow-code-generation-from-strings',
+        '--no-warnings',
+        `--max-old-space-size=${memoryMb}`,
+        path.join(dir, 'main.js')
+      ]
+    ]
+  },
+  python: {
+    fileName: 'main.py',
+    binary: PYTHON_BIN,
+    addressSpaceLimit: true,
+    // -I: isolated mode, ignores PYTHON* variables and the user site directory
+    run: (dir) => [PYTHON_BIN, ['-I', path.join(dir, 'main.py')]]
+  },
+  java: {
+    // Single-file source launch; the public class must be called Main
+    fileName: 'Main.java',
+    binary: JAVA_BIN,
+    addressSpaceLimit: false,
+    run: (dir, memoryMb) => [
+      JAVA_BIN,
+      [`-Xmx${memoryMb}m`, '-XX:+UseSerialGC', '-Xshare:auto', path.join(dir, 'Main.java')]
+    ]
+  },
+  cpp: {
+    fileName: 'main.cpp',
+    binary: CXX_BIN,
+    addressSpaceLimit: true,
+    compile: (dir) => [
+      CXX_BIN,
+      ['-std=c++17', '-O2', '-o', path.join(dir, 'main'), path.join(dir, 'main.cpp')]
+    ],
+    run: (dir) => [path.join(dir, 'main'), []]
+  }
+};
+
+const SUPPORTED_LANGUAGES = Object.keys(LANGUAGES);
+
+// Interpreter messages that mean the memory limit was hit
+const OUT_OF_MEMORY = /JavaScript heap out of memory|MemoryError|OutOfMemoryError|std::bad_alloc|Cannot allocate memory/;
+
+let activeRuns = 0;
+const waiting = [];
+
+// Wait for a free run slot; the returned function frees it
+const acquireSlot = async () => {
+  if (activeRuns >= MAX_CONCURRENT_RUNS) {
+    await new Promise(resolve => waiting.push(resolve));
+  }
+  activeRuns++;
+  return () => {
+    activeRuns--;
+    const next = waiting.shift();
+    if (next) next();
+  };
+};
+
+// Root starts the sandbox as the sandbox uid; other users cannot switch
+const dropsPrivileges = () => typeof process.getuid === 'function' && process.getuid() === 0;
+
+/**
+ * bwrap arguments for a sandbox around `workDir`, mounted at SANDBOX_DIR
+ */
+const sandboxArgs = (workDir) => [
+  '--unshare-all',
+  '--unshare-user',
+  '--uid', String(SANDBOX_UID),
+  '--gid', String(SANDBOX_GID),
+  '--cap-drop', 'ALL',
+  '--die-with-parent',
+  // Own session: no access to the API's terminal
+  '--new-session',
+  '--hostname', 'sandbox',
+  '--clearenv',
+  '--setenv', 'PATH', '/usr/local/bin:/usr/bin:/bin',
+  '--setenv', 'LANG', 'C.UTF-8',
+  '--setenv', 'HOME', SANDBOX_DIR,
+  ...SANDBOX_PATHS.flatMap(hostPath => ['--ro-bind-try', hostPath, hostPath]),
+  '--proc', '/proc',
+  '--dev', '/dev',
+  '--tmpfs', '/tmp',
+  '--bind', workDir, SANDBOX_DIR,
+  '--chdir', SANDBOX_DIR,
+  '--'
+];
+
+// Toolchain lookups are cached for the life of the process
+const availability = new Map();
+
+// Whether a command can be found on the PATH
+const commandExists = (command) => new Promise(resolve => {
+  execFile('/bin/sh', ['-c', 'command -v "$0"', command], (error) => resolve(!error));
+});
+
+// Whether a sandbox can actually be started here: bwrap may be installed
+// while user namespaces are disabled
+const checkSandbox = async () => {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'code-run-'));
+  try {
+    if (dropsPrivileges()) {
+      await fs.chown(workDir, SANDBOX_UID, SANDBOX_GID);
+    }
+    return await new Promise(resolve => {
+      execFile(SANDBOX_BIN, [...sandboxArgs(workDir), 'true'], {
+        timeout: 10000,
+        ...(dropsPrivileges() ? { uid: SANDBOX_UID, gid: SANDBOX_GID } : {})
+      }, (error) => {
+        if (error) {
+          console.error('Code sandbox unavailable:', error.message);
+        }
+        resolve(!error);
+      });
+    });
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Whether the toolchain for a language is installed on this machine and
+ * code can be run in the sandbox. Nothing runs without a working sandbox.
+ */
+const isLanguageAvailable = (language) => {
+  const runtime = LANGUAGES[language];
+  if (!runtime) {
+    return Promise.resolve(false);
+  }
+
+  if (!availability.has(SANDBOX_BIN)) {
+    availability.set(SANDBOX_BIN, checkSandbox().catch(() => false));
+  }
+  if (!availability.has(language)) {
+    availability.set(language, commandExists(runtime.binary));
+  }
+  return Promise.all([availability.get(SANDBOX_BIN), availability.get(language)])
+    .then(([sandbox, toolchain]) => sandbox && toolchain);
+};
+
+/**
+ * Spawn one process in the sandbox under the limits and collect its output
+ */
+const runLimited = (command, args, { workDir, stdin, timeLimitMs, memoryLimitMb, addressSpaceLimit, onOutput, signal }) => {
+  const cpuSeconds = Math.ceil(timeLimitMs / 1000) + 1;
+  const limits = [`ulimit -t ${cpuSeconds}`, 'ulimit -c 0'];
+  if (addressSpaceLimit) {
+    limits.push(`ulimit -v ${memoryLimitMb * 1024}`);
+  }
+  // Process limits count every process of the uid, so they only apply
+  // when the sandbox has a host uid of its own (-u in bash, -p in dash)
+  if (dropsPrivileges()) {
+    limits.push(`{ ulimit -u ${MAX_PROCESSES} || ulimit -p ${MAX_PROCESSES}; } 2>/dev/null`);
+  }
+
+  return new Promise((resolve, reject) => {
+    const startedAt = Date.now();
+    // The shell applies the rlimits, then exec's bwrap, which runs the
+    // program inside the sandbox
+    const child = spawn(
+      '/bin/sh',
+      ['-c', `${limits.join('; ')}; exec "$0" "$@"`, SANDBOX_BIN, ...sandboxArgs(workDir), command, ...args],
+      {
+        cwd: workDir,
+        env: { PATH: process.env.PATH, LANG: 'C.UTF-8' },
+        stdio: ['pipe', 'pipe', 'pipe'],
+        detached: true,
+        ...(dropsPrivileges() ? { uid: SANDBOX_UID, gid: SANDBOX_GID } : {})
+      }
+    );
+
+    const output = { stdout: '', stderr: '' };
+    let outputBytes = 0;
+    let status = null;
+
+    const kill = (reason) => {
+      if (!status) status = reason;
+      try {
+        // Negative pid: bwrap's process group; the sandbox's PID namespace
+        // and everything in it end with bwrap
+        process.kill(-child.pid, 'SIGKILL');
+      } catch (error) {
+        // Already exited
+      }
+    };
+
+    const timer = setTimeout(() => kill('time_limit_exceeded'), timeLimitMs);
+    const abort = () => kill('aborted');
+    if (signal) signal.addEventListener('abort', abort);
+
+    const collect = (stream) => (chunk) => {
+      outputBytes += chunk.length;
+      if (outputBytes > MAX_OUTPUT_BYTES) {
+        kill('output_limit_exceeded');
+        return;
+      }
+      const text = chunk.toString();
+      output[stream] += text;
+      if (onOutput) onOutput(stream, text);
+    };
+
+    child.stdout.on('data', collect('stdout'));
+    child.stderr.on('data', collect('stderr'));
+
+    const cleanup = () => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', abort);
+    };
+
+    child.on('error', (error) => {
+      cleanup();
+      reject(error);
+    });
+
+    child.on('close', (exitCode, exitSignal) => {
+      cleanup();
+
+      if (!status) {
+        if (exitSignal === 'SIGXCPU' || exitSignal === 'SIGKILL') {
+          status = 'time_limit_exceeded';
+        } else if (exitCode !== 0 && OUT_OF_MEMORY.test(output.stderr)) {
+          status = 'memory_limit_exceeded';
+        } else if (exitCode !== 0) {
+          status = 'runtime_error';
+        } else {
+          status = 'ok';
+        }
+      }
+
+      resolve({
+        status,
+        stdout: output.stdout,
+        stderr: output.stderr,
+        exitCode,
+        signal: exitSignal,
+        durationMs: Date.now() - startedAt
+      });
+    });
+
+    // The program may exit without reading its input
+    child.stdin.on('error', () => {});
+    child.stdin.end(stdin);
+  });
+};
+
+/**
+ * Run `code` with `stdin` piped in, compiling it first if the language
+ * needs it.
+ *
+ * Options: `language`, `code`, `stdin`, `timeLimitMs`, `memoryLimitMb`,
+ * `onOutput(stream, chunk)` to receive output as it is produced, and an
+ * AbortSignal `signal` to stop the run early.
+ *
+ * Resolves to `{ status, stdout, stderr, exitCode, signal, durationMs }`
+ * where status is one of: ok, compile_error, runtime_error,
+ * time_limit_exceeded, memory_limit_exceeded, output_limit_exceeded,
+ * aborted.
+ */
+const runCode = async ({
+  language,
+  code,
+  stdin = '',
+  timeLimitMs = TIME_LIMIT_MS,
+  memoryLimitMb = MEMORY_LIMIT_MB,
+  onOutput,
+  signal
+}) => {
+  const runtime = LANGUAGES[language];
+  if (!runtime) {
+    throw new Error(`Unsupported language: ${language}`);
+  }
+
+  if (!(await isLanguageAvailable(language))) {
+    throw new Error(`${language} is not available on this server`);
+  }
+
+  const release = await acquireSlot();
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'code-run-'));
+
+  // Messages mention the sandbox directory; show bare file names instead
+  const scrub = (text) => text.split(`${SANDBOX_DIR}/`).join('');
+  const scrubbed = (result) => ({ ...result, stdout: scrub(result.stdout), stderr: scrub(result.stderr) });
+  const emit = onOutput && ((stream, text) => onOutput(stream, scrub(text)));
+
+  try {
+    await fs.writeFile(path.join(workDir, runtime.fileName), code);
+    if (dropsPrivileges()) {
+      // Compilers write their output next to the source
+      await fs.chown(workDir, SANDBOX_UID, SANDBOX_GID);
+    }
+
+    if (runtime.compile) {
+      const [command, args] = runtime.compile(SANDBOX_DIR);
+      const compiled = await runLimited(command, args, {
+        workDir,
+        stdin: '',
+        timeLimitMs: COMPILE_TIME_LIMIT_MS,
+        addressSpaceLimit: false,
+        onOutput: emit && ((stream, text) => emit('stderr', text)),
+        signal
+      });
+
+      if (compiled.status !== 'ok') {
+        return scrubbed({
+          ...compiled,
+          status: compiled.status === 'runtime_error' ? 'compile_error' : compiled.status,
+          stderr: compiled.stdout + compiled.stderr,
+          stdout: ''
+        });
+      }
+    }
+
+    const [command, args] = runtime.run(SANDBOX_DIR, memoryLimitMb);
+    return scrubbed(await runLimited(command, args, {
+      workDir,
+      stdin,
+      timeLimitMs,
+      memoryLimitMb,
+      addressSpaceLimit: runtime.addressSpaceLimit,
+      onOutput: emit,
+      signal
+    }));
+  } finally {
+    release();
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Compare program output with the expected output, ignoring trailing
+ * whitespace on each line and trailing blank lines
+ */
+const outputMatches = (actual, expected) => {
+  const normalize = (text) => (text || '')
+    .replace(/\r\n/g, '\n')
+    .split('\n')
+    .map(line => line.trimEnd())
+    .join('\n')
+    .trimEnd();
+  return normalize(actual) === normalize(expected);
+};
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  MAX_CODE_LENGTH,
+  isLanguageAvailable,
+  runCode,
+  outputMatches
+};
@@ -0,0 +1,250 @@
+/**
+ * Content Block Validators
+ *
+ * One validator per content block `type`. A validator receives the block
+ * and an array to push field-level errors onto, as `{ field, message }`
+ * with `field` relative to the block (e.g. `mcqQuestions.0.options`).
+ * Module saves run them through the contentBlock schema (models/Module.js).
+ * Other block types can be added with registerBlockValidator().
+ */
+
+const validators = new Map();
+
+/**
+ * Register the validator for a block type, replacing any existing one
+ */
+const registerBlockValidator = (type, validate) => {
+  validators.set(type, validate);
+};
+
+const isBlank = (value) => typeof value !== 'string' || !value.trim();
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Error when a string field is missing or empty
+const requireText = (errors, value, field, label) => {
+  if (isBlank(value)) {
+    errors.push({ field, message: `${label} is required` });
+  }
+};
+
+// Error when a list field is missing or empty
+const requireItems = (errors, value, field, label) => {
+  if (!Array.isArray(value) || value.length === 0) {
+    errors.push({ field, message: `${label} must have at least one item` });
+    return false;
+  }
+  return true;
+};
+
+// Error when a nested object (e.g. `codeSnippet`) is missing
+const requireObject = (errors, value, field, label) => {
+  if (!value || typeof value !== 'object') {
+    errors.push({ field, message: `${label} is required` });
+    return false;
+  }
+  return true;
+};
+
+const requireUrl = (errors, value, field) => {
+  if (isBlank(value)) {
+    errors.push({ field, message: 'URL is required' });
+  } else if (!isHttpUrl(value)) {
+    errors.push({ field, message: 'URL must start with http:// or https://' });
+  }
+};
+
+// Options of an MCQ or quiz question: at least two, one of them correct
+const validateOptions = (errors, options, field) => {
+  if (!Array.isArray(options) || options.length < 2) {
+    errors.push({ field, message: 'A question needs at least two options' });
+    return;
+  }
+  options.forEach((option, index) => {
+    requireText(errors, option && option.text, `${field}.${index}.text`, 'Option text');
+  });
+  if (!options.some(option => option && option.isCorrect)) {
+    errors.push({ field, message: 'At least one option must be marked correct' });
+  }
+};
+
+registerBlockValidator('summary', (block, errors) => {
+  requireText(errors, block.summaryDescription, 'summaryDescription', 'Summary description');
+});
+
+registerBlockValidator('keyFeatures', (block, errors) => {
+  if (requireItems(errors, block.features, 'features', 'Features')) {
+    block.features.forEach((feature, index) => {
+      requireText(errors, feature.text, `features.${index}.text`, 'Feature text');
+    });
+  }
+});
+
+registerBlockValidator('codeSnippet', (block, errors) => {
+  if (requireObject(errors, block.codeSnippet, 'codeSnippet', 'Code snippet')) {
+    requireText(errors, block.codeSnippet.title, 'codeSnippet.title', 'Snippet title');
+    requireText(errors, block.codeSnippet.code, 'codeSnippet.code', 'Snippet code');
+  }
+});
+
+registerBlockValidator('conceptExplanation', (block, errors) => {
+  if (requireItems(errors, block.conceptSections, 'conceptSections', 'Concept sections')) {
+    block.conceptSections.forEach((section, index) => {
+      requireText(errors, section.title, `conceptSections.${index}.title`, 'Section title');
+    });
+  }
+});
+
+registerBlockValidator('importantNote', (block, errors) => {
+  if (requireObject(errors, block.importantNote, 'importantNote', 'Important note')) {
+    requireText(errors, block.importantNote.title, 'importantNote.title', 'Note title');
+    requireItems(errors, block.importantNote.points, 'importantNote.points', 'Note points');
+  }
+});
+
+registerBlockValidator('mistakesToAvoid', (block, errors) => {
+  if (requireObject(errors, block.mistakesToAvoid, 'mistakesToAvoid', 'Mistakes to avoid')) {
+    requireItems(errors, block.mistakesToAvoid.mistakes, 'mistakesToAvoid.mistakes', 'Mistakes');
+  }
+});
+
+registerBlockValidator('timeline', (block, errors) => {
+  if (requireItems(errors, block.timelineEvents, 'timelineEvents', 'Timeline events')) {
+    block.timelineEvents.forEach((event, index) => {
+      requireText(errors, event.title, `timelineEvents.${index}.title`, 'Event title');
+    });
+  }
+});
+
+registerBlockValidator('handsOn', (block, errors) => {
+  if (requireObject(errors, block.handsOn, 'handsOn', 'Hands-on practice')) {
+    requireText(errors, block.handsOn.title, 'handsOn.title', 'Hands-on title');
+  }
+});
+
+registerBlockValidator('mcq', (block, errors) => {
+  if (requireItems(errors, block.mcqQuestions, 'mcqQuestions', 'Questions')) {
+    block.mcqQuestions.forEach((question, index) => {
+      requireText(errors, question.question, `mcqQuestions.${index}.question`, 'Question text');
+      validateOptions(errors, question.options, `mcqQuestions.${index}.options`);
+    });
+  }
+});
+
+registerBlockValidator('codingExercise', (block, errors) => {
+  if (!requireObject(errors, block.codingExercise, 'codingExercise', 'Coding exercise')) {
+    return;
+  }
+  const exercise = block.codingExercise;
+  requireText(errors, exercise.title, 'codingExercise.title', 'Exercise title');
+  if (requireItems(errors, exercise.testCases, 'codingExercise.testCases', 'Test cases')) {
+    exercise.testCases.forEach((testCase, index) => {
+      if (typeof testCase.expectedOutput !== 'string') {
+        errors.push({
+          field: `codingExercise.testCases.${index}.expectedOutput`,
+          message: 'Expected output is required'
+        });
+      }
+    });
+  }
+});
+
+registerBlockValidator('text', (block, errors) => {
+  requireText(errors, block.text, 'text', 'Text');
+});
+
+registerBlockValidator('heading', (block, errors) => {
+  requireText(errors, block.heading, 'heading', 'Heading');
+});
+
+registerBlockValidator('list', (block, errors) => {
+  if (requireItems(errors, block.listItems, 'listItems', 'List items')) {
+    block.listItems.forEach((item, index) => {
+      requireText(errors, item, `listItems.${index}`, 'List item');
+    });
+  }
+});
+
+registerBlockValidator('image', (block, errors) => {
+  if (requireObject(errors, block.content, 'content', 'Image')) {
+    requireUrl(errors, block.content.url, 'content.url');
+    requireText(errors, block.content.alt, 'content.alt', 'Alt text');
+  }
+});
+
+registerBlockValidator('video', (block, errors) => {
+  if (requireObject(errors, block.content, 'content', 'Video')) {
+    requireUrl(errors, block.content.url, 'content.url');
+  }
+});
+
+registerBlockValidator('link', (block, errors) => {
+  if (requireObject(errors, block.content, 'content', 'Link')) {
+    requireUrl(errors, block.content.url, 'content.url');
+    requireText(errors, block.content.title, 'content.title', 'Link title');
+  }
+});
+
+registerBlockValidator('example', (block, errors) => {
+  if (requireObject(errors, block.content, 'content', 'Example')) {
+    requireText(errors, block.content.code, 'content.code', 'Example code');
+  }
+});
+
+registerBlockValidator('quiz', (block, errors) => {
+  if (!requireObject(errors, block.content, 'content', 'Quiz')) {
+    return;
+  }
+  if (requireItems(errors, block.content.questions, 'content.questions', 'Questions')) {
+    block.content.questions.forEach((question, index) => {
+      requireText(errors, question.question, `content.questions.${index}.question`, 'Question text');
+      validateOptions(errors, question.options, `content.questions.${index}.options`);
+    });
+  }
+});
+
+registerBlockValidator('comparison', (block, errors) => {
+  if (!requireObject(errors, block.content, 'content', 'Comparison')) {
+    return;
+  }
+  const { columns, rows } = block.content;
+  if (!Array.isArray(columns) || columns.length < 2) {
+    errors.push({ field: 'content.columns', message: 'A comparison needs at least two columns' });
+    return;
+  }
+  if (requireItems(errors, rows, 'content.rows', 'Rows')) {
+    rows.forEach((row, index) => {
+      requireText(errors, row.label, `content.rows.${index}.label`, 'Row label');
+      if (!Array.isArray(row.values) || row.values.length !== columns.length) {
+        errors.push({
+          field: `content.rows.${index}.values`,
+          message: `Row must have one value per column (${columns.length})`
+        });
+      }
+    });
+  }
+});
+
+/**
+ * Field-level errors for one block; unknown types are left to the schema
+ */
+const validateContentBlock = (block) => {
+  const validate = validators.get(block && block.type);
+  if (!validate) {
+    return [];
+  }
+  const errors = [];
+  validate(block, errors);
+  return errors;
+};
+
+module.exports = {
+  registerBlockValidator,
+  validateContentBlock
+};
@@ -0,0 +1,290 @@
+/**
+ * Content Search
+ *
+ * Full-text search over live courses and their live modules, submodules
+ * and content blocks. The text indexes on Course and Module find candidate
+ * documents; the fields that matched are then located here, so results can
+ * be ranked per submodule and carry a snippet and a deep link
+ * (`courseId/moduleId/subModuleId`).
+ *
+ * Only content learners can already read is searched. MCQ options and
+ * explanations, exercise solutions and test cases are never matched.
+ */
+
+const Course = require('../models/Course');
+const Module = require('../models/Module');
+const { isLive, liveQuery } = require('./publishSchedule');
+
+// Candidate documents taken from each text search
+const MAX_CANDIDATES = 100;
+
+// Characters of context around the first match in a snippet
+const SNIPPET_BEFORE = 60;
+const SNIPPET_LENGTH = 200;
+
+// Searched fields and their weights; these mirror the text indexes on
+// models/Course.js and models/Module.js
+const COURSE_FIELDS = [['title', 10], ['tags', 5], ['description', 2]];
+const MODULE_FIELDS = [['title', 8], ['description', 2]];
+const SUBMODULE_FIELDS = [['title', 6], ['description', 3]];
+const BLOCK_FIELDS = [
+  ['heading', 4],
+  ['text', 1],
+  ['listItems', 1],
+  ['codeSnippet.title', 2],
+  ['codeSnippet.code', 1],
+  ['mcqQuestions.question', 2],
+  ['importantNote.title', 2],
+  ['importantNote.points', 1],
+  ['codingExercise.title', 2],
+  ['codingExercise.description', 1]
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Words of a search string, roughly stemmed so that `lists` finds `list`.
+ * Excluded words (`-word`) are left out.
+ */
+const searchTerms = (query) => {
+  const words = String(query).toLowerCase().match(/-?[\p{L}\p{N}_]+/gu) || [];
+  const terms = words
+    .filter(word => !word.startsWith('-') && word.length > 1)
+    .map(word => {
+      const stem = word.replace(/(ing|es|s)$/, '');
+      return stem.length >= 4 ? stem : word;
+    });
+  return [...new Set(terms)];
+};
+
+// Matches of any term at the start of a word (longest term first, so
+// `arraylist` is not matched as `array`)
+const termPattern = (terms) => new RegExp(
+  `(?<![\\p{L}\\p{N}_])(?:${[...terms].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})`,
+  'giu'
+);
+
+// Text of a field (strings, or lists of strings inside sub-documents)
+const fieldText = (source, fieldPath) => {
+  const value = fieldPath.split('.').reduce((current, key) => {
+    if (current === undefined || current === null) return undefined;
+    return Array.isArray(current) ? current.map(item => item && item[key]) : current[key];
+  }, source);
+
+  const flat = [].concat(value === undefined ? [] : value).flat(Infinity);
+  return flat.filter(item => typeof item === 'string' && item.trim()).join('\n');
+};
+
+/**
+ * Score one field: its weight for every term it contains, plus a little
+ * for repeats. Null when no term matches.
+ */
+const matchField = (text, weight, terms) => {
+  if (!text) return null;
+
+  const counts = new Map();
+  for (const match of text.matchAll(termPattern(terms))) {
+    const term = terms.find(t => match[0].toLowerCase() === t);
+    counts.set(term, (counts.get(term) || 0) + 1);
+  }
+  if (counts.size === 0) return null;
+
+  const repeats = [...counts.values()].reduce((sum, count) => sum + Math.min(count, 5) - 1, 0);
+  return { score: weight * (counts.size + repeats * 0.1) };
+};
+
+/**
+ * Snippet of `text` around its first match, with `highlights` as
+ * `[start, end]` offsets of every match in the snippet
+ */
+const buildSnippet = (text, terms) => {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  const pattern = termPattern(terms);
+  const first = pattern.exec(flat);
+
+  let start = first ? Math.max(0, first.index - SNIPPET_BEFORE) : 0;
+  if (start > 0) {
+    const space = flat.indexOf(' ', start);
+    start = space !== -1 && space < first.index ? space + 1 : start;
+  }
+  const end = Math.min(flat.length, start + SNIPPET_LENGTH);
+
+  const prefix = start > 0 ? '…' : '';
+  const snippet = `${prefix}${flat.slice(start, end)}${end < flat.length ? '…' : ''}`;
+
+  const highlights = [...flat.slice(start, end).matchAll(termPattern(terms))]
+    .map(match => [match.index + prefix.length, match.index + prefix.length + match[0].length]);
+
+  return { snippet, highlights };
+};
+
+/**
+ * Best-scoring match among `fields` of `source`, or null. `extra` is
+ * merged into the match (e.g. the block it came from).
+ */
+const bestMatch = (source, fields, terms, prefix = '', extra = {}) => {
+  let best = null;
+  let score = 0;
+
+  fields.forEach(([field, weight]) => {
+    const text = fieldText(source, field);
+    const match = matchField(text, weight, terms);
+    if (!match) return;
+
+    score += match.score;
+    if (!best || match.score > best.score) {
+      best = { score: match.score, field: `${prefix}${field}`, text, ...extra };
+    }
+  });
+
+  return best ? { ...best, total: score } : null;
+};
+
+const toMatch = ({ field, text, blockId, blockType }, terms) => ({
+  field,
+  ...(blockId ? { blockId, blockType } : {}),
+  ...buildSnippet(text, terms)
+});
+
+/**
+ * Search results for a submodule: its own fields and the blocks of the
+ * requested type. Null when nothing matched.
+ */
+const matchSubModule = (subModule, terms, blockType) => {
+  const matches = [];
+
+  if (!blockType) {
+    const own = bestMatch(subModule, SUBMODULE_FIELDS, terms);
+    if (own) matches.push(own);
+  }
+
+  (subModule.contentBlocks || [])
+    .filter(block => !blockType || block.type === blockType)
+    .forEach(block => {
+      const match = bestMatch(block, BLOCK_FIELDS, terms, 'contentBlocks.', {
+        blockId: block._id,
+        blockType: block.type
+      });
+      if (match) matches.push(match);
+    });
+
+  if (matches.length === 0) return null;
+
+  const best = matches.reduce((a, b) => (b.score > a.score ? b : a));
+  return {
+    score: matches.reduce((sum, match) => sum + match.total, 0),
+    matches: matches.length,
+    best
+  };
+};
+
+/**
+ * Search live content. Options:
+ * - `courseId`: only this course
+ * - `difficulty`: only submodules of this difficulty
+ * - `blockType`: only content blocks of this type
+ *
+ * With `difficulty` or `blockType`, only submodules are returned. Resolves
+ * to every result, best first: `{ type: 'course' | 'module' | 'subModule',
+ * score, link, course, module?, subModule?, matches?, match }` where
+ * `match` is `{ field, blockId?, blockType?, snippet, highlights }`.
+ */
+const searchContent = async (query, { courseId, difficulty, blockType } = {}, now = new Date()) => {
+  const terms = searchTerms(query);
+  if (terms.length === 0) {
+    return [];
+  }
+
+  const text = { $text: { $search: String(query) } };
+  const score = { score: { $meta: 'textScore' } };
+  const courseFilter = courseId ? { _id: courseId } : {};
+  const subModulesOnly = Boolean(difficulty || blockType);
+
+  const courses = await Course.find({ ...courseFilter, ...liveQuery(now) }).select('title');
+  const coursesById = new Map(courses.map(course => [course._id.toString(), course]));
+
+  const moduleFilter = {
+    ...text,
+    courseId: { $in: courses.map(course => course._id) },
+    ...liveQuery(now)
+  };
+  if (difficulty) moduleFilter['subModules.difficulty'] = difficulty;
+  if (blockType) moduleFilter['subModules.contentBlocks.type'] = blockType;
+
+  const [matchedCourses, modules] = await Promise.all([
+    subModulesOnly
+      ? []
+      : Course.find({ ...text, ...courseFilter, ...liveQuery(now) }, score)
+        .sort(score)
+        .limit(MAX_CANDIDATES)
+        .select('title tags description')
+        .lean(),
+    Module.find(moduleFilter, score)
+      .sort(score)
+      .limit(MAX_CANDIDATES)
+      .lean()
+  ]);
+
+  const results = [];
+
+  matchedCourses.forEach(course => {
+    const match = bestMatch(course, COURSE_FIELDS, terms);
+    if (!match) return;
+    results.push({
+      type: 'course',
+      score: match.total,
+      link: course._id.toString(),
+      course: { _id: course._id, title: course.title },
+      match: toMatch(match, terms)
+    });
+  });
+
+  modules.forEach(module => {
+    const course = coursesById.get(module.courseId.toString());
+    if (!course) return;
+    const link = `${course._id}/${module.id}`;
+    const courseInfo = { _id: course._id, title: course.title };
+    const moduleInfo = { id: module.id, title: module.title };
+
+    const own = !subModulesOnly && bestMatch(module, MODULE_FIELDS, terms);
+    if (own) {
+      results.push({
+        type: 'module',
+        score: own.total,
+        link,
+        course: courseInfo,
+        module: moduleInfo,
+        match: toMatch(own, terms)
+      });
+    }
+
+    (module.subModules || [])
+      .filter(subModule => isLive(subModule, now))
+      .filter(subModule => !difficulty || subModule.difficulty === difficulty)
+      .forEach(subModule => {
+        const found = matchSubModule(subModule, terms, blockType);
+        if (!found) return;
+        results.push({
+          type: 'subModule',
+          score: found.score,
+          link: `${link}/${subModule.id}`,
+          course: courseInfo,
+          module: moduleInfo,
+          subModule: { id: subModule.id, title: subModule.title, difficulty: subModule.difficulty },
+          matches: found.matches,
+          match: toMatch(found.best, terms)
+        });
+      });
+  });
+
+  results.forEach(result => {
+    result.score = Math.round(result.score * 100) / 100;
+  });
+  return results.sort((a, b) => b.score - a.score);
+};
+
+module.exports = {
+  searchTerms,
+  buildSnippet,
+  searchContent
+};
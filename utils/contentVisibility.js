@@ -0,0 +1,124 @@
+/**
+ * Content Visibility
+ *
+ * Decides what public read paths may return. Learners only get content
+ * that is live (see publishSchedule.js) in a live course. A course editor
+ * holding a preview token (middleware/previewAccess.js) sees the whole
+ * course, with each module's draft in place of its published content.
+ *
+ * `preview` is req.preview: null for learners.
+ */
+
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Module = require('../models/Module');
+const ModuleRevision = require('../models/ModuleRevision');
+const { isLive, liveQuery } = require('./publishSchedule');
+
+/**
+ * Courses listed to learners, newest first
+ */
+const findVisibleCourses = (now = new Date()) => {
+  return Course.findPublished(now);
+};
+
+/**
+ * Whether a course is live, for checks that do not need the document
+ */
+const isCourseVisible = async (courseId, preview = null, now = new Date()) => {
+  if (!mongoose.Types.ObjectId.isValid(courseId)) {
+    return false;
+  }
+  if (preview) {
+    return Boolean(await Course.exists({ _id: courseId }));
+  }
+  return Boolean(await Course.exists({ _id: courseId, ...liveQuery(now) }));
+};
+
+/**
+ * The course, or null when it does not exist or the reader may not see it
+ */
+const findVisibleCourse = async (courseId, preview = null, now = new Date()) => {
+  if (!mongoose.Types.ObjectId.isValid(courseId)) {
+    return null;
+  }
+  const course = await Course.findById(courseId);
+  if (!course || (!preview && !course.isLive(now))) {
+    return null;
+  }
+  return course;
+};
+
+/**
+ * A course's modules in order as plain objects, each with the submodules
+ * the reader may see
+ */
+const findVisibleModules = async (courseId, preview = null, now = new Date()) => {
+  if (!preview) {
+    return Module.findByCourse(courseId, now);
+  }
+
+  const modules = await Module.find({ courseId });
+  const drafts = await ModuleRevision.find({
+    moduleId: { $in: modules.map(module => module._id) },
+    status: 'draft'
+  });
+  const draftsByModule = new Map(drafts.map(draft => [draft.moduleId.toString(), draft]));
+
+  return modules
+    .map(module => {
+      const draft = draftsByModule.get(module._id.toString());
+      return {
+        ...module.toObject(),
+        ...(draft ? draft.snapshot.toObject() : {})
+      };
+    })
+    .sort((a, b) => a.order - b.order);
+};
+
+/**
+ * Find a submodule the reader may see. Resolves to null, or to
+ * `{ module, content, subModule, subModules }` where `module` is the
+ * Module document, `content` the module content shown (its draft when
+ * previewing) and `subModules` the visible submodules in order.
+ */
+const findVisibleSubModule = async (courseId, moduleId, subModuleId, preview = null, now = new Date()) => {
+  if (!(await isCourseVisible(courseId, preview, now))) {
+    return null;
+  }
+
+  const module = await Module.findOne({ courseId, id: moduleId });
+  if (!module) {
+    return null;
+  }
+
+  let content = module;
+  if (preview) {
+    const draft = await ModuleRevision.findDraft(module._id);
+    if (draft) {
+      content = draft.snapshot;
+    }
+  } else if (!module.isLive(now)) {
+    return null;
+  }
+
+  const subModules = preview
+    ? content.subModules.slice()
+    : content.subModules.filter(sm => isLive(sm, now));
+  subModules.sort((a, b) => a.order - b.order);
+
+  const subModule = subModules.find(sm => sm.id === subModuleId);
+  if (!subModule) {
+    return null;
+  }
+
+  return { module, content, subModule, subModules };
+};
+
+module.exports = {
+  findVisibleCourses,
+  isCourseVisible,
+  findVisibleCourse,
+  findVisibleModules,
+  findVisibleSubModule
+};
@@ -0,0 +1,401 @@
+/**
+ * Course Bundles
+ *
+ * Portable JSON copies of a course and all of its modules, submodules and
+ * content blocks, for moving courses between environments and seeding new
+ * ones. A bundle carries a format version and a SHA-256 checksum of its
+ * content, and no database ids: modules and submodules are identified by
+ * their `id` strings, which are rewritten for the target course on import.
+ * Content blocks keep their `_id`, which learners' attempts and quiz scores
+ * refer to, so that upserting a bundle back into its course keeps them.
+ *
+ * Bundle layout (version 1):
+ *   { format, version, exportedAt, checksum,
+ *     course: { id, title, description, tags, icon, color, isPublished, publishAt, unpublishAt,
+ *               prerequisiteMode },
+ *     modules: [{ id, title, description, order, icon, isPublished, publishAt, unpublishAt,
+ *                 subModules: [...] }] }
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Module = require('../models/Module');
+const ModuleRevision = require('../models/ModuleRevision');
+const { withTransaction } = require('./transaction');
+const { validateAndRepairCourseIndexing } = require('./courseIndexing');
+const { MODULE_FIELDS } = require('./moduleDiff');
+const { findPrerequisiteErrors } = require('./prerequisites');
+
+const BUNDLE_FORMAT = 'code-teach-course';
+const BUNDLE_VERSION = 1;
+
+// Course fields copied into bundles; statistics, enrollments and
+// instructors belong to an environment, not to the course content
+const COURSE_FIELDS = ['title', 'description', 'tags', 'icon', 'color', 'isPublished', 'publishAt', 'unpublishAt', 'prerequisiteMode'];
+
+// Database and bookkeeping fields left out of bundled content
+const STRIPPED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'lastEditedBy'];
+
+/**
+ * Error raised for a bundle that cannot be imported. `code` is one of
+ * invalid, conflict or not_found; `fields` lists field-level problems as
+ * `{ field, message }`.
+ */
+class BundleError extends Error {
+  constructor(message, code = 'invalid', fields = []) {
+    super(message);
+    this.name = 'BundleError';
+    this.code = code;
+    this.fields = fields;
+  }
+}
+
+// Conflict for bundled modules whose existing copies have open drafts
+const draftConflict = (drafts, existing, contents) => {
+  const draftIds = new Set(drafts.map(draft => draft.moduleId.toString()));
+  const fields = [];
+  contents.forEach((content, index) => {
+    const module = existing.get(content.id);
+    if (module && draftIds.has(module._id.toString())) {
+      fields.push({ field: `modules.${index}`, message: `Module "${content.id}" has an unpublished draft` });
+    }
+  });
+  return new BundleError('Publish or discard the drafts of the modules being imported first', 'conflict', fields);
+};
+
+// Plain JSON copy with database and bookkeeping fields removed
+const stripIds = (value) => JSON.parse(JSON.stringify(value, (key, nested) => {
+  return STRIPPED_FIELDS.includes(key) ? undefined : nested;
+}));
+
+// Bundled submodules with the `_id` of each content block put back
+const withBlockIds = (bundledSubModules, subModules) => bundledSubModules.map((subModule, index) => ({
+  ...subModule,
+  contentBlocks: (subModule.contentBlocks || []).map((block, blockIndex) => ({
+    ...block,
+    _id: subModules[index].contentBlocks[blockIndex]._id.toString()
+  }))
+}));
+
+// Imported submodules whose content blocks keep their bundled `_id` only
+// where the same submodule of `module` (the module being updated, if any)
+// already has a block with that id; other blocks get new ids
+const matchBlockIds = (subModules, module) => {
+  const blockIds = new Map((module ? module.subModules : []).map(subModule => [
+    subModule.id,
+    new Set(subModule.contentBlocks.map(block => block._id.toString()))
+  ]));
+
+  return subModules.map(subModule => {
+    const available = blockIds.get(subModule.id) || new Set();
+    return {
+      ...subModule,
+      contentBlocks: (subModule.contentBlocks || []).map(({ _id, ...block }) => {
+        if (_id === undefined || !available.delete(String(_id))) {
+          return block;
+        }
+        return { ...block, _id };
+      })
+    };
+  });
+};
+
+// JSON with object keys sorted, so equal content always hashes the same
+const canonicalJson = (value) => JSON.stringify(value, (key, nested) => {
+  if (nested && typeof nested === 'object' && !Array.isArray(nested)) {
+    return Object.keys(nested).sort().reduce((sorted, k) => {
+      sorted[k] = nested[k];
+      return sorted;
+    }, {});
+  }
+  return nested;
+});
+
+const pick = (source, fields) => fields.reduce((picked, field) => {
+  if (source[field] !== undefined) {
+    picked[field] = source[field];
+  }
+  return picked;
+}, {});
+
+/**
+ * Checksum of a bundle's content (everything but `exportedAt` and `checksum`)
+ */
+const bundleChecksum = (bundle) => {
+  const content = canonicalJson({
+    format: bundle.format,
+    version: bundle.version,
+    course: bundle.course,
+    modules: bundle.modules
+  });
+  return `sha256:${crypto.createHash('sha256').update(content).digest('hex')}`;
+};
+
+/**
+ * Build the bundle for a course from its published module content
+ */
+const buildCourseBundle = async (course) => {
+  const modules = await Module.find({ courseId: course._id }).sort({ order: 1 });
+
+  const bundle = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    course: {
+      id: course._id.toString(),
+      ...stripIds(pick(course.toObject({ virtuals: false }), COURSE_FIELDS))
+    },
+    modules: modules.map(module => {
+      const bundled = stripIds({
+        id: module.id,
+        ...pick(module.toObject(), MODULE_FIELDS),
+        subModules: module.subModules
+      });
+      return { ...bundled, subModules: withBlockIds(bundled.subModules, module.subModules) };
+    })
+  };
+
+  bundle.checksum = bundleChecksum(bundle);
+  return bundle;
+};
+
+/**
+ * Check a bundle's format, version, checksum and structure.
+ * Throws BundleError.
+ */
+const checkBundle = (bundle) => {
+  if (!bundle || typeof bundle !== 'object' || bundle.format !== BUNDLE_FORMAT) {
+    throw new BundleError(`Not a course bundle (expected format "${BUNDLE_FORMAT}")`);
+  }
+  if (bundle.version !== BUNDLE_VERSION) {
+    throw new BundleError(`Unsupported bundle version ${bundle.version}; this server reads version ${BUNDLE_VERSION}`);
+  }
+  if (!bundle.course || typeof bundle.course !== 'object' || !Array.isArray(bundle.modules)) {
+    throw new BundleError('Bundle must contain a course and a modules list');
+  }
+  if (bundle.checksum !== bundleChecksum(bundle)) {
+    throw new BundleError('Bundle checksum does not match its content; the file was modified or truncated');
+  }
+
+  const fields = [];
+  const moduleIds = new Set();
+  const subModuleIds = new Set();
+  bundle.modules.forEach((module, index) => {
+    if (!module || typeof module.id !== 'string' || !module.id) {
+      fields.push({ field: `modules.${index}.id`, message: 'Module id is required' });
+      return;
+    }
+    if (moduleIds.has(module.id)) {
+      fields.push({ field: `modules.${index}.id`, message: `Duplicate module id "${module.id}"` });
+    }
+    moduleIds.add(module.id);
+
+    (Array.isArray(module.subModules) ? module.subModules : []).forEach((subModule, subIndex) => {
+      const id = subModule && subModule.id;
+      if (id && subModuleIds.has(id)) {
+        fields.push({ field: `modules.${index}.subModules.${subIndex}.id`, message: `Duplicate submodule id "${id}"` });
+      }
+      subModuleIds.add(id);
+    });
+  });
+
+  if (fields.length > 0) {
+    throw new BundleError('Bundle has invalid module ids', 'invalid', fields);
+  }
+};
+
+/**
+ * Rewrite ids generated for the source course (`<courseId>_module_1`...)
+ * so they point at the target course
+ */
+const remapModule = (module, sourceCourseId, targetCourseId) => {
+  const remap = (id) => (sourceCourseId && typeof id === 'string')
+    ? id.split(sourceCourseId).join(targetCourseId)
+    : id;
+
+  return {
+    ...module,
+    id: remap(module.id),
+    subModules: (module.subModules || []).map(subModule => ({
+      ...subModule,
+      id: remap(subModule.id),
+      prerequisites: (subModule.prerequisites || []).map(remap)
+    }))
+  };
+};
+
+// Field errors of a failed validate(), under `prefix`
+const validationFields = async (doc, prefix, stripPrefix = '') => {
+  try {
+    await doc.validate();
+    return [];
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    return Object.entries(error.errors).map(([field, err]) => ({
+      field: `${prefix}${field.startsWith(stripPrefix) ? field.slice(stripPrefix.length) : field}`,
+      message: err.message
+    }));
+  }
+};
+
+/**
+ * Import a bundle. Options:
+ * - `mode`: 'create' makes a new course; 'upsert' writes into `courseId`,
+ *   updating modules with the same id (through a published revision, so
+ *   the previous content can be restored) and adding the others. Modules
+ *   of the course that are not in the bundle are kept. Content blocks
+ *   still in the same submodule keep their ids, so attempts and quiz
+ *   scores recorded against them stay attached.
+ * - `title`: course title to use instead of the bundle's
+ * - `userId`: recorded as the editor
+ *
+ * Everything is validated before anything is written. Resolves to
+ * `{ course, created, modules: { created, updated, kept } }`; throws BundleError.
+ */
+const importCourseBundle = async (bundle, { mode = 'create', courseId, title, userId } = {}) => {
+  if (!['create', 'upsert'].includes(mode)) {
+    throw new BundleError('mode must be create or upsert');
+  }
+  checkBundle(bundle);
+
+  const courseFields = pick(bundle.course, COURSE_FIELDS);
+  if (title) {
+    courseFields.title = title;
+  }
+
+  let course;
+  if (mode === 'upsert') {
+    if (!mongoose.Types.ObjectId.isValid(courseId)) {
+      throw new BundleError('courseId is required to upsert', 'invalid');
+    }
+    course = await Course.findById(courseId);
+    if (!course) {
+      throw new BundleError('Course not found', 'not_found');
+    }
+    course.set(courseFields);
+  } else {
+    course = new Course({ ...courseFields, _id: new mongoose.Types.ObjectId() });
+  }
+  course.lastEditedBy = userId;
+
+  if (course.isModified('title') && await Course.exists({ title: course.title, _id: { $ne: course._id } })) {
+    throw new BundleError(`A course titled "${course.title}" already exists`, 'conflict', [
+      { field: 'course.title', message: 'Course title must be unique' }
+    ]);
+  }
+
+  const sourceCourseId = mongoose.Types.ObjectId.isValid(bundle.course.id) ? String(bundle.course.id) : null;
+  const targetCourseId = course._id.toString();
+  const existing = mode === 'upsert'
+    ? new Map((await Module.find({ courseId: course._id })).map(module => [module.id, module]))
+    : new Map();
+
+  const contents = bundle.modules.map(bundled => remapModule(bundled, sourceCourseId, targetCourseId));
+  const imported = new Set(contents.map(content => content.id));
+
+  // Prerequisites may point at other modules of the bundle, which are not
+  // in the database yet, so they (and submodule id uniqueness) are checked
+  // here for the whole course rather than module by module on save
+  const courseModules = [...existing.values()]
+    .filter(module => !imported.has(module.id))
+    .concat(contents);
+
+  // Imported content cannot be merged with unpublished edits, which
+  // publishing it would silently discard
+  const drafts = await ModuleRevision.find({
+    moduleId: { $in: contents.filter(content => existing.has(content.id)).map(content => existing.get(content.id)._id) },
+    status: 'draft'
+  }).select('moduleId');
+  if (drafts.length > 0) {
+    throw draftConflict(drafts, existing, contents);
+  }
+
+  const newModules = [];
+  const updates = [];
+  const fields = await validationFields(course, 'course.');
+
+  for (const [index, content] of contents.entries()) {
+    findPrerequisiteErrors(courseModules, content.subModules || []).forEach(error => {
+      fields.push({ field: `modules.${index}.subModules.${error.index}.${error.field}`, message: error.message });
+    });
+
+    const module = existing.get(content.id);
+    const subModules = matchBlockIds(content.subModules || [], module)
+      .map(sm => ({ ...sm, lastEditedBy: userId }));
+
+    if (module) {
+      // Validated as a revision would be, then published directly
+      const revision = new ModuleRevision({
+        moduleId: module._id,
+        courseId: module.courseId,
+        status: 'draft',
+        snapshot: { ...pick(content, MODULE_FIELDS), subModules },
+        author: userId
+      });
+      revision.$locals.prerequisitesChecked = true;
+      module.$locals.prerequisitesChecked = true;
+      fields.push(...await validationFields(revision, `modules.${index}.`, 'snapshot.'));
+      updates.push({ module, revision });
+    } else {
+      const created = new Module({
+        ...pick(content, MODULE_FIELDS),
+        id: content.id,
+        courseId: course._id,
+        subModules,
+        lastEditedBy: userId
+      });
+      created.$locals.prerequisitesChecked = true;
+      fields.push(...await validationFields(created, `modules.${index}.`));
+      newModules.push(created);
+    }
+  }
+
+  if (fields.length > 0) {
+    throw new BundleError('Bundle content is invalid', 'invalid', fields);
+  }
+
+  // The course, its new modules and the updated ones are written
+  // together. Updated modules keep their history: the imported content is
+  // published as their next revision.
+  await withTransaction(async (session) => {
+    const opened = await ModuleRevision.find({
+      moduleId: { $in: updates.map(({ module }) => module._id) },
+      status: 'draft'
+    }).select('moduleId').session(session);
+    if (opened.length > 0) {
+      throw draftConflict(opened, existing, contents);
+    }
+
+    await course.save({ session });
+    for (const module of newModules) {
+      await module.save({ session });
+    }
+    for (const { module, revision } of updates) {
+      const snapshot = revision.toObject({ depopulate: true }).snapshot;
+      await ModuleRevision.publishContent(module, snapshot, userId, 'Imported from course bundle', session);
+    }
+  });
+
+  // Renumber, recount and bring enrollments up to date
+  await validateAndRepairCourseIndexing(course._id);
+
+  return {
+    course: await Course.findById(course._id),
+    created: mode === 'create',
+    modules: {
+      created: newModules.length,
+      updated: updates.length,
+      kept: [...existing.keys()].filter(id => !imported.has(id)).length
+    }
+  };
+};
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  BundleError,
+  buildCourseBundle,
+  checkBundle,
+  importCourseBundle
+};
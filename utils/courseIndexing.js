@@ -9,6 +9,18 @@
  */
 
 const mongoose = require('mongoose');
+const Enrollment = require('../models/Enrollment');
+const { isGradedBlock } = require('./quizGrading');
+const { isLive, liveQuery } = require('./publishSchedule');
+const { assertUnlocked } = require('./prerequisites');
+
+/**
+ * Recalculate completion stats for an enrollment
+ */
+const recalculateEnrollmentStats = (enrollment) => {
+  enrollment.completedModules = enrollment.moduleProgress.filter(p => p.completed && !p.archived).length;
+  enrollment.progress = Enrollment.calculateProgress(enrollment.completedModules, enrollment.totalModules);
+};
 
 /**
  * Generate unique IDs for modules and submodules
@@ -24,9 +36,10 @@ const generateSubModuleId = (courseId, moduleOrder, subModuleOrder) => {
 
 /**
  * Index all modules and submodules in a course
- * Assigns unique IDs and proper ordering
+ * Assigns unique IDs and proper ordering to everything; only content that
+ * is live at `now` is counted and tracked for progress
  */
-const indexCourseModules = (course) => {
+const indexCourseModules = (course, now = new Date()) => {
   if (!course.modules || !Array.isArray(course.modules)) {
     return {
       totalModules: 0,
@@ -35,6 +48,7 @@ const indexCourseModules = (course) => {
     };
   }
 
+  let totalModules = 0;
   let totalSubModules = 0;
   const indexed = [];
 
@@ -47,6 +61,11 @@ const indexCourseModules = (course) => {
       module.subModules = [];
     }
 
+    const moduleIsLive = isLive(module, now);
+    if (moduleIsLive) {
+      totalModules++;
+    }
+
     // Index submodules
     module.subModules.forEach((subModule, subModuleIndex) => {
       subModule.id = subModule.id || generateSubModuleId(
@@ -55,8 +74,12 @@ const indexCourseModules = (course) => {
         subModuleIndex + 1
       );
       subModule.order = subModuleIndex + 1;
-      totalSubModules++;
 
+      if (!moduleIsLive || !isLive(subModule, now)) {
+        return;
+      }
+
+      totalSubModules++;
       indexed.push({
         moduleId: module.id,
         moduleOrder: module.order,
@@ -69,106 +92,126 @@ const indexCourseModules = (course) => {
   });
 
   return {
-    totalModules: course.modules.length,
+    totalModules,
     totalSubModules,
     indexed
   };
 };
 
+/**
+ * Load a course's modules (in order) and index them
+ */
+const getCourseIndexing = async (courseId) => {
+  const Module = mongoose.model('Module');
+  const modules = await Module.find({ courseId }).sort({ order: 1 });
+  return indexCourseModules({ _id: courseId, modules });
+};
+
 /**
  * Update user progress when course structure changes
  * Handles:
  * - Removed modules/submodules (mark as removed, preserve completion)
  * - Reordered modules/submodules (update references)
  * - New modules/submodules (add to tracking)
+ *
+ * Enrollments are changed with targeted updates rather than loaded and
+ * saved whole, so completions recorded meanwhile (see models/Enrollment.js)
+ * are never overwritten.
  */
 const updateUserProgressForCourseChange = async (courseId, oldIndexing, newIndexing) => {
-  const User = mongoose.model('User');
-  
-  // Find all users enrolled in this course
-  const users = await User.find({
-    'enrollments.course': courseId
-  });
+  const usersUpdated = await Enrollment.countDocuments({ courseId });
 
-  if (users.length === 0) {
+  if (usersUpdated === 0) {
     return {
-      usersUpdated: 0,
-      progressUpdated: 0
+      usersUpdated: 0
     };
   }
 
-  let usersUpdated = 0;
-  let progressUpdated = 0;
-
-  for (const user of users) {
-    const enrollment = user.enrollments.find(
-      e => e.course.toString() === courseId.toString()
-    );
-
-    if (!enrollment) continue;
-
-    // Create map of old submodule IDs
-    const oldSubModulesMap = new Map(
-      oldIndexing.indexed.map(item => [item.subModuleId, item])
-    );
-
-    // Create map of new submodule IDs
-    const newSubModulesMap = new Map(
-      newIndexing.indexed.map(item => [item.subModuleId, item])
-    );
-
-    // Update module progress
-    const updatedProgress = [];
-    const preservedProgress = new Set();
-
-    // Step 1: Preserve progress for modules that still exist
-    enrollment.moduleProgress.forEach(progress => {
-      if (newSubModulesMap.has(progress.subModuleId)) {
-        // Module still exists, keep progress
-        updatedProgress.push(progress);
-        preservedProgress.add(progress.subModuleId);
-      } else if (progress.completed) {
-        // Module was removed but user completed it - mark as archived
-        progress.archived = true;
-        progress.archivedAt = new Date();
-        updatedProgress.push(progress);
-      }
-      // Otherwise, drop incomplete progress for removed modules
-    });
+  const now = new Date();
+  const liveIds = newIndexing.indexed.map(item => item.subModuleId);
+  const total = newIndexing.totalSubModules;
 
-    // Step 2: Add tracking for new submodules
-    newIndexing.indexed.forEach(item => {
-      if (!preservedProgress.has(item.subModuleId)) {
-        updatedProgress.push({
-          moduleId: item.moduleId,
-          subModuleId: item.subModuleId,
-          completed: false,
-          lastVisited: null
-        });
+  // Completed entries among the live ones, and the percentage they make
+  const completedCount = {
+    $size: {
+      $filter: {
+        input: '$moduleProgress',
+        cond: { $and: ['$$this.completed', { $ne: ['$$this.archived', true] }] }
       }
-    });
-
-    // Update enrollment
-    enrollment.moduleProgress = updatedProgress;
-    enrollment.totalModules = newIndexing.totalSubModules;
-    
-    // Recalculate progress
-    const completedCount = updatedProgress.filter(p => p.completed && !p.archived).length;
-    enrollment.completedModules = completedCount;
-    enrollment.progress = newIndexing.totalSubModules > 0 
-      ? Math.round((completedCount / newIndexing.totalSubModules) * 100)
-      : 0;
-
-    usersUpdated++;
-    progressUpdated += updatedProgress.length;
-  }
-
-  // Save all users
-  await Promise.all(users.map(user => user.save()));
+    }
+  };
+  const percentage = total > 0
+    ? { $min: [100, { $floor: { $add: [{ $multiply: [{ $divide: ['$completedModules', total] }, 100] }, 0.5] } }] }
+    : 0;
+
+  await Enrollment.bulkWrite([
+    // Submodules that still exist (or are live again) keep their progress
+    {
+      updateMany: {
+        filter: { courseId },
+        update: {
+          $set: { 'moduleProgress.$[entry].archived': false },
+          $unset: { 'moduleProgress.$[entry].archivedAt': '' }
+        },
+        arrayFilters: [{ 'entry.subModuleId': { $in: liveIds }, 'entry.archived': true }]
+      }
+    },
+    // Removed submodules the user completed are archived
+    {
+      updateMany: {
+        filter: { courseId },
+        update: {
+          $set: {
+            'moduleProgress.$[entry].archived': true,
+            'moduleProgress.$[entry].archivedAt': now
+          }
+        },
+        arrayFilters: [{
+          'entry.subModuleId': { $nin: liveIds },
+          'entry.completed': true,
+          'entry.archived': { $ne: true }
+        }]
+      }
+    },
+    // Incomplete progress for removed submodules is dropped
+    {
+      updateMany: {
+        filter: { courseId },
+        update: {
+          $pull: { moduleProgress: { subModuleId: { $nin: liveIds }, completed: { $ne: true } } }
+        }
+      }
+    },
+    // New submodules are added to tracking
+    ...newIndexing.indexed.map(item => ({
+      updateMany: {
+        filter: { courseId, moduleProgress: { $not: { $elemMatch: { subModuleId: item.subModuleId } } } },
+        update: {
+          $push: {
+            moduleProgress: {
+              moduleId: item.moduleId,
+              subModuleId: item.subModuleId,
+              completed: false,
+              lastVisited: null
+            }
+          }
+        }
+      }
+    })),
+    // Recalculate progress from the entries as they are now
+    {
+      updateMany: {
+        filter: { courseId },
+        update: [
+          { $set: { totalModules: total, completedModules: completedCount } },
+          { $set: { progress: percentage } }
+        ]
+      }
+    }
+  ]);
 
   return {
     usersUpdated,
-    progressUpdated,
     details: {
       totalSubModules: newIndexing.totalSubModules,
       oldSubModules: oldIndexing.totalSubModules
@@ -181,20 +224,11 @@ const updateUserProgressForCourseChange = async (courseId, oldIndexing, newIndex
  * Called when a course is deleted
  */
 const removeCourseFromEnrollments = async (courseId) => {
-  const User = mongoose.model('User');
-  
-  const result = await User.updateMany(
-    { 'enrollments.course': courseId },
-    { 
-      $pull: { 
-        enrollments: { course: courseId } 
-      } 
-    }
-  );
+  const result = await Enrollment.deleteMany({ courseId });
 
   return {
-    usersUpdated: result.modifiedCount,
-    message: `Removed course from ${result.modifiedCount} user enrollments`
+    usersUpdated: result.deletedCount,
+    message: `Removed course from ${result.deletedCount} user enrollments`
   };
 };
 
@@ -205,20 +239,17 @@ const initializeEnrollmentProgress = async (userId, courseId) => {
   const User = mongoose.model('User');
   const Course = mongoose.model('Course');
 
-  const course = await Course.findById(courseId);
-  if (!course) {
+  // Unpublished courses cannot be joined
+  if (!mongoose.Types.ObjectId.isValid(courseId) || !(await Course.exists({ _id: courseId, ...liveQuery() }))) {
     throw new Error('Course not found');
   }
 
-  const user = await User.findById(userId);
-  if (!user) {
+  if (!(await User.exists({ _id: userId }))) {
     throw new Error('User not found');
   }
 
   // Check if already enrolled
-  const existingEnrollment = user.enrollments.find(
-    e => e.course.toString() === courseId.toString()
-  );
+  const existingEnrollment = await Enrollment.findOne({ userId, courseId });
 
   if (existingEnrollment) {
     return {
@@ -228,91 +259,107 @@ const initializeEnrollmentProgress = async (userId, courseId) => {
   }
 
   // Index the course
-  const indexing = indexCourseModules(course);
+  const indexing = await getCourseIndexing(courseId);
 
   // Create new enrollment
-  const enrollment = {
-    course: courseId,
-    enrolledAt: new Date(),
-    lastAccessed: new Date(),
-    progress: 0,
+  const { enrollment, created } = await Enrollment.enroll(userId, courseId, {
     totalModules: indexing.totalSubModules,
-    completedModules: 0,
     moduleProgress: indexing.indexed.map(item => ({
       moduleId: item.moduleId,
       subModuleId: item.subModuleId,
       completed: false,
       lastVisited: null
     }))
-  };
-
-  user.enrollments.push(enrollment);
-  await user.save();
+  });
 
   return {
-    alreadyEnrolled: false,
-    enrollment: user.enrollments[user.enrollments.length - 1],
-    totalModules: indexing.totalSubModules
+    alreadyEnrolled: !created,
+    enrollment,
+    totalModules: enrollment.totalModules
   };
 };
 
 /**
- * Update progress for a specific submodule
+ * Update progress for a specific submodule. Throws PrerequisiteError when
+ * the submodule is locked and the course enforces prerequisites.
  */
 const updateSubModuleProgress = async (userId, courseId, moduleId, subModuleId) => {
-  const User = mongoose.model('User');
-  
-  const user = await User.findById(userId);
-  if (!user) {
-    throw new Error('User not found');
-  }
+  await assertUnlocked(userId, courseId, moduleId, subModuleId);
 
-  const enrollment = user.enrollments.find(
-    e => e.course.toString() === courseId.toString()
-  );
+  let enrollment = await Enrollment.completeSubModule(userId, courseId, moduleId, subModuleId);
 
   if (!enrollment) {
     throw new Error('User not enrolled in this course');
   }
 
-  // Find or create progress entry
-  let progressEntry = enrollment.moduleProgress.find(
+  // Enrollments created before indexing have no total yet
+  if (!enrollment.totalModules) {
+    const indexing = await getCourseIndexing(courseId);
+    enrollment = await Enrollment.findOneAndUpdate(
+      { _id: enrollment._id, totalModules: 0 },
+      { $set: { totalModules: indexing.totalSubModules } },
+      { new: true }
+    ) || await Enrollment.findById(enrollment._id);
+    await Enrollment.syncProgress(enrollment);
+  }
+
+  const progressEntry = enrollment.moduleProgress.find(
     p => p.moduleId === moduleId && p.subModuleId === subModuleId
   );
 
-  if (!progressEntry) {
-    // Create new entry if it doesn't exist
-    progressEntry = {
-      moduleId,
-      subModuleId,
-      completed: false,
-      lastVisited: new Date()
-    };
-    enrollment.moduleProgress.push(progressEntry);
-  }
+  return {
+    progress: enrollment.progress,
+    completedModules: enrollment.completedModules,
+    totalModules: enrollment.totalModules,
+    lastAccessed: enrollment.lastAccessed,
+    subModuleCompleted: Boolean(progressEntry && progressEntry.completed)
+  };
+};
+
+/**
+ * Record a graded quiz or coding exercise attempt in the learner's progress.
+ * The submodule is completed once every graded block in it has been passed.
+ * Returns null when the user is not enrolled.
+ */
+const updateQuizProgress = async (userId, courseId, moduleId, subModule, block, grade) => {
+  const enrollment = await Enrollment.recordQuizScore(
+    userId,
+    courseId,
+    moduleId,
+    subModule.id,
+    block._id,
+    grade.percentage,
+    grade.passed
+  );
 
-  // Mark as completed if not already
-  if (!progressEntry.completed) {
-    progressEntry.completed = true;
-    progressEntry.completedAt = new Date();
-    
-    // Update enrollment stats
-    enrollment.completedModules = enrollment.moduleProgress.filter(p => p.completed && !p.archived).length;
-    enrollment.progress = enrollment.totalModules > 0
-      ? Math.round((enrollment.completedModules / enrollment.totalModules) * 100)
-      : 0;
+  if (!enrollment) {
+    return null;
   }
 
-  progressEntry.lastVisited = new Date();
-  enrollment.lastAccessed = new Date();
+  const entry = enrollment.moduleProgress.find(
+    p => p.moduleId === moduleId && p.subModuleId === subModule.id
+  );
+  const quizScore = entry.quizScores.find(q => q.blockId.equals(block._id));
 
-  await user.save();
+  const quizBlockIds = subModule.contentBlocks
+    .filter(isGradedBlock)
+    .map(b => b._id);
+  const allPassed = quizBlockIds.every(id =>
+    entry.quizScores.some(q => q.blockId.equals(id) && q.passedAt)
+  );
+
+  let stats = enrollment;
+  if (allPassed && !entry.completed) {
+    stats = await updateSubModuleProgress(userId, courseId, moduleId, subModule.id);
+  }
 
   return {
-    progress: enrollment.progress,
-    completedModules: enrollment.completedModules,
-    totalModules: enrollment.totalModules,
-    subModuleCompleted: progressEntry.completed
+    bestScore: quizScore ? quizScore.bestScore : grade.percentage,
+    attempts: quizScore ? quizScore.attempts : 1,
+    subModuleCompleted: entry.completed || allPassed,
+    progress: stats.progress,
+    completedModules: stats.completedModules,
+    totalModules: stats.totalModules
   };
 };
 
@@ -320,16 +367,7 @@ const updateSubModuleProgress = async (userId, courseId, moduleId, subModuleId)
  * Get user's progress for a specific course
  */
 const getUserCourseProgress = async (userId, courseId) => {
-  const User = mongoose.model('User');
-  
-  const user = await User.findById(userId).populate('enrollments.course');
-  if (!user) {
-    throw new Error('User not found');
-  }
-
-  const enrollment = user.enrollments.find(
-    e => e.course._id.toString() === courseId.toString()
-  );
+  const enrollment = await Enrollment.findOne({ userId, courseId });
 
   if (!enrollment) {
     return {
@@ -354,7 +392,8 @@ const getUserCourseProgress = async (userId, courseId) => {
       subModuleId: p.subModuleId,
       completed: p.completed,
       completedAt: p.completedAt,
-      lastVisited: p.lastVisited
+      lastVisited: p.lastVisited,
+      quizScores: p.quizScores
     })),
     recentActivity: activeProgress
       .filter(p => p.lastVisited)
@@ -369,19 +408,27 @@ const getUserCourseProgress = async (userId, courseId) => {
  */
 const validateAndRepairCourseIndexing = async (courseId) => {
   const Course = mongoose.model('Course');
+  const Module = mongoose.model('Module');
   
   const course = await Course.findById(courseId);
   if (!course) {
     throw new Error('Course not found');
   }
 
-  const oldIndexing = indexCourseModules(course);
+  const modules = await Module.find({ courseId }).sort({ order: 1 });
+
+  // Index a copy first so the stored state is captured before repairs
+  const oldIndexing = indexCourseModules({
+    _id: courseId,
+    modules: modules.map(module => module.toObject())
+  });
   
   // Re-index to ensure consistency
-  const newIndexing = indexCourseModules(course);
+  const newIndexing = indexCourseModules({ _id: courseId, modules });
   
-  // Save updated course
-  await course.save();
+  // Save repaired modules and course statistics
+  await Promise.all(modules.filter(module => module.isModified()).map(module => module.save()));
+  await course.updateStatisticsFromModules();
 
   // Update user progress
   const progressUpdate = await updateUserProgressForCourseChange(
@@ -399,11 +446,14 @@ const validateAndRepairCourseIndexing = async (courseId) => {
 };
 
 module.exports = {
+  recalculateEnrollmentStats,
+  getCourseIndexing,
   indexCourseModules,
   updateUserProgressForCourseChange,
   removeCourseFromEnrollments,
   initializeEnrollmentProgress,
   updateSubModuleProgress,
+  updateQuizProgress,
   getUserCourseProgress,
   validateAndRepairCourseIndexing,
   generateModuleId,
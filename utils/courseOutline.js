@@ -0,0 +1,83 @@
+/**
+ * Course Outline
+ *
+ * A course's visible submodules as one ordered sequence across all of its
+ * modules, for next/previous navigation that crosses module boundaries and
+ * for finding where a learner should resume.
+ */
+
+/**
+ * Flatten modules (in order, with only the submodules the reader may see;
+ * see utils/contentVisibility.js) into
+ * `[{ moduleId, moduleTitle, id, title }]` in course order
+ */
+const buildOutline = (modules) => {
+  return [...modules]
+    .sort((a, b) => a.order - b.order)
+    .flatMap(module => [...(module.subModules || [])]
+      .sort((a, b) => a.order - b.order)
+      .map(subModule => ({
+        moduleId: module.id,
+        moduleTitle: module.title,
+        id: subModule.id,
+        title: subModule.title
+      })));
+};
+
+const indexOf = (outline, moduleId, subModuleId) => outline.findIndex(
+  entry => entry.moduleId === moduleId && entry.id === subModuleId
+);
+
+/**
+ * The submodules before and after one in the outline, each null at the
+ * start or end of the course
+ */
+const findNeighbours = (outline, moduleId, subModuleId) => {
+  const index = indexOf(outline, moduleId, subModuleId);
+  if (index === -1) {
+    return { previous: null, next: null };
+  }
+  return {
+    previous: outline[index - 1] || null,
+    next: outline[index + 1] || null
+  };
+};
+
+/**
+ * Where a learner should carry on: the first submodule after the one they
+ * completed most recently that is neither completed nor excluded by
+ * `isBlocked(entry)`, wrapping around to earlier ones they skipped.
+ * Resolves to `{ entry, position }` (position counted from 1), or null
+ * when everything is completed or blocked.
+ */
+const findResumePoint = (outline, progressEntries, isBlocked = () => false) => {
+  const completed = new Map();
+  progressEntries
+    .filter(entry => entry.completed && !entry.archived)
+    .forEach(entry => completed.set(`${entry.moduleId}/${entry.subModuleId}`, entry));
+
+  let start = 0;
+  let latest = null;
+  outline.forEach((entry, index) => {
+    const done = completed.get(`${entry.moduleId}/${entry.id}`);
+    if (done && (!latest || (done.completedAt || 0) >= (latest.completedAt || 0))) {
+      latest = done;
+      start = index + 1;
+    }
+  });
+
+  for (let step = 0; step < outline.length; step++) {
+    const index = (start + step) % outline.length;
+    const entry = outline[index];
+    if (!completed.has(`${entry.moduleId}/${entry.id}`) && !isBlocked(entry)) {
+      return { entry, position: index + 1 };
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  buildOutline,
+  findNeighbours,
+  findResumePoint
+};
@@ -0,0 +1,195 @@
+/**
+ * Course Reordering
+ *
+ * Renumbers a course's modules, or a module's submodules, from an ordered
+ * list of ids in one transaction. Reordering is structural: it changes the
+ * live content directly, and open drafts are kept in step so publishing
+ * them later does not undo it.
+ *
+ * A submodule list may name submodules of other modules of the course to
+ * move them in. Learners keep their progress and attempts on moved
+ * submodules, which are tracked by module and submodule id.
+ */
+
+const Module = require('../models/Module');
+const ModuleRevision = require('../models/ModuleRevision');
+const Enrollment = require('../models/Enrollment');
+const Attempt = require('../models/Attempt');
+const { withTransaction } = require('./transaction');
+const { validateAndRepairCourseIndexing } = require('./courseIndexing');
+
+/**
+ * Error raised for a reorder that cannot be applied. `code` is invalid or
+ * conflict; `details` holds `{ missing, unknown, duplicates }` id lists
+ * for an invalid order.
+ */
+class ReorderError extends Error {
+  constructor(message, code = 'invalid', details = {}) {
+    super(message);
+    this.name = 'ReorderError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Check that `ids` names every one of `required` exactly once and nothing
+ * outside `allowed`. Throws ReorderError.
+ */
+const checkPermutation = (ids, required, allowed, label) => {
+  if (!Array.isArray(ids) || ids.some(id => typeof id !== 'string')) {
+    throw new ReorderError(`${label} must be an array of ids`);
+  }
+
+  const seen = new Set();
+  const duplicates = [...new Set(ids.filter(id => seen.has(id) || !seen.add(id)))];
+  const missing = required.filter(id => !seen.has(id));
+  const unknown = ids.filter(id => !allowed.has(id));
+
+  if (duplicates.length > 0 || missing.length > 0 || unknown.length > 0) {
+    throw new ReorderError(
+      `${label} must list every id exactly once`,
+      'invalid',
+      { missing, unknown, duplicates }
+    );
+  }
+};
+
+/**
+ * Put a course's modules in the order of `moduleIds` (module `id`s).
+ * Resolves to the modules in their new order.
+ */
+const reorderModules = async (courseId, moduleIds) => {
+  const modules = await Module.find({ courseId }).select('id title order');
+  const ids = modules.map(module => module.id);
+  checkPermutation(moduleIds, ids, new Set(ids), 'moduleIds');
+
+  const byId = new Map(modules.map(module => [module.id, module]));
+  const ordered = moduleIds.map(id => byId.get(id));
+
+  await withTransaction(async (session) => {
+    await Module.bulkWrite(ordered.map((module, index) => ({
+      updateOne: { filter: { _id: module._id }, update: { $set: { order: index + 1 } } }
+    })), { session });
+
+    await ModuleRevision.bulkWrite(ordered.map((module, index) => ({
+      updateOne: {
+        filter: { moduleId: module._id, status: 'draft' },
+        update: { $set: { 'snapshot.order': index + 1 } }
+      }
+    })), { session });
+  });
+
+  return ordered.map((module, index) => ({ _id: module._id, id: module.id, title: module.title, order: index + 1 }));
+};
+
+// Sort submodules by their position in `subModuleIds`; ones not listed
+// (added in a draft) follow in their current order
+const applyOrder = (subModules, subModuleIds) => {
+  const position = new Map(subModuleIds.map((id, index) => [id, index]));
+  const rank = (sm) => (position.has(sm.id) ? position.get(sm.id) : subModuleIds.length);
+
+  const sorted = [...subModules].sort((a, b) => rank(a) - rank(b) || a.order - b.order);
+  sorted.forEach((sm, index) => {
+    sm.order = index + 1;
+  });
+  return sorted;
+};
+
+/**
+ * Put the submodules of `module` (a Module document) in the order of
+ * `subModuleIds`, moving in any listed submodules of other modules of the
+ * course. Resolves to `{ module, moved: [{ id, from }] }`.
+ */
+const reorderSubModules = async (module, subModuleIds) => {
+  const others = await Module.find({ courseId: module.courseId, _id: { $ne: module._id } });
+
+  // Where each submodule id of the course lives
+  const owners = new Map();
+  [module, ...others].forEach(owner => {
+    owner.subModules.forEach(sm => {
+      owners.set(sm.id, (owners.get(sm.id) || []).concat(owner));
+    });
+  });
+
+  const ownIds = module.subModules.map(sm => sm.id);
+  checkPermutation(subModuleIds, ownIds, new Set(owners.keys()), 'subModuleIds');
+
+  const incoming = subModuleIds.filter(id => !ownIds.includes(id));
+  const ambiguous = incoming.filter(id => owners.get(id).length > 1);
+  if (ambiguous.length > 0) {
+    throw new ReorderError(`Submodule id(s) used in several modules: ${ambiguous.join(', ')}`);
+  }
+
+  const sources = [...new Set(incoming.map(id => owners.get(id)[0]))];
+  const moved = incoming.map(id => ({ id, from: owners.get(id)[0].id }));
+
+  // A move cannot be reconciled with unpublished drafts of the modules
+  if (sources.length > 0) {
+    const drafts = await ModuleRevision.find({
+      moduleId: { $in: [module._id, ...sources.map(source => source._id)] },
+      status: 'draft'
+    }).select('moduleId');
+    if (drafts.length > 0) {
+      throw new ReorderError('Publish or discard the drafts of the modules involved before moving submodules', 'conflict');
+    }
+  }
+
+  const draft = sources.length === 0 ? await ModuleRevision.findDraft(module._id) : null;
+
+  const movedIn = sources.flatMap(source => {
+    const leaving = source.subModules.filter(sm => incoming.includes(sm.id));
+    source.subModules = applyOrder(
+      source.subModules.filter(sm => !incoming.includes(sm.id)),
+      source.subModules.map(sm => sm.id)
+    );
+    return leaving.map(sm => sm.toObject());
+  });
+  module.subModules = applyOrder([...module.subModules, ...movedIn], subModuleIds);
+  // Moved submodules keep their ids and prerequisites, which were checked
+  // for the course already; until the transaction commits the validation
+  // hook would still find them in their old modules
+  if (movedIn.length > 0) {
+    module.$locals.prerequisitesChecked = true;
+  }
+
+  await withTransaction(async (session) => {
+    for (const source of sources) {
+      await source.save({ session });
+    }
+    await module.save({ session });
+
+    if (draft) {
+      draft.snapshot.subModules = applyOrder(draft.snapshot.subModules, subModuleIds);
+      await draft.save({ session });
+    }
+
+    if (incoming.length > 0) {
+      // Progress and attempts follow the submodules to their new module
+      await Enrollment.updateMany(
+        { courseId: module.courseId, 'moduleProgress.subModuleId': { $in: incoming } },
+        { $set: { 'moduleProgress.$[entry].moduleId': module.id } },
+        { arrayFilters: [{ 'entry.subModuleId': { $in: incoming } }], session }
+      );
+      await Attempt.updateMany(
+        { courseId: module.courseId, subModuleId: { $in: incoming } },
+        { $set: { moduleId: module.id } },
+        { session }
+      );
+    }
+  });
+
+  // Live totals and enrollments change when submodules move between
+  // modules with different visibility
+  if (incoming.length > 0) {
+    await validateAndRepairCourseIndexing(module.courseId);
+  }
+
+  return { module, moved };
+};
+
+module.exports = {
+  ReorderError,
+  reorderModules,
+  reorderSubModules
+};
@@ -0,0 +1,147 @@
+/**
+ * Personal Data Export
+ *
+ * Collects everything stored about a user for data-subject access
+ * requests: profile, enrollments with module progress, quiz attempts,
+ * login sessions and contact-form submissions.
+ */
+
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Attempt = require('../models/Attempt');
+const Session = require('../models/Session');
+const ContactSubmission = require('../models/ContactSubmission');
+const { createZip } = require('./zip');
+
+const EXPORT_VERSION = 1;
+
+/**
+ * Build the export document for a user
+ */
+const buildUserExport = async (user) => {
+  const enrollments = await Enrollment.find({ userId: user._id }).sort({ enrolledAt: 1 }).lean();
+  const courseIds = enrollments.map(enrollment => enrollment.courseId);
+
+  const [courses, attempts, sessions, contactSubmissions] = await Promise.all([
+    Course.find({ _id: { $in: courseIds } }).select('title').lean(),
+    Attempt.find({ userId: user._id }).sort({ createdAt: 1 }).lean(),
+    Session.find({ userId: user._id }).sort({ createdAt: 1 }).lean(),
+    ContactSubmission.find({ email: user.email }).sort({ createdAt: 1 }).lean()
+  ]);
+
+  const courseTitles = new Map(courses.map(course => [course._id.toString(), course.title]));
+
+  return {
+    exportVersion: EXPORT_VERSION,
+    generatedAt: new Date(),
+    profile: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      displayName: user.displayName,
+      bio: user.bio,
+      avatarUrl: user.avatarUrl,
+      roles: user.getRoles(),
+      twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+      twoFactorEnabledAt: user.twoFactor?.enabledAt,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt
+    },
+    enrollments: enrollments.map(enrollment => {
+      const courseId = enrollment.courseId;
+      return {
+        courseId,
+        courseTitle: courseTitles.get(courseId.toString()) || null,
+        enrolledAt: enrollment.enrolledAt,
+        lastAccessed: enrollment.lastAccessed,
+        progress: enrollment.progress,
+        completedModules: enrollment.completedModules,
+        totalModules: enrollment.totalModules,
+        moduleProgress: enrollment.moduleProgress.map(p => ({
+          moduleId: p.moduleId,
+          subModuleId: p.subModuleId,
+          completed: p.completed,
+          completedAt: p.completedAt,
+          lastVisited: p.lastVisited,
+          archived: p.archived,
+          archivedAt: p.archivedAt,
+          quizScores: (p.quizScores || []).map(q => ({
+            blockId: q.blockId,
+            bestScore: q.bestScore,
+            attempts: q.attempts,
+            lastAttemptAt: q.lastAttemptAt,
+            passedAt: q.passedAt
+          }))
+        }))
+      };
+    }),
+    quizAttempts: attempts.map(attempt => ({
+      courseId: attempt.courseId,
+      moduleId: attempt.moduleId,
+      subModuleId: attempt.subModuleId,
+      blockId: attempt.blockId,
+      blockType: attempt.blockType,
+      answers: attempt.answers,
+      language: attempt.language,
+      code: attempt.code,
+      testResults: attempt.testResults,
+      score: attempt.score,
+      maxScore: attempt.maxScore,
+      percentage: attempt.percentage,
+      passed: attempt.passed,
+      submittedAt: attempt.createdAt
+    })),
+    // Token hashes are credentials, not personal data, and are left out
+    sessions: sessions.map(session => ({
+      sessionId: session.familyId,
+      device: session.device,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      startedAt: session.startedAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      revokedAt: session.revokedAt,
+      revokedReason: session.revokedReason
+    })),
+    contactSubmissions: contactSubmissions.map(submission => ({
+      name: submission.name,
+      email: submission.email,
+      subject: submission.subject,
+      message: submission.message,
+      submittedAt: submission.createdAt
+    }))
+  };
+};
+
+/**
+ * Send an export as a JSON or ZIP download
+ */
+const sendUserExport = (res, data, format = 'json') => {
+  const baseName = `code-teach-export-${data.profile.id}-${data.generatedAt.toISOString().slice(0, 10)}`;
+  const json = JSON.stringify(data, null, 2);
+
+  if (format === 'zip') {
+    const archive = createZip([
+      { name: `${baseName}/export.json`, data: json },
+      { name: `${baseName}/profile.json`, data: JSON.stringify(data.profile, null, 2) },
+      { name: `${baseName}/enrollments.json`, data: JSON.stringify(data.enrollments, null, 2) },
+      { name: `${baseName}/quiz-attempts.json`, data: JSON.stringify(data.quizAttempts, null, 2) },
+      { name: `${baseName}/sessions.json`, data: JSON.stringify(data.sessions, null, 2) },
+      { name: `${baseName}/contact-submissions.json`, data: JSON.stringify(data.contactSubmissions, null, 2) }
+    ]);
+
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="${baseName}.zip"`);
+    return res.send(archive);
+  }
+
+  res.set('Content-Type', 'application/json; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${baseName}.json"`);
+  return res.send(json);
+};
+
+module.exports = {
+  EXPORT_VERSION,
+  buildUserExport,
+  sendUserExport
+};
@@ -1,5 +1,6 @@
 const User = require('../models/User');
 const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
 const mongoose = require('mongoose');
 
 async function cleanupInvalidEnrollments() {
@@ -21,55 +22,45 @@ async function cleanupInvalidEnrollments() {
       console.log('Starting enrollment cleanup...');
       
       // Add timeout to ensure query doesn't hang
-      const users = await User.find({ 'enrolledCourses.0': { $exists: true } })
-        .populate('enrolledCourses.course')
+      const enrollments = await Enrollment.find({})
+        .select('userId courseId')
+        .lean()
         .maxTimeMS(30000); // 30 second timeout
-      
-      let totalCleaned = 0;
-
-      for (const user of users) {
-        console.log(`Checking enrollments for user ${user._id}`);
-        console.log('Current enrollments:', JSON.stringify(user.enrolledCourses, null, 2));
 
-        // Filter valid enrollments with more detailed logging
-        const validEnrollments = [];
-        for (const enrollment of user.enrolledCourses) {
-          // Skip if course is null or undefined
-          if (!enrollment.course) {
-            console.log(`Found null course reference in enrollment: ${enrollment._id}`);
-            continue;
-          }
+      const [existingCourses, existingUsers] = await Promise.all([
+        Course.find({ _id: { $in: enrollments.map(e => e.courseId) } }).distinct('_id'),
+        User.find({ _id: { $in: enrollments.map(e => e.userId) } }).distinct('_id')
+      ]);
+      const courseIds = new Set(existingCourses.map(id => id.toString()));
+      const userIds = new Set(existingUsers.map(id => id.toString()));
 
-          // Verify course still exists in database
-          try {
-            const courseExists = await Course.findById(
-              typeof enrollment.course === 'object' ? enrollment.course._id : enrollment.course
-            );
-            
-            if (courseExists) {
-              validEnrollments.push({
-                ...enrollment.toObject(),
-                course: courseExists._id // Ensure we store just the ID
-              });
-            } else {
-              console.log(`Course not found in database: ${enrollment.course}`);
-            }
-          } catch (err) {
-            console.error(`Error verifying course: ${err.message}`);
-          }
+      // Enrollments whose course or user no longer exists
+      const invalid = enrollments.filter(enrollment => {
+        if (!courseIds.has(enrollment.courseId.toString())) {
+          console.log(`Course not found in database: ${enrollment.courseId} (enrollment ${enrollment._id})`);
+          return true;
         }
+        if (!userIds.has(enrollment.userId.toString())) {
+          console.log(`User not found in database: ${enrollment.userId} (enrollment ${enrollment._id})`);
+          return true;
+        }
+        return false;
+      });
+
+      let totalCleaned = 0;
+      if (invalid.length > 0) {
+        const result = await Enrollment.deleteMany({ _id: { $in: invalid.map(e => e._id) } });
+        totalCleaned = result.deletedCount;
 
-        // Only update if there are changes
-        if (validEnrollments.length !== user.enrolledCourses.length) {
-          console.log(`User ${user._id}:`);
-          console.log(`- Before cleanup: ${user.enrolledCourses.length} enrollments`);
-          console.log(`- After cleanup: ${validEnrollments.length} enrollments`);
-          
-          // Update with valid enrollments
-          user.enrolledCourses = validEnrollments;
-          await user.save();
-          
-          totalCleaned += (user.enrolledCourses.length - validEnrollments.length);
+        // Courses that still exist lose the deleted users' enrollments
+        const affectedCourses = invalid
+          .map(enrollment => enrollment.courseId)
+          .filter(courseId => courseIds.has(courseId.toString()));
+        for (const courseId of affectedCourses) {
+          await Course.updateOne(
+            { _id: courseId, enrollmentCount: { $gt: 0 } },
+            { $inc: { enrollmentCount: -1 } }
+          );
         }
       }
 
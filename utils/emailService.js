@@ -18,6 +18,11 @@ const sendVerificationEmail = async (email, otp, type = 'verify_email') => {
       text = `Your password reset code is: ${otp}`;
     }
 
+    if (type === 'change_email') {
+      subject = 'Confirm Your New Email';
+      text = `Your email change confirmation code is: ${otp}`;
+    }
+
     await transporter.sendMail({
       from: process.env.EMAIL_USER,
       to: email,
@@ -1,51 +1,66 @@
-const User = require('../models/User');
 const Course = require('../models/Course');
-const mongoose = require('mongoose');
+const Enrollment = require('../models/Enrollment');
 
 async function updateEnrollmentsAfterSeed() {
   try {
     console.log('Updating enrollment references...');
-    
+
     // Get all courses
     const courses = await Course.find({});
     // Create lookup maps for each course
     const coursesByIndex = new Map();
-    
+
     // Assuming courses are seeded in the same order, map by index
     courses.forEach((course, index) => {
       coursesByIndex.set(index, course._id);
     });
-    
-    const users = await User.find({ 'enrolledCourses.0': { $exists: true } });
-    
-    for (const user of users) {
+
+    const enrollments = await Enrollment.find({}).sort({ userId: 1, enrolledAt: 1 });
+
+    // Group each user's enrollments in the order they were made
+    const enrollmentsByUser = new Map();
+    enrollments.forEach(enrollment => {
+      const key = enrollment.userId.toString();
+      if (!enrollmentsByUser.has(key)) enrollmentsByUser.set(key, []);
+      enrollmentsByUser.get(key).push(enrollment);
+    });
+
+    for (const [userId, userEnrollments] of enrollmentsByUser) {
       let updated = false;
-      const validEnrollments = [];
-      
-      for (const enrollment of user.enrolledCourses) {
-        // Get enrollment index based on order
-        const enrollmentIndex = user.enrolledCourses.indexOf(enrollment);
+
+      for (const [enrollmentIndex, enrollment] of userEnrollments.entries()) {
         const courseId = coursesByIndex.get(enrollmentIndex);
-        
-        if (courseId) {
-          console.log(`Mapping enrollment at index ${enrollmentIndex} to course ID: ${courseId}`);
-          validEnrollments.push({
-            ...enrollment.toObject(),
-            course: courseId
-          });
-          updated = true;
-        } else {
+
+        if (!courseId) {
           console.log(`No matching course found for enrollment at index ${enrollmentIndex}`);
+          continue;
+        }
+
+        if (enrollment.courseId.equals(courseId)) continue;
+
+        console.log(`Mapping enrollment at index ${enrollmentIndex} to course ID: ${courseId}`);
+        try {
+          await Enrollment.updateOne({ _id: enrollment._id }, { $set: { courseId } });
+          updated = true;
+        } catch (error) {
+          if (error.code !== 11000) throw error;
+          console.log(`User ${userId} is already enrolled in course ${courseId}, skipping`);
         }
       }
-      
+
       if (updated) {
-        user.enrolledCourses = validEnrollments;
-        await user.save();
-        console.log(`Updated enrollments for user ${user._id}`);
+        console.log(`Updated enrollments for user ${userId}`);
       }
     }
-    
+
+    // Remapping moves enrollments between courses; recount them
+    for (const course of courses) {
+      const enrollmentCount = await Enrollment.countDocuments({ courseId: course._id });
+      if (course.enrollmentCount !== enrollmentCount) {
+        await Course.updateOne({ _id: course._id }, { $set: { enrollmentCount } });
+      }
+    }
+
     console.log('Enrollment references update completed');
   } catch (error) {
     console.error('Error updating enrollments:', error);
@@ -1,15 +1,15 @@
 /**
  * Fix Progress Over 100% Issue
  * 
- * This script fixes users who have progress > 100% by:
+ * This script fixes enrollments that have progress > 100% by:
  * 1. Removing duplicate progress entries
  * 2. Recalculating progress with proper cap at 100%
  * 3. Validating totalModules count
  */
 
 const mongoose = require('mongoose');
-const User = require('../models/User');
-const Course = require('../models/Course'); // Load Course model to prevent schema error
+const Enrollment = require('../models/Enrollment');
+const { recalculateEnrollmentStats } = require('./courseIndexing');
 require('dotenv').config();
 
 async function fixProgressIssues() {
@@ -21,71 +21,57 @@ async function fixProgressIssues() {
     });
     console.log('Connected to MongoDB');
 
-    // Find all users with enrollments
-    const users = await User.find({ 'enrolledCourses.0': { $exists: true } });
-    console.log(`Found ${users.length} users with enrollments`);
+    // Find all enrollments
+    const enrollments = await Enrollment.find({}).populate('userId', 'email');
+    console.log(`Found ${enrollments.length} enrollments`);
 
     let fixedCount = 0;
     let issuesFound = 0;
 
-    for (const user of users) {
-      let userModified = false;
+    for (const enrollment of enrollments) {
+      let enrollmentModified = false;
+      const originalProgress = enrollment.progress;
+      
+      // Check for issues
+      if (enrollment.progress > 100) {
+        issuesFound++;
+        console.log(`\n❌ User ${enrollment.userId?.email || enrollment.userId} - Course ${enrollment.courseId}`);
+        console.log(`   Progress: ${enrollment.progress}%`);
+        console.log(`   Completed: ${enrollment.completedModules}/${enrollment.totalModules}`);
+      }
 
-      for (const enrollment of user.enrolledCourses) {
-        const originalProgress = enrollment.progress;
+      // 1. Remove duplicate progress entries
+      if (enrollment.moduleProgress && enrollment.moduleProgress.length > 0) {
+        const uniqueProgress = new Map();
+        const originalLength = enrollment.moduleProgress.length;
         
-        // Check for issues
-        if (enrollment.progress > 100) {
-          issuesFound++;
-          console.log(`\n❌ User ${user.email} - Course ${enrollment.course}`);
-          console.log(`   Progress: ${enrollment.progress}%`);
-          console.log(`   Completed: ${enrollment.completedModules}/${enrollment.totalModules}`);
-        }
-
-        // 1. Remove duplicate progress entries
-        if (enrollment.moduleProgress && enrollment.moduleProgress.length > 0) {
-          const uniqueProgress = new Map();
-          const originalLength = enrollment.moduleProgress.length;
-          
-          enrollment.moduleProgress.forEach(p => {
-            const key = `${p.moduleId}-${p.subModuleId}`;
-            if (!uniqueProgress.has(key) || p.completed) {
-              uniqueProgress.set(key, p);
-            }
-          });
-          
-          enrollment.moduleProgress = Array.from(uniqueProgress.values());
-          
-          if (originalLength !== enrollment.moduleProgress.length) {
-            console.log(`   Removed ${originalLength - enrollment.moduleProgress.length} duplicate entries`);
-            userModified = true;
+        enrollment.moduleProgress.forEach(p => {
+          const key = `${p.moduleId}-${p.subModuleId}`;
+          if (!uniqueProgress.has(key) || p.completed) {
+            uniqueProgress.set(key, p);
           }
-        }
-
-        // 2. Recalculate completion stats
-        enrollment.completedModules = enrollment.moduleProgress.filter(p => p.completed).length;
+        });
         
-        // 3. Cap progress at 100%
-        if (enrollment.totalModules > 0) {
-          const newProgress = Math.min(100, Math.round((enrollment.completedModules / enrollment.totalModules) * 100));
-          
-          if (newProgress !== originalProgress) {
-            console.log(`   Fixed progress: ${originalProgress}% → ${newProgress}%`);
-            enrollment.progress = newProgress;
-            userModified = true;
-          }
-        } else {
-          if (enrollment.progress !== 0) {
-            console.log(`   Fixed progress (no modules): ${originalProgress}% → 0%`);
-            enrollment.progress = 0;
-            userModified = true;
-          }
+        enrollment.moduleProgress = Array.from(uniqueProgress.values());
+        
+        if (originalLength !== enrollment.moduleProgress.length) {
+          console.log(`   Removed ${originalLength - enrollment.moduleProgress.length} duplicate entries`);
+          enrollmentModified = true;
         }
       }
 
+      // 2. Recalculate completion stats (progress is capped at 100%)
+      const originalCompleted = enrollment.completedModules;
+      recalculateEnrollmentStats(enrollment);
+
+      if (enrollment.progress !== originalProgress || enrollment.completedModules !== originalCompleted) {
+        console.log(`   Fixed progress: ${originalProgress}% → ${enrollment.progress}%`);
+        enrollmentModified = true;
+      }
+
       // Save if modified
-      if (userModified) {
-        await user.save();
+      if (enrollmentModified) {
+        await enrollment.save();
         fixedCount++;
         console.log(`   ✅ Fixed and saved`);
       }
@@ -93,9 +79,9 @@ async function fixProgressIssues() {
 
     console.log(`\n========================================`);
     console.log(`Summary:`);
-    console.log(`  Total users checked: ${users.length}`);
+    console.log(`  Total enrollments checked: ${enrollments.length}`);
     console.log(`  Issues found: ${issuesFound}`);
-    console.log(`  Users fixed: ${fixedCount}`);
+    console.log(`  Enrollments fixed: ${fixedCount}`);
     console.log(`========================================\n`);
 
   } catch (error) {
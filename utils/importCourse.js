@@ -0,0 +1,59 @@
+/**
+ * Course Bundle Import
+ *
+ * Loads a course bundle (see courseBundle.js) from a file, e.g. to seed a
+ * fresh database with a course exported from another environment.
+ *
+ * Usage: node utils/importCourse.js <bundle.json> [--upsert <courseId>] [--title "New title"]
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const mongoose = require('mongoose');
+const { importCourseBundle } = require('./courseBundle');
+
+// Value following a command-line flag
+const optionValue = (name) => {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+// Main execution
+const main = async () => {
+  const file = process.argv[2];
+  if (!file || file.startsWith('--')) {
+    console.error('Usage: node utils/importCourse.js <bundle.json> [--upsert <courseId>] [--title "New title"]');
+    process.exit(2);
+  }
+
+  try {
+    const bundle = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const courseId = optionValue('--upsert');
+
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true
+    });
+
+    const result = await importCourseBundle(bundle, {
+      mode: courseId ? 'upsert' : 'create',
+      courseId,
+      title: optionValue('--title')
+    });
+
+    console.log(`✅ ${result.created ? 'Created' : 'Updated'} course "${result.course.title}" (${result.course._id})`);
+    console.log(`   Modules: ${result.modules.created} created, ${result.modules.updated} updated, ${result.modules.kept} kept`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Import failed:', error.message);
+    (error.fields || []).forEach(({ field, message }) => console.error(`   ${field}: ${message}`));
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,810 @@
+/**
+ * Markdown Content
+ *
+ * Compiles a module written as Markdown into Module/subModule content, and
+ * renders module content back to the same Markdown.
+ *
+ * A module is a set of files: `module.md` holds the module's front matter
+ * (id, title, icon, order...) with its description as the body; every
+ * other `.md` file is one submodule, in file name order. Each file starts
+ * with `---` front matter (`key: value`, lists as `[a, b]`).
+ *
+ * Submodule bodies map to content blocks:
+ *   # Heading                      heading (levels 1-6)
+ *   paragraph lines                text
+ *   - item / 1. item               list (bullet / numbered)
+ *   ![alt](url "caption")          image
+ *   > [!NOTE] Title                importantNote; NOTE, TIP, IMPORTANT, WARNING
+ *   > - point                        and CAUTION pick the colour
+ *   ```python title="Hello"        codeSnippet; also highlight="1,3-4",
+ *                                    nolinenumbers, nocopy
+ *   ```mcq                         mcq: `? question`, `- [x] correct`,
+ *                                    `- [ ] wrong`, `> explanation`
+ *   ````exercise python            codingExercise: `title:`, `difficulty:`,
+ *                                    `hint:` lines, a description, then
+ *                                    ```starter, ```solution and pairs of
+ *                                    ```input / ```output [hidden] fences
+ *   ```block                       any block as JSON, for types (and
+ *                                    content) with no Markdown form
+ *
+ * Rendering picks the Markdown form when it compiles back to the same
+ * block and falls back to a `block` fence otherwise, so any module can be
+ * exported and imported again without losing content.
+ */
+
+const path = require('path');
+
+// Fields that belong to each block type (everything else is a default)
+const TYPE_FIELDS = {
+  summary: ['summaryTitle', 'summaryDescription'],
+  keyFeatures: ['featuresTitle', 'features', 'featuresVariant'],
+  codeSnippet: ['codeSnippet'],
+  conceptExplanation: ['conceptSections'],
+  importantNote: ['importantNote'],
+  mistakesToAvoid: ['mistakesToAvoid'],
+  timeline: ['timelineTitle', 'timelineEvents'],
+  handsOn: ['handsOn'],
+  mcq: ['mcqQuestions'],
+  codingExercise: ['codingExercise'],
+  text: ['text'],
+  heading: ['heading', 'headingLevel'],
+  list: ['listItems', 'listType'],
+  image: ['content'],
+  video: ['content'],
+  link: ['content'],
+  example: ['content'],
+  quiz: ['content'],
+  comparison: ['content']
+};
+
+// Admonition markers and the importantNote variant they stand for
+const ADMONITIONS = {
+  NOTE: 'blue',
+  TIP: 'green',
+  IMPORTANT: 'purple',
+  WARNING: 'yellow',
+  CAUTION: 'red'
+};
+
+// Code fence names accepted for each codeSnippet language
+const LANGUAGE_ALIASES = {
+  java: 'java',
+  javascript: 'javascript',
+  js: 'javascript',
+  python: 'python',
+  py: 'python',
+  cpp: 'cpp',
+  'c++': 'cpp',
+  html: 'html',
+  css: 'css'
+};
+
+const SUBMODULE_FIELDS = [
+  'id', 'title', 'description', 'order', 'estimatedTime', 'difficulty',
+  'isPublished', 'publishAt', 'unpublishAt', 'prerequisites'
+];
+const MODULE_FIELDS = ['id', 'title', 'icon', 'order', 'isPublished', 'publishAt', 'unpublishAt'];
+
+const MODULE_FILE = 'module.md';
+
+const FENCE = /^(`{3,}|~{3,})\s*(.*)$/;
+// Heading text is trimmed after matching: a lazy capture before `\s*$`
+// backtracks quadratically on long runs of spaces
+const HEADING = /^(#{1,6})\s+(.*)$/;
+const IMAGE = /^!\[([^\]]*)\]\((\S+?)(?:\s+"([^"]*)")?\)\s*$/;
+const ADMONITION = /^>\s*\[!(\w+)\]\s*(.*)$/;
+const LIST_ITEM = /^([-*+]|\d+[.)])\s+(.*)$/;
+
+/**
+ * Error with the file and line it was found at
+ */
+class MarkdownError extends Error {
+  constructor(message, line) {
+    super(message);
+    this.name = 'MarkdownError';
+    this.line = line;
+  }
+}
+
+const parseScalar = (raw) => {
+  const value = raw.trim();
+  if (value === '') return '';
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  if (value.startsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+  if (value.startsWith("'") && value.endsWith("'") && value.length > 1) {
+    return value.slice(1, -1);
+  }
+  return value;
+};
+
+// Split a `[a, "b, c"]` list on commas outside quotes
+const parseList = (raw) => {
+  const inner = raw.trim().slice(1, -1);
+  const items = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < inner.length; i++) {
+    const char = inner[i];
+    if (char === '"' && inner[i - 1] !== '\\') quoted = !quoted;
+    if (char === ',' && !quoted) {
+      items.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) items.push(current);
+  return items.map(parseScalar);
+};
+
+/**
+ * Split `---` front matter from a file. Returns `{ data, body, bodyLine }`
+ * where `bodyLine` is the 1-based line the body starts at.
+ */
+const parseFrontMatter = (source) => {
+  const lines = source.replace(/\r\n?/g, '\n').split('\n');
+  if (lines[0].trim() !== '---') {
+    return { data: {}, body: lines.join('\n'), bodyLine: 1 };
+  }
+
+  const end = lines.findIndex((line, index) => index > 0 && line.trim() === '---');
+  if (end === -1) {
+    throw new MarkdownError('Front matter is not closed with ---', 1);
+  }
+
+  const data = {};
+  lines.slice(1, end).forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+    const match = /^([A-Za-z][\w-]*)\s*:\s*(.*)$/.exec(line);
+    if (!match) {
+      throw new MarkdownError(`Front matter line is not "key: value": ${line.trim()}`, index + 2);
+    }
+    const raw = match[2].trim();
+    data[match[1]] = raw.startsWith('[') && raw.endsWith(']') ? parseList(raw) : parseScalar(raw);
+  });
+
+  return { data, body: lines.slice(end + 1).join('\n'), bodyLine: end + 2 };
+};
+
+// A front matter value, quoted when it would not read back the same
+const formatScalar = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== 'string') return String(value);
+  const plain = value === value.trim()
+    && value !== ''
+    && !/^["'[]/.test(value)
+    && !/[,#\]]/.test(value)
+    && parseScalar(value) === value;
+  return plain ? value : JSON.stringify(value);
+};
+
+const renderFrontMatter = (data) => {
+  const lines = Object.entries(data)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => Array.isArray(value)
+      ? `${key}: [${value.map(formatScalar).join(', ')}]`
+      : `${key}: ${formatScalar(value)}`);
+  return ['---', ...lines, '---'].join('\n');
+};
+
+/**
+ * Fence info string: `python title="Hello" nocopy` →
+ * `{ name: 'python', attrs: { title: 'Hello' }, flags: ['nocopy'] }`
+ */
+const parseInfo = (info) => {
+  const tokens = info.match(/[\w-]+="(?:[^"\\]|\\.)*"|[\w-]+=\S+|\S+/g) || [];
+  const [name = '', ...rest] = tokens;
+  const attrs = {};
+  const flags = [];
+  rest.forEach(token => {
+    const match = /^([\w-]+)=(.*)$/.exec(token);
+    if (!match) {
+      flags.push(token);
+    } else {
+      attrs[match[1]] = match[2].startsWith('"') ? JSON.parse(match[2]) : match[2];
+    }
+  });
+  return { name: name.toLowerCase(), attrs, flags };
+};
+
+/**
+ * Read a fenced section starting at `start`. Returns
+ * `{ info, content, next }` with `next` the line after the closing fence.
+ */
+const readFence = (lines, start, lineOffset) => {
+  const [, marker, info] = FENCE.exec(lines[start]);
+  const closing = new RegExp(`^${marker[0] === '`' ? '`' : '~'}{${marker.length},}\\s*$`);
+
+  for (let i = start + 1; i < lines.length; i++) {
+    if (closing.test(lines[i])) {
+      return { info: info.trim(), content: lines.slice(start + 1, i).join('\n'), next: i + 1 };
+    }
+  }
+  throw new MarkdownError(`Code fence opened with ${marker} is not closed`, start + lineOffset);
+};
+
+// A fence long enough that no line of `content` closes it
+const fenceFor = (content, minimum = 3) => {
+  const runs = (content.match(/^`+/gm) || []).map(run => run.length);
+  return '`'.repeat(Math.max(minimum, ...runs.map(length => length + 1)));
+};
+
+// Inner fences of an exercise, with the lines outside them
+const splitFences = (content, lineOffset) => {
+  const lines = content.split('\n');
+  const fences = [];
+  const text = [];
+  let i = 0;
+  while (i < lines.length) {
+    if (FENCE.test(lines[i])) {
+      const fence = readFence(lines, i, lineOffset);
+      fences.push({ ...parseInfo(fence.info), content: fence.content, line: i + lineOffset });
+      i = fence.next;
+    } else {
+      text.push(lines[i]);
+      i++;
+    }
+  }
+  return { fences, text };
+};
+
+// "1,3-4" → [1, 3, 4]
+const parseLineRanges = (value) => String(value).split(',').flatMap(part => {
+  const [from, to] = part.split('-').map(n => parseInt(n, 10));
+  if (!Number.isInteger(from)) return [];
+  if (!Number.isInteger(to)) return [from];
+  return Array.from({ length: Math.max(0, to - from + 1) }, (_, i) => from + i);
+});
+
+const formatLineRanges = (lines) => {
+  const ranges = [];
+  [...lines].sort((a, b) => a - b).forEach(n => {
+    const last = ranges[ranges.length - 1];
+    if (last && n === last[1] + 1) {
+      last[1] = n;
+    } else {
+      ranges.push([n, n]);
+    }
+  });
+  return ranges.map(([from, to]) => (from === to ? `${from}` : `${from}-${to}`)).join(',');
+};
+
+const compileCodeFence = ({ name, attrs, flags }, content, line) => {
+  const language = name ? LANGUAGE_ALIASES[name] : 'java';
+  if (!language) {
+    throw new MarkdownError(
+      `Unsupported code language "${name}" (use ${Object.keys(LANGUAGE_ALIASES).join(', ')})`,
+      line
+    );
+  }
+
+  const codeSnippet = {
+    title: attrs.title || language.charAt(0).toUpperCase() + language.slice(1),
+    code: content,
+    language
+  };
+  if (attrs.highlight) codeSnippet.highlightLines = parseLineRanges(attrs.highlight);
+  if (flags.includes('nolinenumbers')) codeSnippet.showLineNumbers = false;
+  if (flags.includes('nocopy')) codeSnippet.showCopyButton = false;
+
+  return { type: 'codeSnippet', codeSnippet };
+};
+
+const compileMcqFence = (content, line) => {
+  const questions = [];
+  content.split('\n').forEach((raw, index) => {
+    const text = raw.trim();
+    if (!text) return;
+
+    if (text.startsWith('?')) {
+      questions.push({ question: text.slice(1).trim(), options: [] });
+      return;
+    }
+
+    const question = questions[questions.length - 1];
+    if (!question) {
+      throw new MarkdownError('An mcq block must start with a "? question" line', line + index + 1);
+    }
+
+    const option = /^[-*]\s*\[([ xX])\]\s*(.*)$/.exec(text);
+    const setting = /^(difficulty)\s*:\s*(.*)$/.exec(text);
+    if (option) {
+      question.options.push({ text: option[2], isCorrect: option[1] !== ' ' });
+    } else if (text.startsWith('>')) {
+      const explanation = text.replace(/^>\s?/, '');
+      question.explanation = question.explanation ? `${question.explanation}\n${explanation}` : explanation;
+    } else if (setting) {
+      question.difficulty = setting[2].trim();
+    } else {
+      throw new MarkdownError(`Unexpected line in mcq block: ${text}`, line + index + 1);
+    }
+  });
+
+  return { type: 'mcq', mcqQuestions: questions };
+};
+
+// `exercise python`: the word after the fence name is the language
+const compileExerciseFence = ({ attrs, flags }, content, line) => {
+  const { fences, text } = splitFences(content, line + 1);
+  const exercise = { hints: [], testCases: [] };
+  const language = attrs.language || flags[0];
+  if (language) {
+    exercise.language = LANGUAGE_ALIASES[language] || language;
+  }
+
+  const description = [];
+  text.forEach(raw => {
+    const setting = /^(title|difficulty|hint)\s*:\s*(.*)$/.exec(raw);
+    if (setting && description.length === 0) {
+      if (setting[1] === 'hint') {
+        exercise.hints.push(setting[2].trim());
+      } else {
+        exercise[setting[1]] = setting[2].trim();
+      }
+    } else if (raw.trim() || description.length > 0) {
+      description.push(raw);
+    }
+  });
+  const descriptionText = description.join('\n').trim();
+  if (descriptionText) exercise.description = descriptionText;
+
+  let pendingInput = null;
+  fences.forEach(fence => {
+    if (fence.name === 'starter') {
+      exercise.starterCode = fence.content;
+    } else if (fence.name === 'solution') {
+      exercise.solution = fence.content;
+    } else if (fence.name === 'input') {
+      pendingInput = fence.content;
+    } else if (fence.name === 'output') {
+      exercise.testCases.push({
+        input: pendingInput === null ? '' : pendingInput,
+        expectedOutput: fence.content,
+        hidden: fence.flags.includes('hidden')
+      });
+      pendingInput = null;
+    } else {
+      throw new MarkdownError(
+        `Unknown exercise section "${fence.name}" (use starter, solution, input, output)`,
+        fence.line
+      );
+    }
+  });
+  if (pendingInput !== null) {
+    throw new MarkdownError('An ```input fence must be followed by an ```output fence', line);
+  }
+
+  return { type: 'codingExercise', codingExercise: exercise };
+};
+
+const compileBlockFence = (content, line) => {
+  let block;
+  try {
+    block = JSON.parse(content);
+  } catch (error) {
+    throw new MarkdownError(`Invalid JSON in block fence: ${error.message}`, line);
+  }
+  if (!block || typeof block !== 'object' || Array.isArray(block) || !TYPE_FIELDS[block.type]) {
+    throw new MarkdownError('A block fence must hold a JSON object with a known "type"', line);
+  }
+  return block;
+};
+
+const compileFence = (info, content, line) => {
+  const parsed = parseInfo(info);
+  switch (parsed.name) {
+    case 'mcq':
+      return compileMcqFence(content, line);
+    case 'exercise':
+      return compileExerciseFence(parsed, content, line);
+    case 'block':
+      return compileBlockFence(content, line);
+    default:
+      return compileCodeFence(parsed, content, line);
+  }
+};
+
+// Lines that start a block other than a paragraph
+const startsBlock = (line) => FENCE.test(line)
+  || HEADING.test(line)
+  || IMAGE.test(line)
+  || ADMONITION.test(line)
+  || LIST_ITEM.test(line);
+
+/**
+ * Compile a Markdown body into content blocks (without `order`)
+ */
+const compileBody = (body, lineOffset = 1) => {
+  const lines = body.split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const lineNumber = i + lineOffset;
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    if (FENCE.test(line)) {
+      const fence = readFence(lines, i, lineOffset);
+      blocks.push(compileFence(fence.info, fence.content, lineNumber));
+      i = fence.next;
+      continue;
+    }
+
+    const heading = HEADING.exec(line);
+    if (heading) {
+      blocks.push({ type: 'heading', heading: heading[2].trimEnd(), headingLevel: heading[1].length });
+      i++;
+      continue;
+    }
+
+    const image = IMAGE.exec(line);
+    if (image) {
+      const content = { url: image[2], alt: image[1] };
+      if (image[3] !== undefined) content.caption = image[3];
+      blocks.push({ type: 'image', content });
+      i++;
+      continue;
+    }
+
+    const admonition = ADMONITION.exec(line);
+    if (admonition) {
+      const marker = admonition[1].toUpperCase();
+      if (!ADMONITIONS[marker]) {
+        throw new MarkdownError(
+          `Unknown admonition [!${admonition[1]}] (use ${Object.keys(ADMONITIONS).join(', ')})`,
+          lineNumber
+        );
+      }
+      const points = [];
+      i++;
+      while (i < lines.length && lines[i].startsWith('>') && !ADMONITION.test(lines[i])) {
+        const point = lines[i].replace(/^>\s?/, '').replace(/^[-*]\s+/, '');
+        if (point.trim()) points.push(point);
+        i++;
+      }
+      blocks.push({
+        type: 'importantNote',
+        importantNote: {
+          title: admonition[2] || marker.charAt(0) + marker.slice(1).toLowerCase(),
+          points,
+          variant: ADMONITIONS[marker]
+        }
+      });
+      continue;
+    }
+
+    const item = LIST_ITEM.exec(line);
+    if (item) {
+      const numbered = /^\d/.test(item[1]);
+      const listItems = [];
+      while (i < lines.length) {
+        const next = LIST_ITEM.exec(lines[i]);
+        if (next && /^\d/.test(next[1]) === numbered) {
+          listItems.push(next[2]);
+        } else if (listItems.length > 0 && /^\s+\S/.test(lines[i])) {
+          // Indented continuation of the previous item
+          listItems[listItems.length - 1] += ` ${lines[i].trim()}`;
+        } else {
+          break;
+        }
+        i++;
+      }
+      blocks.push({ type: 'list', listItems, listType: numbered ? 'numbered' : 'bullet' });
+      continue;
+    }
+
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !startsBlock(lines[i]))) {
+      paragraph.push(lines[i]);
+      i++;
+    }
+    blocks.push({ type: 'text', text: paragraph.join('\n') });
+  }
+
+  return blocks;
+};
+
+/**
+ * Compile one submodule file. `fileName` supplies the default id (its
+ * name without extension or a leading `01-` number).
+ */
+const compileSubModule = (source, fileName = '') => {
+  const { data, body, bodyLine } = parseFrontMatter(source);
+  const subModule = {};
+  SUBMODULE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) subModule[field] = data[field];
+  });
+
+  if (subModule.id === undefined && fileName) {
+    subModule.id = path.basename(fileName, path.extname(fileName)).replace(/^\d+[-_.\s]*/, '');
+  }
+  if (subModule.id !== undefined) subModule.id = String(subModule.id);
+  if (subModule.prerequisites !== undefined && !Array.isArray(subModule.prerequisites)) {
+    subModule.prerequisites = [subModule.prerequisites];
+  }
+  if (Array.isArray(subModule.prerequisites)) {
+    subModule.prerequisites = subModule.prerequisites.map(String);
+  }
+
+  subModule.contentBlocks = compileBody(body, bodyLine)
+    .map((block, index) => ({ ...block, order: index + 1 }));
+  return subModule;
+};
+
+/**
+ * Compile a module from its files (`[{ path, content }]`). Returns
+ * `{ module, files, errors }`: `files` lists the submodule files in
+ * submodule order, `errors` the `{ file, line, message }` problems found.
+ */
+const compileModule = (files) => {
+  const errors = [];
+  const markdown = files.filter(file => path.extname(file.path).toLowerCase() === '.md');
+  const moduleFile = markdown.find(file => path.basename(file.path).toLowerCase() === MODULE_FILE);
+  const subModuleFiles = markdown
+    .filter(file => file !== moduleFile)
+    .sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true }));
+
+  const module = {};
+  if (!moduleFile) {
+    errors.push({ file: MODULE_FILE, line: null, message: `${MODULE_FILE} with the module's front matter is missing` });
+  } else {
+    try {
+      const { data, body } = parseFrontMatter(moduleFile.content);
+      MODULE_FIELDS.forEach(field => {
+        if (data[field] !== undefined) module[field] = data[field];
+      });
+      if (module.id !== undefined) module.id = String(module.id);
+      if (body.trim()) module.description = body.trim();
+    } catch (error) {
+      if (error.name !== 'MarkdownError') throw error;
+      errors.push({ file: moduleFile.path, line: error.line, message: error.message });
+    }
+  }
+
+  const compiled = [];
+  subModuleFiles.forEach((file, index) => {
+    try {
+      const subModule = compileSubModule(file.content, file.path);
+      compiled.push({ subModule: { order: index + 1, ...subModule }, file: file.path });
+    } catch (error) {
+      if (error.name !== 'MarkdownError') throw error;
+      errors.push({ file: file.path, line: error.line, message: error.message });
+    }
+  });
+
+  compiled.sort((a, b) => a.subModule.order - b.subModule.order);
+  module.subModules = compiled.map(entry => entry.subModule);
+
+  return { module, files: compiled.map(entry => entry.file), errors };
+};
+
+const toPlain = (value) => (value && typeof value.toObject === 'function')
+  ? value.toObject({ depopulate: true })
+  : value;
+
+// Copy without database ids, for block fences
+const withoutIds = (value) => JSON.parse(JSON.stringify(value, (key, nested) => {
+  return ['_id', '__v', 'createdAt', 'updatedAt', 'lastEditedBy'].includes(key) ? undefined : nested;
+}));
+
+const isSingleLine = (text) => typeof text === 'string' && !text.includes('\n');
+
+const renderBlockFence = (block) => {
+  const fields = { type: block.type };
+  TYPE_FIELDS[block.type].forEach(field => {
+    if (block[field] !== undefined && !(Array.isArray(block[field]) && block[field].length === 0)) {
+      fields[field] = block[field];
+    }
+  });
+  const json = JSON.stringify(withoutIds(fields), null, 2);
+  const fence = fenceFor(json);
+  return `${fence}block\n${json}\n${fence}`;
+};
+
+const quoteAttr = (value) => (/^[^\s"]+$/.test(value) ? value : JSON.stringify(value));
+
+// Markdown form of a block, or null when it has none that compiles back
+// to the same content
+const renderNative = (block) => {
+  switch (block.type) {
+    case 'heading':
+      return isSingleLine(block.heading) && block.heading.trim() === block.heading && block.heading
+        ? `${'#'.repeat(block.headingLevel || 2)} ${block.heading}`
+        : null;
+
+    case 'text': {
+      const lines = (block.text || '').split('\n');
+      const fits = block.text
+        && lines.every(line => line.trim())
+        && !startsBlock(lines[0])
+        && lines.slice(1).every(line => !startsBlock(line));
+      return fits ? block.text : null;
+    }
+
+    case 'list': {
+      const items = block.listItems || [];
+      const fits = items.length > 0 && items.every(item => isSingleLine(item) && item.trim() === item && item);
+      if (!fits) return null;
+      return items
+        .map((item, index) => (block.listType === 'numbered' ? `${index + 1}. ${item}` : `- ${item}`))
+        .join('\n');
+    }
+
+    case 'image': {
+      const content = block.content || {};
+      const fits = content.url && !/\s|\)/.test(content.url)
+        && isSingleLine(content.alt || '') && !(content.alt || '').includes(']')
+        && (content.caption === undefined || (isSingleLine(content.caption) && !content.caption.includes('"')))
+        && content.width === undefined && content.height === undefined;
+      if (!fits) return null;
+      const caption = content.caption !== undefined ? ` "${content.caption}"` : '';
+      return `![${content.alt || ''}](${content.url}${caption})`;
+    }
+
+    case 'importantNote': {
+      const note = block.importantNote || {};
+      const marker = Object.keys(ADMONITIONS).find(key => ADMONITIONS[key] === (note.variant || 'yellow'));
+      const points = note.points || [];
+      const fits = note.title && isSingleLine(note.title) && note.title.trim() === note.title
+        && points.every(point => isSingleLine(point) && point.trim() && point === point.trimStart());
+      if (!fits) return null;
+      return [`> [!${marker}] ${note.title}`, ...points.map(point => `> - ${point}`)].join('\n');
+    }
+
+    case 'codeSnippet': {
+      const snippet = block.codeSnippet || {};
+      if (typeof snippet.code !== 'string' || !snippet.title || !isSingleLine(snippet.title)) return null;
+      const info = [snippet.language || 'java', `title=${quoteAttr(snippet.title)}`];
+      if (snippet.highlightLines && snippet.highlightLines.length > 0) {
+        info.push(`highlight=${formatLineRanges(snippet.highlightLines)}`);
+      }
+      if (snippet.showLineNumbers === false) info.push('nolinenumbers');
+      if (snippet.showCopyButton === false) info.push('nocopy');
+      const fence = fenceFor(snippet.code);
+      return `${fence}${info.join(' ')}\n${snippet.code}\n${fence}`;
+    }
+
+    case 'mcq': {
+      const questions = block.mcqQuestions || [];
+      const fits = questions.length > 0 && questions.every(q => isSingleLine(q.question)
+        && q.question.trim() && q.question.trim() === q.question
+        && (q.options || []).every(option => isSingleLine(option.text) && option.text.trim() === option.text)
+        && (q.explanation === undefined || q.explanation.split('\n').every(line => line.trim() === line)));
+      if (!fits) return null;
+      const lines = [];
+      questions.forEach((q, index) => {
+        if (index > 0) lines.push('');
+        lines.push(`? ${q.question}`);
+        (q.options || []).forEach(option => lines.push(`- [${option.isCorrect ? 'x' : ' '}] ${option.text}`));
+        if (q.explanation !== undefined) {
+          q.explanation.split('\n').forEach(line => lines.push(`> ${line}`));
+        }
+        if (q.difficulty && q.difficulty !== 'medium') lines.push(`difficulty: ${q.difficulty}`);
+      });
+      const body = lines.join('\n');
+      const fence = fenceFor(body);
+      return `${fence}mcq\n${body}\n${fence}`;
+    }
+
+    case 'codingExercise': {
+      const exercise = block.codingExercise || {};
+      const fits = exercise.title && isSingleLine(exercise.title)
+        && (exercise.hints || []).every(hint => isSingleLine(hint) && hint.trim() === hint)
+        && (exercise.description === undefined || (exercise.description.trim() === exercise.description
+          && !/^(title|difficulty|hint)\s*:/.test(exercise.description)
+          && exercise.description.split('\n').every(line => !FENCE.test(line))))
+        && (exercise.testCases || []).every(testCase => typeof testCase.expectedOutput === 'string');
+      if (!fits) return null;
+
+      const sections = [];
+      const inner = (name, content) => {
+        const fence = fenceFor(content || '');
+        sections.push(`${fence}${name}\n${content || ''}\n${fence}`);
+      };
+      if (exercise.starterCode !== undefined) inner('starter', exercise.starterCode);
+      if (exercise.solution !== undefined) inner('solution', exercise.solution);
+      (exercise.testCases || []).forEach(testCase => {
+        inner('input', testCase.input);
+        inner(testCase.hidden ? 'output hidden' : 'output', testCase.expectedOutput);
+      });
+
+      const lines = [`title: ${exercise.title}`];
+      if (exercise.difficulty && exercise.difficulty !== 'medium') lines.push(`difficulty: ${exercise.difficulty}`);
+      (exercise.hints || []).forEach(hint => lines.push(`hint: ${hint}`));
+      if (exercise.description) lines.push('', exercise.description);
+      lines.push('', ...sections);
+
+      const body = lines.join('\n');
+      const fence = fenceFor(body, 4);
+      return `${fence}exercise ${exercise.language || 'javascript'}\n${body}\n${fence}`;
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Markdown for one content block
+ */
+const renderBlock = (value) => {
+  const block = toPlain(value);
+  return renderNative(block) || renderBlockFence(block);
+};
+
+/**
+ * Markdown file for one submodule
+ */
+const renderSubModule = (value) => {
+  const subModule = toPlain(value);
+  const data = {};
+  SUBMODULE_FIELDS.filter(field => field !== 'order').forEach(field => {
+    const fieldValue = subModule[field];
+    if (fieldValue !== undefined && fieldValue !== null && !(Array.isArray(fieldValue) && fieldValue.length === 0)) {
+      data[field] = fieldValue;
+    }
+  });
+
+  const blocks = [...(subModule.contentBlocks || [])]
+    .sort((a, b) => (a.order || 0) - (b.order || 0))
+    .map(renderBlock);
+
+  return blocks.length > 0
+    ? `${renderFrontMatter(data)}\n\n${blocks.join('\n\n')}\n`
+    : `${renderFrontMatter(data)}\n`;
+};
+
+// File name for a submodule: its position, then its id
+const subModuleFileName = (subModule, index) => {
+  const slug = String(subModule.id).replace(/[^\w.-]+/g, '-');
+  return `${String(index + 1).padStart(2, '0')}-${slug}.md`;
+};
+
+/**
+ * Markdown files (`[{ path, content }]`) for a module's content: a live
+ * module, a draft or a revision snapshot
+ */
+const renderModule = (value) => {
+  const module = toPlain(value);
+  const data = {};
+  MODULE_FIELDS.forEach(field => {
+    if (module[field] !== undefined && module[field] !== null) data[field] = module[field];
+  });
+
+  const files = [{
+    path: MODULE_FILE,
+    content: `${renderFrontMatter(data)}\n${module.description ? `\n${module.description}\n` : ''}`
+  }];
+
+  [...(module.subModules || [])]
+    .sort((a, b) => (a.order || 0) - (b.order || 0))
+    .forEach((subModule, index) => {
+      files.push({ path: subModuleFileName(subModule, index), content: renderSubModule(subModule) });
+    });
+
+  return files;
+};
+
+module.exports = {
+  MODULE_FILE,
+  MarkdownError,
+  parseFrontMatter,
+  compileBody,
+  compileSubModule,
+  compileModule,
+  renderBlock,
+  renderSubModule,
+  renderModule
+};
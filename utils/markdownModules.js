@@ -0,0 +1,204 @@
+/**
+ * Markdown Modules
+ *
+ * Imports a module written as Markdown (see markdownContent.js) into a
+ * course and exports modules back to Markdown files. A module that already
+ * exists in the course (same `id` in module.md) is updated through its
+ * draft, so the import can be reviewed before it is published; any other
+ * module is created.
+ *
+ * Usage:
+ *   node utils/markdownModules.js import <dir> --course <courseId> [--dry-run]
+ *   node utils/markdownModules.js export <moduleId> <dir> [--version live|draft|<revision>]
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Module = require('../models/Module');
+const ModuleRevision = require('../models/ModuleRevision');
+const { MODULE_FIELDS } = require('./moduleDiff');
+const { MODULE_FILE, compileModule, renderModule } = require('./markdownContent');
+
+// Validation errors of `doc` as `{ file, line, field, message }`, with
+// submodule paths pointing at the file the submodule came from
+const validationErrors = async (doc, prefix, subModuleFiles) => {
+  try {
+    await doc.validate();
+    return [];
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    return Object.entries(error.errors).map(([errorPath, err]) => {
+      const field = errorPath.startsWith(prefix) ? errorPath.slice(prefix.length) : errorPath;
+      const match = field.match(/^subModules\.(\d+)\.(.+)$/);
+      return match && subModuleFiles[match[1]]
+        ? { file: subModuleFiles[match[1]], line: null, field: match[2], message: err.message }
+        : { file: MODULE_FILE, line: null, field, message: err.message };
+    });
+  }
+};
+
+/**
+ * Import a module's Markdown files (`[{ path, content }]`) into `course`.
+ * Nothing is written when the files do not compile or validate, or with
+ * `dryRun`.
+ *
+ * Resolves to `{ errors }` listing `{ file, line, field?, message }`
+ * problems, or to `{ module, draft, created }` where `draft` is the
+ * updated draft of an existing module (null for a created one).
+ */
+const importMarkdownModule = async (course, files, { userId, dryRun = false } = {}) => {
+  const compiled = compileModule(files);
+  if (compiled.errors.length > 0) {
+    return { errors: compiled.errors };
+  }
+
+  const content = {
+    ...compiled.module,
+    subModules: compiled.module.subModules.map(sm => ({ ...sm, lastEditedBy: userId }))
+  };
+  if (!content.id) {
+    return {
+      errors: [{ file: MODULE_FILE, line: null, field: 'id', message: 'Module id is required in the front matter' }]
+    };
+  }
+
+  let module = await Module.findOne({ courseId: course._id, id: content.id });
+  let draft = null;
+
+  if (module) {
+    draft = await ModuleRevision.openDraft(module, userId);
+    // Fields missing from the front matter keep their current value
+    MODULE_FIELDS.concat('subModules').forEach(field => {
+      if (content[field] !== undefined) {
+        draft.snapshot[field] = content[field];
+      }
+    });
+  } else {
+    module = new Module({
+      ...content,
+      order: content.order !== undefined
+        ? content.order
+        : await Module.countDocuments({ courseId: course._id }) + 1,
+      courseId: course._id,
+      lastEditedBy: userId
+    });
+  }
+
+  const errors = await validationErrors(draft || module, draft ? 'snapshot.' : '', compiled.files);
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  if (!dryRun) {
+    if (draft) {
+      await draft.save();
+    } else {
+      await module.save();
+      await course.updateStatisticsFromModules();
+    }
+  }
+
+  return { module, draft, created: !draft };
+};
+
+/**
+ * Markdown files for one version of a module (see
+ * ModuleRevision.loadVersion); by default its draft, or the live content
+ * when there is none. Resolves to null when the version does not exist.
+ */
+const exportMarkdownModule = async (module, version) => {
+  const content = version
+    ? await ModuleRevision.loadVersion(module, version)
+    : (await ModuleRevision.loadVersion(module, 'draft')) || ModuleRevision.snapshotOf(module);
+
+  return content ? renderModule({ ...content, id: module.id }) : null;
+};
+
+// Value following a command-line flag
+const optionValue = (name) => {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const readMarkdownDir = (dir) => fs.readdirSync(dir)
+  .filter(name => path.extname(name).toLowerCase() === '.md')
+  .map(name => ({ path: name, content: fs.readFileSync(path.join(dir, name), 'utf8') }));
+
+const runImport = async (dir) => {
+  const course = await Course.findById(optionValue('--course'));
+  if (!course) {
+    throw new Error('Course not found');
+  }
+
+  const dryRun = process.argv.includes('--dry-run');
+  const result = await importMarkdownModule(course, readMarkdownDir(dir), { dryRun });
+  if (result.errors) {
+    result.errors.forEach(({ file, line, field, message }) => {
+      console.error(`   ${file}${line ? `:${line}` : ''}${field ? ` ${field}` : ''}: ${message}`);
+    });
+    throw new Error(`${result.errors.length} problem(s) in ${dir}`);
+  }
+
+  const action = result.created ? 'Created module' : 'Saved draft of module';
+  console.log(`✅ ${dryRun ? '(dry run) ' : ''}${action} "${result.module.id}" in "${course.title}"`);
+};
+
+const runExport = async (moduleId, dir) => {
+  const module = mongoose.Types.ObjectId.isValid(moduleId) && await Module.findById(moduleId);
+  if (!module) {
+    throw new Error('Module not found');
+  }
+
+  const files = await exportMarkdownModule(module, optionValue('--version'));
+  if (!files) {
+    throw new Error(`Version ${optionValue('--version')} not found`);
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  files.forEach(file => fs.writeFileSync(path.join(dir, file.path), file.content));
+  console.log(`✅ Wrote ${files.length} file(s) for module "${module.id}" to ${dir}`);
+};
+
+// Main execution
+const main = async () => {
+  const [command, first, second] = process.argv.slice(2);
+  const valid = (command === 'import' && first && optionValue('--course'))
+    || (command === 'export' && first && second);
+  if (!valid) {
+    console.error('Usage: node utils/markdownModules.js import <dir> --course <courseId> [--dry-run]');
+    console.error('       node utils/markdownModules.js export <moduleId> <dir> [--version live|draft|<revision>]');
+    process.exit(2);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true
+    });
+
+    if (command === 'import') {
+      await runImport(first);
+    } else {
+      await runExport(first, second);
+    }
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error(`❌ ${command === 'import' ? 'Import' : 'Export'} failed:`, error.message);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  importMarkdownModule,
+  exportMarkdownModule
+};
@@ -0,0 +1,245 @@
+/**
+ * Migration Script: Move Enrollments Into Their Own Collection
+ *
+ * Enrollments used to be embedded in user documents, in `enrolledCourses`
+ * and (older still) `enrollments`. They now live in the Enrollment
+ * collection, one document per user and course. This script:
+ * 1. Merges both embedded arrays per user, folding duplicate enrollments
+ *    for the same course (and any Enrollment document that already exists)
+ * 2. Writes one Enrollment document per user and course
+ * 3. Removes the embedded arrays from user documents
+ * 4. Recounts `Course.enrollmentCount` from the Enrollment collection
+ *
+ * Safe to run more than once.
+ *
+ * Usage: node utils/migrateEnrollments.js [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const Enrollment = require('../models/Enrollment');
+const { recalculateEnrollmentStats } = require('./courseIndexing');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// Connect to MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true
+    });
+    console.log('✅ Connected to MongoDB');
+  } catch (error) {
+    console.error('❌ MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+const earliest = (a, b) => (!a ? b : !b ? a : (a < b ? a : b));
+const latest = (a, b) => (!a ? b : !b ? a : (a > b ? a : b));
+
+/**
+ * Merge two progress entries for the same submodule.
+ * Completion wins and keeps its first completion date.
+ */
+const mergeProgressEntry = (a, b) => {
+  const merged = {
+    ...a,
+    completed: Boolean(a.completed || b.completed),
+    completedAt: earliest(a.completedAt, b.completedAt),
+    lastVisited: latest(a.lastVisited, b.lastVisited),
+    archived: Boolean(a.archived && b.archived)
+  };
+  if (merged.archived) {
+    merged.archivedAt = latest(a.archivedAt, b.archivedAt);
+  } else {
+    delete merged.archivedAt;
+  }
+  if (!merged.completedAt) {
+    delete merged.completedAt;
+  }
+  return merged;
+};
+
+/**
+ * Merge two enrollments for the same course
+ */
+const mergeEnrollment = (a, b) => {
+  const progressByKey = new Map();
+  [...(a.moduleProgress || []), ...(b.moduleProgress || [])].forEach(entry => {
+    const key = `${entry.moduleId}:${entry.subModuleId}`;
+    const existing = progressByKey.get(key);
+    progressByKey.set(key, existing ? mergeProgressEntry(existing, entry) : entry);
+  });
+
+  const merged = {
+    ...a,
+    enrolledAt: earliest(a.enrolledAt, b.enrolledAt),
+    lastAccessed: latest(a.lastAccessed, b.lastAccessed),
+    totalModules: Math.max(a.totalModules || 0, b.totalModules || 0),
+    moduleProgress: Array.from(progressByKey.values())
+  };
+  recalculateEnrollmentStats(merged);
+  return merged;
+};
+
+/**
+ * Fold a user's raw `enrolledCourses` and legacy `enrollments` into one
+ * list with a single entry per course. Entries without a course are dropped.
+ */
+const mergeUserEnrollments = (enrolledCourses = [], legacyEnrollments = []) => {
+  const byCourse = new Map();
+
+  [...enrolledCourses, ...legacyEnrollments].forEach(enrollment => {
+    if (!enrollment || !enrollment.course) return;
+    const key = enrollment.course.toString();
+    const existing = byCourse.get(key);
+    byCourse.set(key, existing ? mergeEnrollment(existing, enrollment) : {
+      ...enrollment,
+      moduleProgress: enrollment.moduleProgress || []
+    });
+  });
+
+  return Array.from(byCourse.values());
+};
+
+// Embedded enrollment fields copied onto Enrollment documents
+const toEnrollmentFields = (enrollment) => {
+  const fields = {
+    enrolledAt: enrollment.enrolledAt,
+    lastAccessed: enrollment.lastAccessed,
+    progress: enrollment.progress,
+    completedModules: enrollment.completedModules,
+    totalModules: enrollment.totalModules || 0,
+    moduleProgress: enrollment.moduleProgress || []
+  };
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+};
+
+// Move embedded enrollments into the Enrollment collection
+const moveEmbeddedEnrollments = async () => {
+  console.log('\n🔀 Moving embedded enrollments...\n');
+
+  // Raw collection access: the embedded arrays are no longer in the schema
+  const users = await User.collection
+    .find({ $or: [{ enrolledCourses: { $exists: true } }, { enrollments: { $exists: true } }] })
+    .project({ username: 1, enrolledCourses: 1, enrollments: 1 })
+    .toArray();
+  console.log(`Found ${users.length} users with embedded enrollments\n`);
+
+  const courseIds = new Set((await Course.find({}).distinct('_id')).map(id => id.toString()));
+
+  let movedCount = 0;
+  let droppedCount = 0;
+
+  for (const user of users) {
+    const embedded = mergeUserEnrollments(
+      Array.isArray(user.enrolledCourses) ? user.enrolledCourses : [],
+      Array.isArray(user.enrollments) ? user.enrollments : []
+    );
+
+    for (const enrollment of embedded) {
+      const courseId = enrollment.course;
+
+      if (!courseIds.has(courseId.toString())) {
+        console.log(`  ${user.username} (${user._id}): dropping enrollment in missing course ${courseId}`);
+        droppedCount++;
+        continue;
+      }
+
+      // Fold into an Enrollment document created since the deploy;
+      // merging also recalculates the counters
+      const existing = await Enrollment.findOne({ userId: user._id, courseId }).lean();
+      const merged = existing
+        ? mergeEnrollment({ ...existing, course: courseId }, enrollment)
+        : mergeEnrollment(enrollment, {});
+
+      movedCount++;
+      if (!DRY_RUN) {
+        await Enrollment.updateOne(
+          { userId: user._id, courseId },
+          { $set: toEnrollmentFields(merged) },
+          { upsert: true }
+        );
+      }
+    }
+
+    console.log(`  ${user.username} (${user._id}): ${embedded.length} enrollments`);
+
+    if (!DRY_RUN) {
+      await User.collection.updateOne(
+        { _id: user._id },
+        { $unset: { enrolledCourses: '', enrollments: '' } }
+      );
+    }
+  }
+
+  console.log(`\n✅ Moved ${movedCount} enrollments (${droppedCount} pointed at deleted courses)\n`);
+};
+
+// Recount Course.enrollmentCount from the Enrollment collection
+const recountEnrollments = async () => {
+  console.log('🔢 Recounting course enrollments...\n');
+
+  const counts = await Enrollment.aggregate([
+    { $group: { _id: '$courseId', count: { $sum: 1 } } }
+  ]);
+  const countByCourse = new Map(counts.map(c => [c._id.toString(), c.count]));
+
+  const courses = await Course.find({}).select('title enrollmentCount');
+  let updatedCount = 0;
+
+  for (const course of courses) {
+    const actual = countByCourse.get(course._id.toString()) || 0;
+    if (course.enrollmentCount === actual) continue;
+
+    console.log(`  ${course.title}: ${course.enrollmentCount} → ${actual}`);
+    updatedCount++;
+
+    if (!DRY_RUN) {
+      await Course.updateOne({ _id: course._id }, { $set: { enrollmentCount: actual } });
+    }
+  }
+
+  console.log(`\n✅ Updated enrollment counts for ${updatedCount} courses\n`);
+};
+
+// Main execution
+const main = async () => {
+  try {
+    await connectDB();
+
+    console.log('╔═══════════════════════════════════════════════════════╗');
+    console.log('║     ENROLLMENT COLLECTION MIGRATION                   ║');
+    console.log('╚═══════════════════════════════════════════════════════╝');
+    if (DRY_RUN) {
+      console.log('\n(dry run: nothing will be written)');
+    }
+
+    // The unique (userId, courseId) index must exist before upserting
+    await Enrollment.createIndexes();
+
+    await moveEmbeddedEnrollments();
+    await recountEnrollments();
+
+    console.log('✨ Migration complete! Run `npm run check:enrollments` to verify.\n');
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  mergeEnrollment,
+  mergeUserEnrollments
+};
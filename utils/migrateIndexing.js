@@ -12,7 +12,7 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
 const Course = require('../models/Course');
-const User = require('../models/User');
+const Enrollment = require('../models/Enrollment');
 const {
   indexCourseModules,
   updateUserProgressForCourseChange,
@@ -22,7 +22,7 @@ const {
 // Connect to MongoDB
 const connectDB = async () => {
   try {
-    await mongoose.connect(process.env.MONGO_URI, {
+    await mongoose.connect(process.env.MONGODB_URI, {
       useNewUrlParser: true,
       useUnifiedTopology: true
     });
@@ -97,20 +97,22 @@ const verifyEnrollments = async () => {
   try {
     console.log('🔍 Verifying user enrollments...\n');
 
-    const users = await User.find({ 'enrollments.0': { $exists: true } }).populate('enrollments.course');
-    console.log(`Found ${users.length} users with enrollments\n`);
+    const enrollments = await Enrollment.find({})
+      .select('userId courseId')
+      .populate('userId', 'username')
+      .populate('courseId', '_id');
+    console.log(`Found ${enrollments.length} enrollments\n`);
 
     let invalidEnrollments = 0;
     let validEnrollments = 0;
 
-    for (const user of users) {
-      for (const enrollment of user.enrollments) {
-        if (!enrollment.course) {
-          console.log(`⚠️  User ${user.username} (${user._id}): Invalid course reference`);
-          invalidEnrollments++;
-        } else {
-          validEnrollments++;
-        }
+    for (const enrollment of enrollments) {
+      if (!enrollment.courseId) {
+        const user = enrollment.userId;
+        console.log(`⚠️  User ${user ? `${user.username} (${user._id})` : 'unknown'}: Invalid course reference`);
+        invalidEnrollments++;
+      } else {
+        validEnrollments++;
       }
     }
 
@@ -132,27 +134,16 @@ const cleanupInvalidEnrollments = async () => {
   try {
     console.log('🧹 Cleaning up invalid enrollments...\n');
 
-    const users = await User.find({ 'enrollments.0': { $exists: true } });
+    const courseIds = await Enrollment.distinct('courseId');
     let cleanedCount = 0;
 
-    for (const user of users) {
-      const originalLength = user.enrollments.length;
-      
-      // Remove enrollments where course doesn't exist
-      const validEnrollments = [];
-      for (const enrollment of user.enrollments) {
-        const courseExists = await Course.exists({ _id: enrollment.course });
-        if (courseExists) {
-          validEnrollments.push(enrollment);
-        } else {
-          console.log(`  Removing invalid enrollment for user ${user.username}`);
-          cleanedCount++;
-        }
-      }
-
-      if (validEnrollments.length !== originalLength) {
-        user.enrollments = validEnrollments;
-        await user.save();
+    // Remove enrollments where course doesn't exist
+    for (const courseId of courseIds) {
+      const courseExists = await Course.exists({ _id: courseId });
+      if (!courseExists) {
+        const result = await Enrollment.deleteMany({ courseId });
+        console.log(`  Removing ${result.deletedCount} invalid enrollments for course ${courseId}`);
+        cleanedCount += result.deletedCount;
       }
     }
 
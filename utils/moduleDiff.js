@@ -0,0 +1,318 @@
+/**
+ * Module Diff
+ *
+ * Compares two versions of a module's content (a live module, a draft or
+ * a revision snapshot). Submodules are matched by their `id` and content
+ * blocks by their `_id`, so renames and edits are not mistaken for
+ * removals. summarizeModuleChanges() gives the counts stored with each
+ * revision; diffModules() gives the full structural diff for review.
+ */
+
+// Module-level fields that count as content
+const MODULE_FIELDS = ['title', 'description', 'icon', 'order', 'isPublished', 'publishAt', 'unpublishAt'];
+
+// Bookkeeping fields that change on every save and are not content
+const IGNORED_FIELDS = ['_id', 'createdAt', 'updatedAt', 'lastEditedBy', '__v'];
+
+/**
+ * Plain copy of a document or subdocument
+ */
+const toPlain = (value) => {
+  if (value && typeof value.toObject === 'function') {
+    return value.toObject({ depopulate: true });
+  }
+  return value;
+};
+
+/**
+ * Stable JSON of a value with bookkeeping fields removed, used to tell
+ * whether two versions of a submodule or block differ
+ */
+const fingerprint = (value) => JSON.stringify(value, (key, nested) => {
+  if (IGNORED_FIELDS.includes(key)) return undefined;
+  if (nested && typeof nested === 'object' && !Array.isArray(nested)) {
+    if (typeof nested.toHexString === 'function') return nested.toHexString();
+    return Object.keys(nested).sort().reduce((sorted, k) => {
+      sorted[k] = nested[k];
+      return sorted;
+    }, {});
+  }
+  return nested;
+});
+
+// Key a content block by its _id
+const blockKey = (block) => String(block._id);
+
+/**
+ * Counts of what changed between two versions:
+ * `{ fields, subModules: { added, removed, changed }, contentBlocks: { added, removed, changed } }`
+ */
+const summarizeModuleChanges = (before, after) => {
+  const previous = toPlain(before) || {};
+  const next = toPlain(after) || {};
+
+  const summary = {
+    fields: MODULE_FIELDS.filter(field => fingerprint(previous[field]) !== fingerprint(next[field])),
+    subModules: { added: 0, removed: 0, changed: 0 },
+    contentBlocks: { added: 0, removed: 0, changed: 0 }
+  };
+
+  const previousSubModules = new Map((previous.subModules || []).map(sm => [sm.id, sm]));
+  const nextSubModules = new Map((next.subModules || []).map(sm => [sm.id, sm]));
+
+  previousSubModules.forEach((subModule, id) => {
+    if (!nextSubModules.has(id)) {
+      summary.subModules.removed++;
+      summary.contentBlocks.removed += (subModule.contentBlocks || []).length;
+    }
+  });
+
+  nextSubModules.forEach((subModule, id) => {
+    const old = previousSubModules.get(id);
+    if (!old) {
+      summary.subModules.added++;
+      summary.contentBlocks.added += (subModule.contentBlocks || []).length;
+      return;
+    }
+
+    if (fingerprint(old) !== fingerprint(subModule)) {
+      summary.subModules.changed++;
+    }
+
+    const oldBlocks = new Map((old.contentBlocks || []).map(block => [blockKey(block), block]));
+    const newBlocks = new Map((subModule.contentBlocks || []).map(block => [blockKey(block), block]));
+
+    oldBlocks.forEach((block, key) => {
+      if (!newBlocks.has(key)) summary.contentBlocks.removed++;
+    });
+    newBlocks.forEach((block, key) => {
+      if (!oldBlocks.has(key)) {
+        summary.contentBlocks.added++;
+      } else if (fingerprint(oldBlocks.get(key)) !== fingerprint(block)) {
+        summary.contentBlocks.changed++;
+      }
+    });
+  });
+
+  return summary;
+};
+
+// Fields whose old and new values are returned as a line diff
+const TEXT_DIFF_FIELDS = ['code', 'text', 'defaultCode', 'starterCode', 'solution'];
+
+// Above this many line pairs a text diff is reported as a full replacement
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Longest common subsequence of two arrays under `equals`, as pairs of
+ * indexes `[i, j]`
+ */
+const commonSubsequence = (a, b, equals = (x, y) => x === y) => {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const lengths = Array.from({ length: rows }, () => new Uint32Array(cols));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = equals(a[i], b[j])
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (equals(a[i], b[j])) {
+      pairs.push([i, j]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+};
+
+/**
+ * Line diff of two strings as hunks `{ op: 'equal' | 'remove' | 'add', lines }`
+ */
+const diffLines = (before, after) => {
+  const a = (before || '').split('\n');
+  const b = (after || '').split('\n');
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [{ op: 'remove', lines: a }, { op: 'add', lines: b }];
+  }
+
+  const hunks = [];
+  const push = (op, line) => {
+    const last = hunks[hunks.length - 1];
+    if (last && last.op === op) {
+      last.lines.push(line);
+    } else {
+      hunks.push({ op, lines: [line] });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  commonSubsequence(a, b).concat([[a.length, b.length]]).forEach(([nextI, nextJ]) => {
+    for (; i < nextI; i++) push('remove', a[i]);
+    for (; j < nextJ; j++) push('add', b[j]);
+    if (i < a.length && j < b.length) {
+      push('equal', a[i]);
+      i++;
+      j++;
+    }
+  });
+
+  return hunks;
+};
+
+/**
+ * Leaf values of a plain object keyed by dot path, bookkeeping fields left out
+ */
+const flatten = (value, prefix = '', leaves = {}) => {
+  if (value && typeof value === 'object' && !(value instanceof Date) && typeof value.toHexString !== 'function') {
+    const entries = Array.isArray(value)
+      ? value.map((item, index) => [String(index), item])
+      : Object.entries(value).filter(([key]) => !IGNORED_FIELDS.includes(key));
+
+    if (entries.length === 0) {
+      leaves[prefix] = Array.isArray(value) ? [] : {};
+    }
+    entries.forEach(([key, nested]) => flatten(nested, prefix ? `${prefix}.${key}` : key, leaves));
+    return leaves;
+  }
+
+  leaves[prefix] = value && typeof value.toHexString === 'function' ? value.toHexString() : value;
+  return leaves;
+};
+
+/**
+ * Changed leaf fields between two plain objects:
+ * `[{ field, before, after }]`, or `{ field, diff }` for text fields
+ */
+const diffFields = (before, after, skip = []) => {
+  const previous = flatten(before || {});
+  const next = flatten(after || {});
+  const fields = [...new Set([...Object.keys(previous), ...Object.keys(next)])]
+    .filter(field => !skip.some(key => field === key || field.startsWith(`${key}.`)));
+
+  return fields
+    .filter(field => fingerprint(previous[field]) !== fingerprint(next[field]))
+    .map(field => {
+      const key = field.split('.').pop();
+      const isText = TEXT_DIFF_FIELDS.includes(key)
+        && (typeof previous[field] === 'string' || typeof next[field] === 'string');
+      return isText
+        ? { field, diff: diffLines(previous[field], next[field]) }
+        : { field, before: previous[field], after: next[field] };
+    });
+};
+
+/**
+ * Match two lists by key and report what was added, removed, moved
+ * relative to the items kept in both, and changed
+ */
+const diffList = (before, after, keyOf, describe, diffItem) => {
+  const previousKeys = before.map(keyOf);
+  const nextKeys = after.map(keyOf);
+  const previousIndex = new Map(previousKeys.map((key, index) => [key, index]));
+  const nextIndex = new Map(nextKeys.map((key, index) => [key, index]));
+
+  const kept = nextKeys.filter(key => previousIndex.has(key));
+  const keptBefore = previousKeys.filter(key => nextIndex.has(key));
+  const inPlace = new Set(commonSubsequence(keptBefore, kept).map(([i]) => keptBefore[i]));
+
+  const result = {
+    added: after
+      .map((item, index) => ({ item, index }))
+      .filter(({ item }) => !previousIndex.has(keyOf(item)))
+      .map(({ item, index }) => ({ ...describe(item), index })),
+    removed: before
+      .map((item, index) => ({ item, index }))
+      .filter(({ item }) => !nextIndex.has(keyOf(item)))
+      .map(({ item, index }) => ({ ...describe(item), index })),
+    reordered: kept
+      .filter(key => !inPlace.has(key))
+      .map(key => ({
+        ...describe(after[nextIndex.get(key)]),
+        from: previousIndex.get(key),
+        to: nextIndex.get(key)
+      })),
+    changed: []
+  };
+
+  kept.forEach(key => {
+    const changes = diffItem(before[previousIndex.get(key)], after[nextIndex.get(key)]);
+    if (changes) {
+      result.changed.push({ ...describe(after[nextIndex.get(key)]), ...changes });
+    }
+  });
+
+  return result;
+};
+
+const isEmptyListDiff = (diff) => {
+  return ['added', 'removed', 'reordered', 'changed'].every(key => diff[key].length === 0);
+};
+
+/**
+ * Structural diff of two module versions: changed module fields, and
+ * added, removed, reordered and changed submodules and content blocks.
+ * Text fields (`code`, `text`, ...) come with a line diff.
+ */
+const diffModules = (before, after) => {
+  const previous = toPlain(before) || {};
+  const next = toPlain(after) || {};
+
+  const diffBlock = (oldBlock, newBlock) => {
+    const fields = diffFields(oldBlock, newBlock);
+    return fields.length > 0 ? { fields } : null;
+  };
+
+  const diffSubModule = (oldSubModule, newSubModule) => {
+    const fields = diffFields(oldSubModule, newSubModule, ['contentBlocks']);
+    const contentBlocks = diffList(
+      oldSubModule.contentBlocks || [],
+      newSubModule.contentBlocks || [],
+      blockKey,
+      block => ({ _id: block._id, type: block.type }),
+      diffBlock
+    );
+
+    if (fields.length === 0 && isEmptyListDiff(contentBlocks)) {
+      return null;
+    }
+    return { fields, contentBlocks };
+  };
+
+  return {
+    module: {
+      fields: diffFields(
+        MODULE_FIELDS.reduce((picked, field) => ({ ...picked, [field]: previous[field] }), {}),
+        MODULE_FIELDS.reduce((picked, field) => ({ ...picked, [field]: next[field] }), {})
+      )
+    },
+    subModules: diffList(
+      previous.subModules || [],
+      next.subModules || [],
+      subModule => subModule.id,
+      subModule => ({ id: subModule.id, title: subModule.title }),
+      diffSubModule
+    ),
+    summary: summarizeModuleChanges(previous, next)
+  };
+};
+
+module.exports = {
+  MODULE_FIELDS,
+  summarizeModuleChanges,
+  diffModules,
+  diffLines
+};
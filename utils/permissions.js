@@ -0,0 +1,70 @@
+/**
+ * Roles and Permissions
+ *
+ * Single source of truth for what each role is allowed to do.
+ * Routes check permissions (never roles directly) through
+ * `middleware/requirePermission`.
+ */
+
+const ROLES = ['learner', 'instructor', 'content-editor', 'admin'];
+
+// Roles that can change content or accounts must use two-factor authentication
+const PRIVILEGED_ROLES = ['instructor', 'content-editor', 'admin'];
+
+const PERMISSIONS = [
+  'courses:write',     // Create and update courses
+  'courses:delete',    // Delete courses
+  'modules:read',      // Read unpublished modules and full content
+  'modules:write',     // Create, update and delete modules/submodules of assigned courses
+  'modules:write-any', // ...of any course, regardless of instructor assignment
+  'progress:repair',   // Re-index courses and repair learner progress
+  'users:read',        // List users and enrollments
+  'users:delete',      // Delete user accounts
+  'users:export',      // Export a user's personal data
+  'roles:manage',      // Grant and revoke roles
+  'stats:read'         // Dashboard statistics
+];
+
+const ROLE_PERMISSIONS = {
+  learner: [],
+  instructor: [
+    'modules:read',
+    'modules:write',
+    'stats:read'
+  ],
+  'content-editor': [
+    'courses:write',
+    'modules:read',
+    'modules:write',
+    'modules:write-any',
+    'progress:repair'
+  ],
+  admin: PERMISSIONS
+};
+
+/**
+ * Collect the permissions granted by a list of roles
+ */
+const getPermissionsForRoles = (roles = []) => {
+  const permissions = new Set();
+  roles.forEach(role => {
+    (ROLE_PERMISSIONS[role] || []).forEach(permission => permissions.add(permission));
+  });
+  return Array.from(permissions);
+};
+
+/**
+ * Check whether a list of roles grants a permission
+ */
+const rolesHavePermission = (roles, permission) => {
+  return roles.some(role => (ROLE_PERMISSIONS[role] || []).includes(permission));
+};
+
+module.exports = {
+  ROLES,
+  PRIVILEGED_ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getPermissionsForRoles,
+  rolesHavePermission
+};
@@ -0,0 +1,230 @@
+/**
+ * Submodule Prerequisites
+ *
+ * `subModule.prerequisites` lists ids of submodules, anywhere in the same
+ * course, that a learner has to complete first. Saving content checks that
+ * every id exists and that no chain of prerequisites leads back to itself,
+ * and that submodule ids are unique across the course, so each
+ * prerequisite names exactly one submodule.
+ *
+ * A course's `prerequisiteMode` decides what a locked submodule means:
+ * - strict: its content, attempts and completion are refused
+ * - advisory (default): learners are told what to complete first but not
+ *   stopped
+ *
+ * Prerequisites that learners cannot see (unpublished or scheduled) never
+ * lock anything, since they could not be completed.
+ */
+
+const mongoose = require('mongoose');
+const { isLive } = require('./publishSchedule');
+
+const PREREQUISITE_MODES = ['strict', 'advisory'];
+
+/**
+ * Error raised when a learner acts on a submodule locked in strict mode.
+ * `missing` lists the prerequisites still to complete as `{ moduleId, id, title }`.
+ */
+class PrerequisiteError extends Error {
+  constructor(missing) {
+    super('Complete the prerequisites of this submodule first');
+    this.name = 'PrerequisiteError';
+    this.missing = missing;
+  }
+}
+
+// Submodule id -> prerequisite ids for a course's modules
+const prerequisiteGraph = (modules) => {
+  const graph = new Map();
+  modules.forEach(module => {
+    (module.subModules || []).forEach(subModule => {
+      const existing = graph.get(subModule.id) || [];
+      graph.set(subModule.id, existing.concat(subModule.prerequisites || []));
+    });
+  });
+  return graph;
+};
+
+// A chain of prerequisites from `start` back to itself, or null
+const findCycle = (graph, start) => {
+  const visited = new Set();
+
+  const visit = (id, path) => {
+    for (const next of graph.get(id) || []) {
+      if (next === start) return path.concat(next);
+      if (visited.has(next) || !graph.has(next)) continue;
+      visited.add(next);
+      const cycle = visit(next, path.concat(next));
+      if (cycle) return cycle;
+    }
+    return null;
+  };
+
+  return visit(start, [start]);
+};
+
+/**
+ * Problems with the ids and prerequisites of `subModules`, one module's
+ * submodules, in a course made of `modules` (including that module).
+ * Returns `[{ index, field, message }]` by submodule index, where `field`
+ * is `id` or `prerequisites`.
+ */
+const findPrerequisiteErrors = (modules, subModules, shouldCheck = () => true) => {
+  const graph = prerequisiteGraph(modules);
+  const errors = [];
+
+  // How many submodules of the course use each id
+  const uses = new Map();
+  modules.forEach(module => {
+    (module.subModules || []).forEach(subModule => {
+      uses.set(subModule.id, (uses.get(subModule.id) || 0) + 1);
+    });
+  });
+
+  subModules.forEach((subModule, index) => {
+    if (!shouldCheck(subModule)) {
+      return;
+    }
+
+    if (uses.get(subModule.id) > 1) {
+      errors.push({ index, field: 'id', message: `Submodule id "${subModule.id}" is already used in this course` });
+    }
+
+    if ((subModule.prerequisites || []).length === 0) {
+      return;
+    }
+
+    const dangling = subModule.prerequisites.filter(id => !graph.has(id));
+    if (dangling.length > 0) {
+      errors.push({ index, field: 'prerequisites', message: `Unknown prerequisite submodule(s): ${dangling.join(', ')}` });
+      return;
+    }
+
+    const cycle = findCycle(graph, subModule.id);
+    if (cycle) {
+      errors.push({ index, field: 'prerequisites', message: `Prerequisites form a cycle: ${cycle.join(' → ')}` });
+    }
+  });
+  return errors;
+};
+
+/**
+ * Mongoose pre('validate') hook checking the ids and prerequisites of the
+ * submodules at `getSubModules(doc)` against the rest of the course. Only
+ * new submodules, changed ids and changed prerequisite lists are checked,
+ * so stale content loaded unchanged does not block unrelated edits.
+ * Skipped when `doc.$locals.prerequisitesChecked` is set by a caller that
+ * checked a whole course at once (see courseBundle.js).
+ */
+const validatePrerequisitesHook = ({ getSubModules, moduleKey, path }) => async function() {
+  const subModules = getSubModules(this);
+  if (this.$locals.prerequisitesChecked || !subModules) {
+    return;
+  }
+
+  const shouldCheck = subModule => subModule.isNew
+    || subModule.isModified('prerequisites')
+    || subModule.isModified('id');
+  if (!subModules.some(shouldCheck)) {
+    return;
+  }
+
+  const others = await mongoose.model('Module')
+    .find({ courseId: this.courseId, _id: { $ne: moduleKey(this) } })
+    .select('subModules.id subModules.prerequisites')
+    .lean();
+
+  findPrerequisiteErrors(others.concat({ subModules }), subModules, shouldCheck)
+    .forEach(({ index, field, message }) => {
+      this.invalidate(`${path}.${index}.${field}`, message, subModules[index][field]);
+    });
+};
+
+/**
+ * Key of a submodule within its course. Submodule ids alone may repeat
+ * across modules in content saved before ids had to be unique.
+ */
+const subModuleKey = (moduleId, subModuleId) => `${moduleId}/${subModuleId}`;
+
+/**
+ * Keys (see subModuleKey) of the submodules an enrollment has completed
+ */
+const completedSubModuleKeys = (enrollment) => new Set(
+  (enrollment ? enrollment.moduleProgress : [])
+    .filter(entry => entry.completed && !entry.archived)
+    .map(entry => subModuleKey(entry.moduleId, entry.subModuleId))
+);
+
+/**
+ * Lock state of every visible submodule of a course, given its visible
+ * modules in order (see utils/contentVisibility.js) and the keys completed.
+ * Returns a Map of subModuleKey -> `{ prerequisites, locked, missing }`:
+ * the ids of its visible prerequisites, and `{ moduleId, id, title }` of
+ * those still to complete.
+ */
+const prerequisiteState = (modules, completed, now = new Date()) => {
+  const visible = new Map();
+  modules.forEach(module => {
+    module.subModules.forEach(subModule => {
+      if (isLive(subModule, now)) {
+        visible.set(subModule.id, { moduleId: module.id, id: subModule.id, title: subModule.title });
+      }
+    });
+  });
+
+  const state = new Map();
+  modules.forEach(module => {
+    module.subModules.forEach(subModule => {
+      const prerequisites = (subModule.prerequisites || []).filter(id => visible.has(id));
+      const missing = prerequisites
+        .map(id => visible.get(id))
+        .filter(target => !completed.has(subModuleKey(target.moduleId, target.id)));
+      state.set(subModuleKey(module.id, subModule.id), { prerequisites, locked: missing.length > 0, missing });
+    });
+  });
+  return state;
+};
+
+/**
+ * Lock state of one submodule for a learner (null `userId` for anonymous
+ * readers). Resolves to `{ mode, prerequisites, locked, missing }`.
+ */
+const findLockState = async (userId, courseId, moduleId, subModuleId, now = new Date()) => {
+  const Course = mongoose.model('Course');
+  const Module = mongoose.model('Module');
+  const Enrollment = mongoose.model('Enrollment');
+
+  const [course, modules, enrollment] = await Promise.all([
+    Course.findById(courseId).select('prerequisiteMode'),
+    Module.findByCourse(courseId, now),
+    userId ? Enrollment.findOne({ userId, courseId }).select('moduleProgress') : null
+  ]);
+
+  const state = prerequisiteState(modules, completedSubModuleKeys(enrollment), now)
+    .get(subModuleKey(moduleId, subModuleId))
+    || { prerequisites: [], locked: false, missing: [] };
+  return { mode: (course && course.prerequisiteMode) || 'advisory', ...state };
+};
+
+/**
+ * Throw PrerequisiteError when the submodule is locked for the learner
+ * and the course is in strict mode
+ */
+const assertUnlocked = async (userId, courseId, moduleId, subModuleId, now = new Date()) => {
+  const { mode, locked, missing } = await findLockState(userId, courseId, moduleId, subModuleId, now);
+  if (locked && mode === 'strict') {
+    throw new PrerequisiteError(missing);
+  }
+};
+
+module.exports = {
+  PREREQUISITE_MODES,
+  PrerequisiteError,
+  findPrerequisiteErrors,
+  validatePrerequisitesHook,
+  subModuleKey,
+  completedSubModuleKeys,
+  prerequisiteState,
+  findLockState,
+  assertUnlocked
+};
@@ -0,0 +1,87 @@
+/**
+ * Publish Schedule
+ *
+ * Courses, modules and submodules share three visibility fields:
+ * `isPublished`, plus optional `publishAt` and `unpublishAt` timestamps.
+ * An item is live when it is published (or its `publishAt` has passed)
+ * and its `unpublishAt` has not passed yet. Reads apply this rule
+ * directly, so content appears and disappears on time; the background
+ * job in publishScheduler.js later folds passed timestamps into
+ * `isPublished`.
+ */
+
+/**
+ * Whether an item is visible to learners at `now`
+ */
+const isLive = (item, now = new Date()) => {
+  if (!item) {
+    return false;
+  }
+  if (item.unpublishAt && item.unpublishAt <= now) {
+    return false;
+  }
+  return item.publishAt ? item.publishAt <= now : Boolean(item.isPublished);
+};
+
+/**
+ * Query conditions matching documents that are live at `now`
+ */
+const liveQuery = (now = new Date()) => ({
+  $and: [
+    { $or: [{ publishAt: { $lte: now } }, { publishAt: null, isPublished: true }] },
+    { $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }] }
+  ]
+});
+
+/**
+ * Query conditions matching documents with a timestamp that has passed
+ * at `now`, at the top level or (with `prefix`, e.g. `subModules.`) in
+ * an array of subdocuments
+ */
+const dueQuery = (now = new Date(), prefix = '') => ({
+  $or: [
+    { [`${prefix}publishAt`]: { $lte: now } },
+    { [`${prefix}unpublishAt`]: { $lte: now } }
+  ]
+});
+
+/**
+ * Fold passed timestamps into `isPublished` and clear them. Returns
+ * 'published' or 'unpublished' for the timestamp that took effect
+ * (unpublishAt if both passed), or null. Visibility is the same before and
+ * after (see isLive()).
+ */
+const applySchedule = (item, now = new Date()) => {
+  let change = null;
+
+  if (item.publishAt && item.publishAt <= now) {
+    item.isPublished = true;
+    item.publishAt = undefined;
+    change = 'published';
+  }
+  if (item.unpublishAt && item.unpublishAt <= now) {
+    item.isPublished = false;
+    item.unpublishAt = undefined;
+    change = 'unpublished';
+  }
+
+  return change;
+};
+
+/**
+ * Schema validator for `unpublishAt`: it must come after `publishAt`
+ */
+const unpublishAfterPublish = {
+  validator: function(value) {
+    return !value || !this.publishAt || value > this.publishAt;
+  },
+  message: 'unpublishAt must be later than publishAt'
+};
+
+module.exports = {
+  isLive,
+  liveQuery,
+  dueQuery,
+  applySchedule,
+  unpublishAfterPublish
+};
@@ -0,0 +1,146 @@
+/**
+ * Publish Scheduler
+ *
+ * Background job that applies passed publishAt/unpublishAt timestamps to
+ * courses, modules and submodules (see publishSchedule.js). Learners see
+ * scheduled changes as soon as they are due because reads check the
+ * timestamps; the job makes them permanent and reindexes enrollments of
+ * courses whose content went live, so progress totals include it.
+ */
+
+const Course = require('../models/Course');
+const Module = require('../models/Module');
+const ModuleRevision = require('../models/ModuleRevision');
+const { applySchedule, dueQuery } = require('./publishSchedule');
+const { validateAndRepairCourseIndexing } = require('./courseIndexing');
+
+const INTERVAL_MS = parseInt(process.env.PUBLISH_SCHEDULER_INTERVAL_MS, 10) || 60 * 1000;
+
+/**
+ * Apply due timestamps to a module and its submodules. Returns the
+ * number of items whose schedule took effect and whether any went live.
+ */
+const applyModuleSchedule = (content, now) => {
+  const changes = [content, ...(content.subModules || [])]
+    .map(item => applySchedule(item, now))
+    .filter(Boolean);
+
+  return {
+    applied: changes.length,
+    wentLive: changes.includes('published')
+  };
+};
+
+/**
+ * Apply every due timestamp once. A document that cannot be saved is
+ * logged and skipped, so it does not hold up the rest; it is retried on
+ * the next run. Resolves to `{ courses, modules, reindexed, failed }` with
+ * the number of documents changed, the ids of courses whose enrollments
+ * were reindexed and `{ type, id, error }` for each failure.
+ */
+const runScheduledPublishing = async (now = new Date()) => {
+  const liveCourseIds = new Set();
+  const failed = [];
+  let coursesChanged = 0;
+  let modulesChanged = 0;
+
+  const fail = (type, id, error) => {
+    console.error(`Scheduled publishing failed for ${type} ${id}:`, error);
+    failed.push({ type, id: id.toString(), error: error.message });
+  };
+
+  const courses = await Course.find(dueQuery(now));
+  for (const course of courses) {
+    try {
+      const wentLive = applySchedule(course, now) === 'published';
+      await course.save();
+      coursesChanged++;
+      if (wentLive) {
+        liveCourseIds.add(course._id.toString());
+      }
+    } catch (error) {
+      fail('course', course._id, error);
+    }
+  }
+
+  const modules = await Module.find({
+    $or: [...dueQuery(now).$or, ...dueQuery(now, 'subModules.').$or]
+  });
+  for (const module of modules) {
+    try {
+      const { applied, wentLive } = applyModuleSchedule(module, now);
+      if (applied === 0) {
+        continue;
+      }
+      await module.save();
+      modulesChanged++;
+
+      if (wentLive) {
+        liveCourseIds.add(module.courseId.toString());
+      }
+
+      // Keep an open draft in step, or publishing it would undo the change
+      const draft = await ModuleRevision.findDraft(module._id);
+      if (draft && applyModuleSchedule(draft.snapshot, now).applied > 0) {
+        await draft.save();
+      }
+    } catch (error) {
+      fail('module', module._id, error);
+    }
+  }
+
+  const reindexed = [];
+  for (const courseId of liveCourseIds) {
+    try {
+      await validateAndRepairCourseIndexing(courseId);
+      reindexed.push(courseId);
+    } catch (error) {
+      fail('course', courseId, error);
+    }
+  }
+
+  return {
+    courses: coursesChanged,
+    modules: modulesChanged,
+    reindexed,
+    failed
+  };
+};
+
+/**
+ * Run the job now and then every PUBLISH_SCHEDULER_INTERVAL_MS. Runs
+ * never overlap. Returns a function that stops the scheduler.
+ */
+const startPublishScheduler = (intervalMs = INTERVAL_MS) => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const result = await runScheduledPublishing();
+      if (result.courses > 0 || result.modules > 0) {
+        console.log(
+          `Scheduled publishing: ${result.courses} course(s), ${result.modules} module(s) updated; ` +
+          `${result.reindexed.length} course(s) reindexed`
+        );
+      }
+    } catch (error) {
+      console.error('Error running scheduled publishing:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, intervalMs);
+  // Do not keep the process alive just for the scheduler
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  runScheduledPublishing,
+  startPublishScheduler
+};
@@ -0,0 +1,272 @@
+/**
+ * Quiz Grading
+ *
+ * Correct answers never leave the server: public content has them
+ * stripped, and submissions are graded here. Explanations are only
+ * returned with a graded attempt. Coding exercises are graded by running
+ * the submission against every test case, hidden ones included.
+ */
+
+const { runCode, outputMatches } = require('./codeRunner');
+
+// Minimum percentage for a quiz block to count as passed
+const QUIZ_PASSING_SCORE = 70;
+
+// Keys that give answers away inside free-form (Mixed) quiz content
+const ANSWER_KEYS = [
+  'isCorrect',
+  'correct',
+  'correctAnswer',
+  'correctAnswers',
+  'correctOption',
+  'correctOptions',
+  'correctIndex',
+  'answer',
+  'explanation',
+  'solution'
+];
+
+/**
+ * Deep copy of a value with answer keys removed
+ */
+const stripAnswerKeys = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(stripAnswerKeys);
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    if (typeof value.toHexString === 'function') {
+      return value;
+    }
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([key]) => !ANSWER_KEYS.includes(key))
+        .map(([key, nested]) => [key, stripAnswerKeys(nested)])
+    );
+  }
+  return value;
+};
+
+/**
+ * Content block as sent to learners: MCQ options without `isCorrect`,
+ * questions without explanations
+ */
+const toPublicContentBlock = (block) => {
+  const plain = typeof block.toObject === 'function' ? block.toObject() : { ...block };
+
+  if (Array.isArray(plain.mcqQuestions)) {
+    plain.mcqQuestions = plain.mcqQuestions.map(question => ({
+      _id: question._id,
+      question: question.question,
+      difficulty: question.difficulty,
+      // Lets the client choose between radio buttons and checkboxes
+      multipleAnswers: (question.options || []).filter(option => option.isCorrect).length > 1,
+      options: (question.options || []).map(option => ({
+        _id: option._id,
+        text: option.text
+      }))
+    }));
+  }
+
+  if (plain.codingExercise) {
+    const { solution, testCases = [], ...exercise } = plain.codingExercise;
+    plain.codingExercise = {
+      ...exercise,
+      testCases: testCases
+        .filter(testCase => !testCase.hidden)
+        .map(testCase => ({
+          _id: testCase._id,
+          input: testCase.input,
+          expectedOutput: testCase.expectedOutput
+        })),
+      hiddenTestCaseCount: testCases.filter(testCase => testCase.hidden).length
+    };
+  }
+
+  if (plain.type === 'quiz' && plain.content) {
+    plain.content = stripAnswerKeys(plain.content);
+  }
+
+  return plain;
+};
+
+/**
+ * Submodule as sent to learners
+ */
+const toPublicSubModule = (subModule) => {
+  const plain = typeof subModule.toObject === 'function' ? subModule.toObject() : { ...subModule };
+  return {
+    ...plain,
+    contentBlocks: (subModule.contentBlocks || []).map(toPublicContentBlock)
+  };
+};
+
+/**
+ * Normalize one submitted answer to a list of option id strings.
+ * Accepts `selectedOptionIds: [...]` or `selectedOptionId: '...'`.
+ */
+const selectedIdsOf = (answer) => {
+  if (!answer) return [];
+  const ids = Array.isArray(answer.selectedOptionIds)
+    ? answer.selectedOptionIds
+    : answer.selectedOptionId !== undefined ? [answer.selectedOptionId] : [];
+  return [...new Set(ids.map(String))];
+};
+
+/**
+ * Grade answers against an MCQ block. A question counts as correct when
+ * exactly the correct options were selected; unanswered questions are wrong.
+ */
+const gradeMcqBlock = (block, answers) => {
+  const answersByQuestion = new Map(
+    answers
+      .filter(answer => answer && answer.questionId !== undefined)
+      .map(answer => [String(answer.questionId), answer])
+  );
+
+  const results = block.mcqQuestions.map(question => {
+    const questionId = question._id.toString();
+    const selected = selectedIdsOf(answersByQuestion.get(questionId));
+    const validIds = new Set(question.options.map(option => option._id.toString()));
+    const correctIds = question.options
+      .filter(option => option.isCorrect)
+      .map(option => option._id.toString());
+
+    const selectedOptionIds = selected.filter(id => validIds.has(id));
+    const correct = correctIds.length > 0
+      && selectedOptionIds.length === correctIds.length
+      && correctIds.every(id => selectedOptionIds.includes(id));
+
+    return {
+      questionId,
+      selectedOptionIds,
+      correct,
+      explanation: question.explanation || null
+    };
+  });
+
+  const score = results.filter(result => result.correct).length;
+  const maxScore = results.length;
+  const percentage = maxScore > 0 ? Math.round((score / maxScore) * 100) : 0;
+
+  return {
+    score,
+    maxScore,
+    percentage,
+    passed: percentage >= QUIZ_PASSING_SCORE,
+    results
+  };
+};
+
+/**
+ * Run a submission against every test case of a coding exercise block.
+ * A case passes when the program exits cleanly and its stdout matches;
+ * the block is passed when every case passes. Output of hidden cases is
+ * not returned.
+ */
+const gradeCodingBlock = async (block, language, code) => {
+  const results = [];
+
+  // One case at a time: runs already share a small pool of slots
+  for (const testCase of block.codingExercise.testCases) {
+    const run = await runCode({ language, code, stdin: testCase.input || '' });
+    const passed = run.status === 'ok' && outputMatches(run.stdout, testCase.expectedOutput);
+
+    results.push({
+      testCaseId: testCase._id.toString(),
+      hidden: Boolean(testCase.hidden),
+      passed,
+      status: passed ? 'passed' : run.status === 'ok' ? 'wrong_answer' : run.status,
+      durationMs: run.durationMs,
+      ...(testCase.hidden ? {} : { stdout: run.stdout, stderr: run.stderr })
+    });
+  }
+
+  const score = results.filter(result => result.passed).length;
+  const maxScore = results.length;
+
+  return {
+    score,
+    maxScore,
+    percentage: maxScore > 0 ? Math.round((score / maxScore) * 100) : 0,
+    passed: maxScore > 0 && score === maxScore,
+    results
+  };
+};
+
+/**
+ * Blocks whose attempts are graded and count towards completion
+ */
+const isGradedBlock = (block) => {
+  if (block.type === 'mcq') {
+    return block.mcqQuestions.length > 0;
+  }
+  if (block.type === 'codingExercise') {
+    return Boolean(block.codingExercise && block.codingExercise.testCases.length > 0);
+  }
+  return false;
+};
+
+/**
+ * A stored attempt as returned to its author: MCQ answers with their
+ * explanations, or test results with the inputs of visible cases
+ */
+const toAttemptResponse = (attempt, block) => {
+  const response = {
+    id: attempt._id,
+    blockType: attempt.blockType,
+    score: attempt.score,
+    maxScore: attempt.maxScore,
+    percentage: attempt.percentage,
+    passed: attempt.passed,
+    createdAt: attempt.createdAt
+  };
+
+  if (attempt.blockType === 'codingExercise') {
+    const testCases = new Map(
+      (block && block.codingExercise ? block.codingExercise.testCases : [])
+        .map(testCase => [testCase._id.toString(), testCase])
+    );
+
+    return {
+      ...response,
+      language: attempt.language,
+      code: attempt.code,
+      results: attempt.testResults.map(result => {
+        const testCase = testCases.get(result.testCaseId.toString());
+        const visible = testCase && !testCase.hidden;
+        return {
+          testCaseId: result.testCaseId,
+          hidden: !visible,
+          passed: result.passed,
+          status: result.status,
+          durationMs: result.durationMs,
+          ...(visible ? { input: testCase.input, expectedOutput: testCase.expectedOutput } : {})
+        };
+      })
+    };
+  }
+
+  const questions = new Map(
+    (block ? block.mcqQuestions : []).map(question => [question._id.toString(), question])
+  );
+
+  return {
+    ...response,
+    results: attempt.answers.map(answer => ({
+      questionId: answer.questionId,
+      selectedOptionIds: answer.selectedOptionIds,
+      correct: answer.correct,
+      explanation: questions.get(answer.questionId.toString())?.explanation || null
+    }))
+  };
+};
+
+module.exports = {
+  QUIZ_PASSING_SCORE,
+  toPublicContentBlock,
+  toPublicSubModule,
+  gradeMcqBlock,
+  gradeCodingBlock,
+  isGradedBlock,
+  toAttemptResponse
+};
@@ -0,0 +1,171 @@
+/**
+ * Attempt Limiting and Lockouts
+ *
+ * Counts attempts per key (e.g. `signin:account:user@example.com`) in the
+ * RateLimit collection. Every attempt is counted as it arrives; when a key
+ * reaches its limit inside the window it is locked, and every further
+ * lockout of the same key doubles in length.
+ */
+
+const RateLimit = require('../models/RateLimit');
+
+const MINUTE = 60 * 1000;
+
+// Idle counters (and their lockout history) are forgotten after a day
+const COUNTER_TTL = 24 * 60 * MINUTE;
+
+const POLICIES = {
+  signin: {
+    ip: { maxAttempts: 20, window: 15 * MINUTE, lockout: 5 * MINUTE },
+    account: { maxAttempts: 5, window: 15 * MINUTE, lockout: MINUTE }
+  },
+  'verify-otp': {
+    ip: { maxAttempts: 20, window: 15 * MINUTE, lockout: 5 * MINUTE },
+    account: { maxAttempts: 10, window: 30 * MINUTE, lockout: 5 * MINUTE }
+  },
+  'two-factor': {
+    ip: { maxAttempts: 20, window: 15 * MINUTE, lockout: 5 * MINUTE },
+    account: { maxAttempts: 5, window: 15 * MINUTE, lockout: 5 * MINUTE }
+  },
+  'resend-otp': {
+    ip: { maxAttempts: 10, window: 15 * MINUTE, lockout: 5 * MINUTE },
+    account: { maxAttempts: 3, window: 15 * MINUTE, lockout: 5 * MINUTE }
+  },
+  // Quota for code execution in the playground; `account` is the user id
+  'playground-run': {
+    ip: { maxAttempts: 120, window: 10 * MINUTE, lockout: 5 * MINUTE },
+    account: { maxAttempts: 40, window: 10 * MINUTE, lockout: 5 * MINUTE }
+  },
+  // Quota for graded coding exercise submissions, each of which runs every
+  // test case; `account` is the user id
+  'code-grading': {
+    ip: { maxAttempts: 90, window: 10 * MINUTE, lockout: 5 * MINUTE },
+    account: { maxAttempts: 30, window: 10 * MINUTE, lockout: 5 * MINUTE }
+  }
+};
+
+// Longest single lockout
+const MAX_LOCKOUT = 24 * 60 * MINUTE;
+
+/**
+ * Lockout length for the nth lockout of a key
+ */
+const lockoutDuration = (policy, lockouts) => {
+  return Math.min(policy.lockout * Math.pow(2, lockouts), MAX_LOCKOUT);
+};
+
+/**
+ * Count an attempt against a key and report whether it may go ahead.
+ *
+ * Checking the lockout, counting the attempt and locking the key when it
+ * reaches its limit is one atomic update, so a burst of concurrent requests
+ * cannot all pass before the lock is written. The attempt that reaches the
+ * limit still goes ahead; later ones are refused until the lockout ends.
+ *
+ * Resolves to the remaining lockout in ms, or 0 when the attempt is allowed.
+ */
+const consumeAttempt = async ({ key, policy }) => {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + COUNTER_TTL);
+  // lockoutDuration(), computed in the update
+  const lockedUntil = {
+    $add: [now, { $min: [{ $multiply: [policy.lockout, { $pow: [2, '$lockouts'] }] }, MAX_LOCKOUT] }]
+  };
+
+  const previous = await RateLimit.findOneAndUpdate(
+    { key },
+    [
+      {
+        $set: {
+          // A locked key is left alone until its lockout ends
+          locked: { $gt: ['$lockedUntil', now] },
+          // Start a fresh window once the previous one has passed
+          fresh: { $lt: [{ $ifNull: ['$windowStartedAt', new Date(0)] }, new Date(now.getTime() - policy.window)] },
+          lockouts: { $ifNull: ['$lockouts', 0] },
+          createdAt: { $ifNull: ['$createdAt', now] }
+        }
+      },
+      {
+        $set: {
+          count: {
+            $cond: ['$locked', '$count', { $add: [{ $cond: ['$fresh', 0, { $ifNull: ['$count', 0] }] }, 1] }]
+          },
+          windowStartedAt: { $cond: [{ $and: [{ $not: ['$locked'] }, '$fresh'] }, now, '$windowStartedAt'] },
+          expiresAt: { $max: ['$expiresAt', expiresAt] }
+        }
+      },
+      {
+        $set: {
+          reached: { $and: [{ $not: ['$locked'] }, { $gte: ['$count', policy.maxAttempts] }] }
+        }
+      },
+      {
+        $set: {
+          lockedUntil: { $cond: ['$reached', lockedUntil, '$lockedUntil'] },
+          lockouts: { $cond: ['$reached', { $add: ['$lockouts', 1] }, '$lockouts'] },
+          count: { $cond: ['$reached', 0, '$count'] },
+          windowStartedAt: { $cond: ['$reached', now, '$windowStartedAt'] }
+        }
+      },
+      { $set: { expiresAt: { $max: ['$expiresAt', '$lockedUntil'] } } },
+      { $unset: ['locked', 'fresh', 'reached'] }
+    ],
+    // The previous state tells whether the key was already locked
+    { upsert: true, new: false }
+  );
+
+  if (previous && previous.lockedUntil > now) {
+    return previous.lockedUntil - now;
+  }
+  return 0;
+};
+
+/**
+ * Count an attempt against every key. Resolves to the longest remaining
+ * lockout among them (in ms), or 0 when the attempt is allowed.
+ */
+const consumeAttempts = async (keys) => {
+  const lockouts = await Promise.all(keys.map(consumeAttempt));
+  return lockouts.reduce((longest, lockout) => Math.max(longest, lockout), 0);
+};
+
+/**
+ * Forget the counters for keys (e.g. after a successful signin)
+ */
+const resetAttempts = (keys) => {
+  return RateLimit.deleteMany({
+    key: { $in: keys.map(k => k.key) },
+    lockedUntil: { $not: { $gt: new Date() } }
+  });
+};
+
+/**
+ * Build the per-IP and per-account keys for an action
+ */
+const buildKeys = (action, { ip, account }) => {
+  const policy = POLICIES[action];
+  if (!policy) {
+    throw new Error(`Unknown rate limit action: ${action}`);
+  }
+
+  const keys = [];
+  if (ip) {
+    keys.push({ key: `${action}:ip:${ip}`, policy: policy.ip, scope: 'ip' });
+  }
+  if (account) {
+    keys.push({
+      key: `${action}:account:${String(account).trim().toLowerCase()}`,
+      policy: policy.account,
+      scope: 'account'
+    });
+  }
+  return keys;
+};
+
+module.exports = {
+  POLICIES,
+  buildKeys,
+  consumeAttempts,
+  resetAttempts,
+  lockoutDuration
+};
@@ -0,0 +1,321 @@
+/**
+ * Token Service
+ *
+ * Issues short-lived access tokens and rotating refresh tokens.
+ * - Access tokens are JWTs carrying the session family id (`sid`)
+ * - Refresh tokens are opaque random strings stored hashed in `Session`
+ * - Reusing a rotated refresh token revokes the whole session family
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+const PASSWORD_RESET_TTL = '15m';
+const PREVIEW_TOKEN_TTL = process.env.PREVIEW_TOKEN_TTL || '1h';
+const REFRESH_TOKEN_TTL = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+/**
+ * Error raised when a refresh token cannot be exchanged
+ */
+class TokenError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'TokenError';
+    this.code = code;
+  }
+}
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Describe the client device from its user agent
+ */
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) {
+    return 'Unknown device';
+  }
+
+  return [browser && browser[0], system && system[0]].filter(Boolean).join(' on ');
+};
+
+/**
+ * Client address. req.ip only follows X-Forwarded-For through the proxies
+ * trusted in server.js, so clients cannot pick their own address.
+ */
+const getClientIp = (req) => {
+  return req.ip || req.socket?.remoteAddress;
+};
+
+/**
+ * Sign an access token for a session family
+ */
+const signAccessToken = (user, familyId) => {
+  return jwt.sign(
+    {
+      userId: user._id,
+      sid: familyId,
+      isAdmin: user.hasRole('admin')
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+const createSessionRecord = async ({ userId, familyId, startedAt, req }) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const userAgent = req.headers['user-agent'] || '';
+
+  await Session.create({
+    userId,
+    familyId,
+    tokenHash: hashToken(refreshToken),
+    device: describeDevice(userAgent),
+    userAgent,
+    ip: getClientIp(req),
+    startedAt,
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL)
+  });
+
+  return refreshToken;
+};
+
+/**
+ * Start a new session for a user and return its token pair
+ */
+const issueTokens = async (user, req) => {
+  const familyId = crypto.randomBytes(16).toString('hex');
+  const refreshToken = await createSessionRecord({
+    userId: user._id,
+    familyId,
+    startedAt: new Date(),
+    req
+  });
+
+  return {
+    token: signAccessToken(user, familyId),
+    refreshToken,
+    sessionId: familyId
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * Throws TokenError when the token is unknown, expired, revoked or reused
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  if (!refreshToken) {
+    throw new TokenError('Refresh token required', 'missing');
+  }
+
+  const session = await Session.findOne({ tokenHash: hashToken(refreshToken) });
+
+  if (!session) {
+    throw new TokenError('Invalid refresh token', 'invalid');
+  }
+
+  if (session.revokedAt) {
+    throw new TokenError('Session has been revoked', 'revoked');
+  }
+
+  if (session.expiresAt <= new Date()) {
+    throw new TokenError('Refresh token expired', 'expired');
+  }
+
+  // Claim the token; losing this race means it was already rotated
+  const claimed = await Session.findOneAndUpdate(
+    { _id: session._id, replacedAt: null, revokedAt: null },
+    { replacedAt: new Date() },
+    { new: true }
+  );
+
+  if (!claimed) {
+    await Session.revokeFamily(session.familyId, 'reuse');
+    console.warn(`Refresh token reuse detected for session ${session.familyId}`);
+    throw new TokenError('Refresh token reuse detected', 'reuse');
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user) {
+    await Session.revokeFamily(session.familyId, 'revoked');
+    throw new TokenError('User not found', 'invalid');
+  }
+
+  const newRefreshToken = await createSessionRecord({
+    userId: user._id,
+    familyId: session.familyId,
+    startedAt: session.startedAt,
+    req
+  });
+
+  return {
+    token: signAccessToken(user, session.familyId),
+    refreshToken: newRefreshToken,
+    sessionId: session.familyId
+  };
+};
+
+/**
+ * Sign a short-lived challenge issued after the password step of a
+ * two-factor signin. It carries no session id, so it is never accepted
+ * as an access token.
+ */
+const signTwoFactorChallenge = (user) => {
+  return jwt.sign(
+    { userId: user._id, purpose: '2fa' },
+    process.env.JWT_SECRET,
+    { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+  );
+};
+
+/**
+ * Verify a two-factor challenge token and return its user id
+ */
+const verifyTwoFactorChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    if (decoded.purpose !== '2fa') {
+      throw new TokenError('Invalid challenge token', 'invalid');
+    }
+    return decoded.userId;
+  } catch (error) {
+    if (error.name === 'TokenError') throw error;
+    throw new TokenError('Invalid or expired challenge token', 'invalid');
+  }
+};
+
+// Changes whenever the password changes, so a reset token works once
+const passwordFingerprint = (user) => {
+  return hashToken(user.password).slice(0, 16);
+};
+
+/**
+ * Sign a short-lived token proving a password reset code was verified
+ */
+const signPasswordResetToken = (user) => {
+  return jwt.sign(
+    { userId: user._id, purpose: 'password-reset', pwd: passwordFingerprint(user) },
+    process.env.JWT_SECRET,
+    { expiresIn: PASSWORD_RESET_TTL }
+  );
+};
+
+/**
+ * Verify a password reset token against the user's current password.
+ * Returns the user or throws TokenError.
+ */
+const verifyPasswordResetToken = async (resetToken) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(resetToken, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new TokenError('Invalid or expired reset token', 'invalid');
+  }
+
+  if (decoded.purpose !== 'password-reset') {
+    throw new TokenError('Invalid or expired reset token', 'invalid');
+  }
+
+  const user = await User.findById(decoded.userId);
+  if (!user || passwordFingerprint(user) !== decoded.pwd) {
+    throw new TokenError('Invalid or expired reset token', 'invalid');
+  }
+
+  return user;
+};
+
+/**
+ * Sign a token that lets its holder view a course's unpublished content
+ * and drafts. It is tied to the course and to the editor who asked for it.
+ */
+const signPreviewToken = (user, courseId) => {
+  return jwt.sign(
+    { userId: user._id, courseId: String(courseId), purpose: 'preview' },
+    process.env.JWT_SECRET,
+    { expiresIn: PREVIEW_TOKEN_TTL }
+  );
+};
+
+/**
+ * Verify a preview token and return `{ userId, courseId, expiresAt }`
+ */
+const verifyPreviewToken = (previewToken) => {
+  try {
+    const decoded = jwt.verify(previewToken, process.env.JWT_SECRET);
+    if (decoded.purpose !== 'preview' || !decoded.courseId) {
+      throw new TokenError('Invalid preview token', 'invalid');
+    }
+    return {
+      userId: decoded.userId,
+      courseId: decoded.courseId,
+      expiresAt: new Date(decoded.exp * 1000)
+    };
+  } catch (error) {
+    if (error.name === 'TokenError') throw error;
+    throw new TokenError('Invalid or expired preview token', 'invalid');
+  }
+};
+
+/**
+ * Verify an access token and make sure its session is still active
+ */
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (!decoded.sid) {
+    throw new TokenError('Token has no session', 'invalid');
+  }
+
+  const active = await Session.exists({
+    familyId: decoded.sid,
+    userId: decoded.userId,
+    revokedAt: null
+  });
+
+  if (!active) {
+    throw new TokenError('Session has been revoked', 'revoked');
+  }
+
+  return decoded;
+};
+
+module.exports = {
+  TokenError,
+  issueTokens,
+  rotateRefreshToken,
+  signAccessToken,
+  verifyAccessToken,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  signPasswordResetToken,
+  verifyPasswordResetToken,
+  signPreviewToken,
+  verifyPreviewToken,
+  describeDevice,
+  getClientIp,
+  hashToken
+};
@@ -0,0 +1,189 @@
+/**
+ * TOTP (RFC 6238) Two-Factor Authentication
+ *
+ * Implements time-based one-time passwords on top of HOTP (RFC 4226)
+ * with the parameters every authenticator app understands:
+ * SHA-1, 6 digits, 30 second steps.
+ */
+
+const crypto = require('crypto');
+
+const ISSUER = process.env.TOTP_ISSUER || 'Code-Teach';
+const DIGITS = 6;
+const PERIOD = 30; // seconds
+const WINDOW = 1; // accept one step of clock drift either way
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random base32 secret (160 bits, as recommended by RFC 4226)
+ */
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * HOTP value for a counter
+ */
+const hotp = (secret, counter) => {
+  const key = base32Decode(secret);
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return code.toString().padStart(DIGITS, '0');
+};
+
+/**
+ * Current time step
+ */
+const currentStep = (time = Date.now()) => {
+  return Math.floor(time / 1000 / PERIOD);
+};
+
+/**
+ * TOTP value for a point in time
+ */
+const generateToken = (secret, time = Date.now()) => {
+  return hotp(secret, currentStep(time));
+};
+
+/**
+ * Verify a token; returns the matching time step or null.
+ * Callers store the step to reject replays of the same code.
+ */
+const verifyToken = (secret, token, time = Date.now()) => {
+  if (!secret || !token || !/^\d{6}$/.test(String(token).trim())) {
+    return null;
+  }
+
+  const candidate = Buffer.from(String(token).trim());
+  const step = currentStep(time);
+
+  for (let drift = -WINDOW; drift <= WINDOW; drift++) {
+    const expected = Buffer.from(hotp(secret, step + drift));
+    if (crypto.timingSafeEqual(candidate, expected)) {
+      return step + drift;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * otpauth:// URI to render as a QR code in the client
+ */
+const buildProvisioningUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Generate one-time recovery codes (shown once) and their hashes (stored)
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(hashRecoveryCode)
+  };
+};
+
+const hashRecoveryCode = (code) => {
+  const normalized = String(code).trim().toLowerCase().replace(/[^a-f0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Encrypt a secret for storage (AES-256-GCM)
+ */
+const encryptionKey = () => {
+  const source = process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || '';
+  return crypto.createHash('sha256').update(source).digest();
+};
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return [iv, tag, encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  generateSecret,
+  generateToken,
+  verifyToken,
+  buildProvisioningUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  encryptSecret,
+  decryptSecret,
+  base32Encode,
+  base32Decode
+};
@@ -0,0 +1,37 @@
+/**
+ * MongoDB Transactions
+ *
+ * Runs a unit of work inside a transaction so related writes (e.g. an
+ * enrollment and its course's enrollmentCount) commit or fail together.
+ * Standalone servers used in local development do not support
+ * transactions; there the work runs without one.
+ */
+
+const mongoose = require('mongoose');
+
+// "Transaction numbers are only allowed on a replica set member or mongos"
+const TRANSACTIONS_UNSUPPORTED = 20;
+
+/**
+ * Run `work(session)` in a transaction and return its result.
+ * `session` is null when the server does not support transactions.
+ */
+const withTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    if (error.code === TRANSACTIONS_UNSUPPORTED) {
+      return work(null);
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = { withTransaction };